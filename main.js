@@ -4,9 +4,21 @@ import {QuadtrisInput as Input} from './scripts/QuadtrisInput.mjs'
 import {QuadtrisRenderer} from './scripts/QuadtrisRenderer.mjs'
 import { TouchInput } from './scripts/TouchInput.mjs'
 import { GUIButtonInput } from './scripts/GUIButtonInput.mjs'
+import { HighScoreTable } from './scripts/HighScoreTable.mjs'
+import { parseSeed, randomizers } from './scripts/PieceRandomizer.mjs'
+import { ReplayRecorder, ReplayPlayer, serializeReplay, parseReplay } from './scripts/QuadtrisReplay.mjs'
+import { gameModes, applyGameMode, applyDigSetup, getHighScoreKey, isRankedMode } from './scripts/GameModes.mjs'
+import { ModeHUD } from './scripts/ModeHUD.mjs'
+import { AutoRepeat } from './scripts/AutoRepeat.mjs'
+import { VersusMatch } from './scripts/VersusMatch.mjs'
+import { QuadtrisBot } from './scripts/QuadtrisBot.mjs'
+import { rotationSystems } from './scripts/RotationSystems.mjs'
+import { getTheme } from './scripts/Themes.mjs'
 
 import * as RebindMod from './scripts/RebindControls.mjs'
 import { SettingsModule } from './scripts/SettingsModule.mjs'
+import { ControlProfiles } from './scripts/ControlProfiles.mjs'
+import { storage, isPlainObject } from './scripts/Storage.mjs'
 
 /**
  * Game state:
@@ -19,15 +31,41 @@ import { SettingsModule } from './scripts/SettingsModule.mjs'
 
 function main() {
     const startButton = document.querySelector("#startButton");
+
+    // Bring saved data up to date before anything reads it, and tell the player if some of it was lost
+    const storageMessage = document.querySelector("#storageMessage");
+    const logProblem = storage.onProblem;
+    storage.onProblem = (problem) => {
+        logProblem(problem);
+        storageMessage.textContent = "Some saved data could not be loaded (" + problem.key + "), so defaults are being used.";
+        storageMessage.classList.remove("hide");
+    };
+    storage.migrate();
     
+    // Load the player's control profiles (touchscreens start with the phone controls)
+    const controlProfiles = new ControlProfiles(window.matchMedia('(pointer: coarse)').matches ? "Phone" : "Keyboard WASD");
+
     // Create input module
     let inputMod = new Input();
-    RebindMod.loadInputSettings(inputMod);
+    RebindMod.loadInputSettings(inputMod, controlProfiles);
+
+    // In versus mode, each player has their own input module and gamepad
+    const versusInputs = [new Input(), new Input()];
+    versusInputs.forEach((versusInput, player) => {
+        versusInput.gamepadIndex = player;
+    });
+
     document.addEventListener('keydown', function(event) {
-        inputMod.setInputState(event.key, true);
+        inputMod.setInputState(event.key, true, event.timeStamp);
+        for (const versusInput of versusInputs) {
+            versusInput.setInputState(event.key, true, event.timeStamp);
+        }
     });
     document.addEventListener('keyup', function(event) {
-        inputMod.setInputState(event.key, false);
+        inputMod.setInputState(event.key, false, event.timeStamp);
+        for (const versusInput of versusInputs) {
+            versusInput.setInputState(event.key, false, event.timeStamp);
+        }
     });
     
     
@@ -38,11 +76,21 @@ function main() {
         document.querySelector("#tib_softDrop"),
         document.querySelector("#tib_hardDrop"),
         document.querySelector("#tib_rotateClockwise"),
-        document.querySelector("#tib_rotateAnticlockwise")
+        document.querySelector("#tib_rotateAnticlockwise"),
+        document.querySelector("#tib_rotate180")
     );
 
+    // Auto-repeat for held movement, timed from when each button was pressed
+    const repeaters = createRepeaters();
+
     // Create settings
-    let settingsMod = new SettingsModule("keyboardSettings", "gestureSettings", "buttonSettings", touchInput);
+    let settingsMod = new SettingsModule("keyboardSettings", "gestureSettings", "buttonSettings", "gameSettings", touchInput);
+    settingsMod.onValuesChanged = (values) => {
+        controlProfiles.updateActive({settings: values});
+        applyEffectSettings(values);
+        applyThemeSettings(values);
+        redrawBoards();
+    };
     document.querySelector("#resetDefaultSettings").addEventListener("click", (e) => {
         settingsMod.resetToDefault();
     });
@@ -51,6 +99,8 @@ function main() {
     // Create game and renderer
     let game = new QuadtrisGame();
     let renderer = new QuadtrisRenderer();
+    applyEffectSettings(settingsMod.settingsValues);
+    applyThemeSettings(settingsMod.settingsValues);
     
     const titleScreen = document.querySelector("#titleScreen");
     const pauseScreen = document.querySelector("#pauseScreen");
@@ -59,11 +109,159 @@ function main() {
     const howToScreen = document.querySelector("#howToScreen");
     let onTitleScreen = true;
     let onSettings = false;
+
+    // Versus mode: 2 games side by side, trading garbage
+    const container = document.querySelector(".container");
+    const versusGames = [new QuadtrisGame(), new QuadtrisGame()];
+    const versusMatch = new VersusMatch(versusGames);
+    const versusRepeaters = [createRepeaters(), createRepeaters()];
+    const versusInfo = document.querySelector("#versusInfo");
+    const versusSentNodes = [document.createTextNode('0'), document.createTextNode('0')];
+    document.querySelector("#versusSent0").appendChild(versusSentNodes[0]);
+    document.querySelector("#versusSent1").appendChild(versusSentNodes[1]);
+    const garbageMeters = [document.querySelector("#garbageMeter0"), document.querySelector("#garbageMeter1")];
+    /** Whether the versus match is on screen (instead of the single player game). @type {boolean} */
+    let inVersus = false;
+    const versusOpponentSelect = document.querySelector("#versusOpponent");
+    /** The computer player controlling player 2, or null when player 2 is a person. @type {QuadtrisBot | null} */
+    let versusBot = null;
+
+    // Attract mode: after a while on the title screen, the CPU plays a demo game until the player comes back
+    const demoBanner = document.querySelector("#demoBanner");
+    const demoBot = new QuadtrisBot(game, QuadtrisBot.presets.medium);
+    /** Milliseconds without input on the title screen before the demo starts. @type {number} */
+    const demoIdleTime = 30000;
+    /** Whether the CPU is playing a demo game. @type {boolean} */
+    let inDemo = false;
+    /** The time (in milliseconds) of the last key press or click. @type {number} */
+    let lastActivityTime = 0;
+
+    // Placement hints: the CPU's choice for the player's piece, shown in unranked modes
+    const hintBot = new QuadtrisBot(game);
+    /** The suggested placement, or null if there is none. @type {Object | null} */
+    let hint = null;
+    /** The piece the hint was found for. @type {QuadPiece | null} */
+    let hintPiece = null;
+    /** A copy of the grid the hint was found for. @type {BigUint64Array} */
+    const hintGrid = new BigUint64Array(game.gameState.gridData.length);
+    /** Whether a hint has been shown during the current game, which keeps the run off the high score table. @type {boolean} */
+    let hintsShown = false;
     
     const finalScoreNode = document.createTextNode('0');
     const finalLinesNode = document.createTextNode('0');
+    const finalSeedNode = document.createTextNode('0');
+    const finalTimeNode = document.createTextNode('0');
     document.querySelector("#finalScore").appendChild(finalScoreNode);
     document.querySelector("#finalLines").append(finalLinesNode);
+    document.querySelector("#finalSeed").append(finalSeedNode);
+    document.querySelector("#finalTime").append(finalTimeNode);
+    const gameOverTitle = document.querySelector("#gameOverTitle");
+    const seedInput = document.querySelector("#seedInput");
+
+    // Game modes: the player picks a mode on the title screen
+    const modeSelect = document.querySelector("#modeSelect");
+    const modeDescription = document.querySelector("#modeDescription");
+    for (const [name, mode] of Object.entries(gameModes)) {
+        modeSelect.add(new Option(mode.label, name));
+    }
+    const modeHUD = new ModeHUD(document.querySelector("#modeInfo"));
+
+    // Rotation systems: the player picks one for each mode, which is remembered between visits
+    const rotationSelect = document.querySelector("#rotationSelect");
+    for (const [name, system] of Object.entries(rotationSystems)) {
+        rotationSelect.add(new Option(system.label, name));
+    }
+    const rotationChoices = storage.read("rotationSystems", {}, isPlainObject);
+
+    /**
+     * Finds the rotation system the player picked for a mode.
+     * 
+     * @param {string} modeName The name of the mode.
+     * @returns {string} The name of the rotation system, or the mode's usual system if the player hasn't picked one.
+     */
+    function getRotationChoice(modeName) {
+        const choice = rotationChoices[modeName];
+        return choice in rotationSystems ? choice : gameModes[modeName].options.rotationSystem;
+    }
+    rotationSelect.addEventListener("change", () => {
+        rotationChoices[modeSelect.value] = rotationSelect.value;
+        storage.write("rotationSystems", rotationChoices);
+        showSelectedMode();
+    });
+
+    // Load the saved high scores, with a separate table for every mode (and every dig setup)
+    const highScoreTables = {};
+
+    /**
+     * Finds the high score table for a mode played with some options, loading it the first time it is used.
+     * 
+     * @param {string} modeName The name of the mode.
+     * @param {Object} options  The options the mode is played with.
+     * @returns {HighScoreTable} The table.
+     */
+    function getHighScores(modeName, options) {
+        const key = getHighScoreKey(modeName, options);
+        highScoreTables[key] ??= new HighScoreTable(key, 10, (gameModes[modeName] ?? gameModes.marathon).ranking);
+        return highScoreTables[key];
+    }
+
+    /**
+     * Finds the options the mode selected on the title screen will be played with.
+     * 
+     * @returns {Object} The mode's options, with the player's rotation system and dig settings.
+     */
+    function getSelectedModeOptions() {
+        const options = {...gameModes[modeSelect.value].options};
+        options.rotationSystem = getRotationChoice(modeSelect.value);
+        if (modeSelect.value == "dig") {
+            applyDigSetup(options, getDigSetup());
+        }
+        return options;
+    }
+
+    /**
+     * Reads the dig mode settings.
+     * 
+     * @returns {{rows: number, messiness: number, riseInterval: number | null}} The garbage setup (see {@link applyDigSetup}).
+     */
+    function getDigSetup() {
+        // Sliders and dropdowns store their values as text
+        return {
+            rows: Number(settingsMod.settingsValues.digGarbageRows),
+            messiness: Number(settingsMod.settingsValues.digGarbageMessiness),
+            riseInterval: settingsMod.settingsValues.digRiseInterval == "off" ? null : Number(settingsMod.settingsValues.digRiseInterval)
+        };
+    }
+    const titleHighScores = document.querySelector("#titleHighScores");
+    const gameOverHighScores = document.querySelector("#gameOverHighScores");
+    const newHighScoreText = document.querySelector("#newHighScoreText");
+
+    /**
+     * Shows the description and high scores of the mode selected on the title screen.
+     */
+    function showSelectedMode() {
+        modeDescription.textContent = gameModes[modeSelect.value].description;
+        rotationSelect.value = getRotationChoice(modeSelect.value);
+        getHighScores(modeSelect.value, getSelectedModeOptions()).renderTo(titleHighScores);
+    }
+    modeSelect.addEventListener("change", showSelectedMode);
+    showSelectedMode();
+
+    // Replays: every game is recorded, and a finished game (or a loaded file) can be watched
+    const recorder = new ReplayRecorder();
+    /** The most recently finished or loaded replay. @type {Object | null} */
+    let lastReplay = null;
+    /** The replay being watched (null when the player is in control). @type {ReplayPlayer | null} */
+    let replayPlayer = null;
+    let replayPaused = false;
+    let replaySpeed = 1;
+    const replayControls = document.querySelector("#replayControls");
+    const replayStatusNode = document.createTextNode('');
+    document.querySelector("#replayStatus").appendChild(replayStatusNode);
+    const replayPauseButton = document.querySelector("#replayPauseButton");
+    const replaySpeedButton = document.querySelector("#replaySpeedButton");
+    const replayMessageNode = document.createTextNode('');
+    document.querySelector("#replayMessage").appendChild(replayMessageNode);
     
     // Create the engine loop
     let timeSinceGameTick = 0;
@@ -72,6 +270,9 @@ function main() {
         let deltaTime = (time - lastFrameTime) * 0.001;
         lastFrameTime = time;
         timeSinceGameTick += deltaTime;
+
+        // Gamepads do not send events, so their buttons are checked every frame
+        inputMod.pollGamepads(time);
         
         // If settings screen is open, only process escape key
         if (!settingsScreen.classList.contains("hide")) {
@@ -80,6 +281,10 @@ function main() {
                 settingsScreen.classList.add("hide");
             }
             
+            // If a versus match is on screen, update both games
+        } else if (inVersus) {
+            runVersusFrame(time);
+
             // If the game is running, update the game:
         } else if (!game.gameState.gameOver) {
             
@@ -88,11 +293,30 @@ function main() {
                 timeSinceGameTick = Math.min(timeSinceGameTick - game.gameTickTime, game.gameTickTime);
                 
                 inputMod.updateCounters();
-                updateInputs(game, inputMod, touchInput, guiInput, settingsMod.settingsValues);
-                game.runTick();
+                if (inDemo) {
+                    demoBot.update();
+                    game.runTick();
+                } else if (replayPlayer !== null) {
+                    // Feed the replay's inputs into the game instead of the player's
+                    if (!replayPaused) {
+                        for (let i = 0; i < replaySpeed && !game.gameState.gameOver; i++) {
+                            stepReplay();
+                        }
+                    }
+                    if (inputMod.getCounter("pause") == 1) {
+                        setReplayPaused(!replayPaused);
+                    }
+                } else {
+                    // Inputs wait until the game is unpaused, so held movement does not build up
+                    if (!game.gameState.isPaused) {
+                        updateInputs(game, inputMod, touchInput, guiInput, settingsMod.settingsValues, repeaters, time);
+                        recorder.recordFrame(game.input);
+                    }
+                    game.runTick();
+                }
                 
                 // Handle pause/unpause
-                if (inputMod.getCounter("pause") == 1) {
+                if (replayPlayer === null && !inDemo && inputMod.getCounter("pause") == 1) {
                     if (!game.gameState.isPaused) {
                         // Pause game
                         game.pauseGame(true);
@@ -108,30 +332,386 @@ function main() {
             
             // Update buffers if the game state changes
             if (game.isStateChanged) {
-                renderer.updateData(game.gameState);
+                updateGameData();
             } 
+            renderer.addEvents(game.takeEvents(), 0, time);
+            modeHUD.update(game.gameState, game.gameTickTime);
         } else if (!onTitleScreen) { // Game is over, AND the game was started (not on title screen)
             // Game over! Stop running the game and load the game over screen
             if (gameOverScreen.classList.contains("hide")) {
                 // Display game over screen
+                const highScores = getHighScores(game.options.mode, game.options);
                 gameOverScreen.classList.remove("hide");
+                if (!game.gameState.goalReached) {
+                    gameOverTitle.textContent = "Game Over!";
+                } else {
+                    gameOverTitle.textContent = game.options.timeLimit !== null ? "Time's Up!" : "Finished!";
+                }
                 finalScoreNode.textContent = game.gameState.score;
                 finalLinesNode.textContent = game.gameState.linesCleared;
+                finalTimeNode.textContent = HighScoreTable.formatDuration(game.gameState.ticksPlayed * game.gameTickTime, 2);
+                finalSeedNode.textContent = game.gameState.seed + " (" + (randomizers[game.options.randomizer]?.label ?? game.options.randomizer) + ")";
+                replayMessageNode.textContent = "";
+                gameOverScreen.classList.remove("versus");
+                modeHUD.update(game.gameState, game.gameTickTime);
+
+                if (replayPlayer !== null) {
+                    // Watched replays do not count towards the high scores
+                    stopWatchingReplay();
+                    highScores.renderTo(gameOverHighScores);
+                    newHighScoreText.classList.add("hide");
+                } else {
+                    lastReplay = recorder.finish(game.gameState);
+
+                    // Record the run, highlighting it if it made the table. Runs played with hints are not recorded.
+                    const rank = hintsShown ? -1 : highScores.addRun(HighScoreTable.createRun(game.gameState, game.gameTickTime));
+                    highScores.renderTo(gameOverHighScores, rank);
+                    if (highScores === getHighScores(modeSelect.value, getSelectedModeOptions())) {
+                        highScores.renderTo(titleHighScores, rank);
+                    }
+                    if (hintsShown) {
+                        newHighScoreText.textContent = "Hints were on, so this run was not saved.";
+                        newHighScoreText.classList.remove("hide");
+                    } else if (rank == 0) {
+                        newHighScoreText.textContent = highScores.ranking == "time" ? "New personal best!" : "New high score!";
+                        newHighScoreText.classList.remove("hide");
+                    } else {
+                        newHighScoreText.classList.add("hide");
+                    }
+                }
             }
-        } else {    // Game is "over" and not started (on the title screen)
+        } else if (inDemo) {    // The demo game topped out, so start another one
+            startDemo();
+        } else if (titleScreen.classList.contains("hide") || !howToScreen.classList.contains("hide")) {
+            // Only time spent looking at the title screen counts towards the demo
+            lastActivityTime = time;
+        } else if (time - lastActivityTime >= demoIdleTime) {
+            startDemo();
         }
         
         // Render frame
-        renderer.renderGame();
+        renderer.renderGame(time);
 
         
         // Queue up next frame
         requestAnimationFrame(runGameFrame);
     }
     
-    function startGame() {
+    /**
+     * Finds the placement hint for the player's piece, searching again only when the piece or the grid has changed.
+     * 
+     * @returns {Object | null} The suggested placement (see {@link QuadtrisBot.findBestPlacement()}), or null if hints
+     *                          are turned off, the mode is ranked, or the player is not in control.
+     */
+    function getHint() {
+        const gameState = game.gameState;
+        if (settingsMod.settingsValues.showHints !== "true" || isRankedMode(game.options.mode)
+            || replayPlayer !== null || inDemo || gameState.gameOver || !gameState.playerPiece.active) {
+            return null;
+        }
+
+        if (gameState.playerPiece !== hintPiece || gameState.gridData.some((row, y) => row != hintGrid[y])) {
+            hintPiece = gameState.playerPiece;
+            hintGrid.set(gameState.gridData);
+            hint = hintBot.findBestPlacement();
+        }
+        hintsShown ||= hint !== null;
+        return hint;
+    }
+
+    /**
+     * Sends the single player game's state (and the placement hint, if any) to the renderer.
+     */
+    function updateGameData() {
+        renderer.updateData(game.gameState, 0, getHint());
+    }
+
+    /**
+     * Runs 1 frame of the versus match: both players' inputs, the game ticks, and the garbage meters.
+     * 
+     * @param {number} time The current time (in milliseconds), on the same clock as input events.
+     */
+    function runVersusFrame(time) {
+        for (const versusInput of versusInputs) {
+            versusInput.pollGamepads(time);
+        }
+
+        if (versusMatch.isFinished) {
+            if (gameOverScreen.classList.contains("hide")) {
+                showVersusResult();
+            }
+            return;
+        }
+
+        if (timeSinceGameTick >= versusGames[0].gameTickTime) {
+            timeSinceGameTick = Math.min(timeSinceGameTick - versusGames[0].gameTickTime, versusGames[0].gameTickTime);
+
+            const isPaused = versusGames[0].gameState.isPaused;
+            versusInputs.forEach((versusInput, player) => {
+                versusInput.updateCounters();
+                if (!isPaused && versusBot !== null && versusBot.game === versusGames[player]) {
+                    versusBot.update();
+                } else if (!isPaused) {
+                    // Touch and on-screen buttons are not shared between players
+                    const settings = {...controlProfiles.profiles[controlProfiles.versusNames[player]].settings,
+                        gestureEnable: false, buttonEnable: false};
+                    updateInputs(versusGames[player], versusInput, touchInput, guiInput, settings, versusRepeaters[player], time);
+                }
+            });
+            versusMatch.runTick();
+
+            // Either player can pause
+            if (versusInputs.some((versusInput) => versusInput.getCounter("pause") == 1)) {
+                versusMatch.pause(!isPaused);
+                pauseScreen.classList.toggle("hide", isPaused);
+                if (isPaused) {
+                    howToScreen.classList.add("hide");
+                }
+            }
+        }
+
+        versusGames.forEach((versusGame, player) => {
+            if (versusGame.isStateChanged) {
+                renderer.updateData(versusGame.gameState, player);
+            }
+            renderer.addEvents(versusGame.takeEvents(), player, time);
+            versusSentNodes[player].nodeValue = versusMatch.linesSent[player];
+            // The meter is full at the height of the grid
+            garbageMeters[player].style.width = Math.min(versusMatch.getIncomingRows(player) / 20, 1) * 100 + "%";
+        });
+    }
+
+    /**
+     * Shows the winner of the versus match on the game over screen.
+     */
+    function showVersusResult() {
+        gameOverScreen.classList.add("versus");
+        gameOverScreen.classList.remove("hide");
+        if (versusMatch.winner == -1) {
+            gameOverTitle.textContent = "It's a draw!";
+        } else if (versusBot !== null && versusBot.game === versusGames[versusMatch.winner]) {
+            gameOverTitle.textContent = "The CPU wins!";
+        } else {
+            gameOverTitle.textContent = "Player " + (versusMatch.winner + 1) + " wins!";
+        }
+        finalTimeNode.textContent = HighScoreTable.formatDuration(versusGames[0].gameState.ticksPlayed * versusGames[0].gameTickTime, 2);
+        finalSeedNode.textContent = versusGames[0].gameState.seed + " (" + randomizers[versusGames[0].options.randomizer].label + ")";
+        newHighScoreText.classList.add("hide");
+    }
+
+    /**
+     * Starts a versus match with the player's game settings, and each player's control profile.
+     * Player 2 can be played by the CPU.
+     */
+    function startVersus() {
+        const opponent = versusOpponentSelect.value;
+        versusBot = opponent in QuadtrisBot.presets ? new QuadtrisBot(versusGames[1], QuadtrisBot.presets[opponent]) : null;
+        versusGames.forEach((versusGame, player) => {
+            applyGameSettings(versusGame);
+            applyGameMode(versusGame, "marathon");
+            controlProfiles.applyBindings(versusInputs[player], controlProfiles.versusNames[player]);
+        });
+        versusMatch.options.seed = parseSeed(seedInput.value);
+        versusMatch.start();
+
+        inVersus = true;
+        onTitleScreen = false;
+        container.classList.add("versus");
+        versusInfo.classList.remove("hide");
+        renderer.setBoardCount(2);
+        versusGames.forEach((versusGame, player) => renderer.updateData(versusGame.gameState, player));
+        titleScreen.classList.add("hide");
+        gameOverScreen.classList.add("hide");
+    }
+
+    /**
+     * Leaves versus mode, going back to drawing the single player game.
+     */
+    function stopVersus() {
+        for (const versusGame of versusGames) {
+            versusGame.endGame();
+        }
+        inVersus = false;
+        container.classList.remove("versus");
+        versusInfo.classList.add("hide");
+        renderer.setBoardCount(1);
+        updateGameData();
+    }
+
+    /**
+     * Passes the player's effect settings to the renderer.
+     * 
+     * @param {Object} values The current settings (see {@link SettingsModule.settingsValues}).
+     */
+    function applyEffectSettings(values) {
+        const tetrisEffects = values.tetrisEffects === "true";
+        renderer.setEffectOptions({particles: tetrisEffects, screenShake: tetrisEffects,
+            reducedMotion: values.reducedMotion === "true"});
+    }
+
+    /**
+     * Passes the player's color theme and piece patterns to the renderer.
+     * 
+     * @param {Object} values The current settings (see {@link SettingsModule.settingsValues}).
+     */
+    function applyThemeSettings(values) {
+        renderer.setTheme(getTheme(values.theme), values.blockPatterns === "true");
+    }
+
+    /**
+     * Redraws the boards on screen, so display settings show up while the game is paused.
+     */
+    function redrawBoards() {
+        if (inVersus) {
+            versusGames.forEach((versusGame, player) => renderer.updateData(versusGame.gameState, player));
+        } else {
+            updateGameData();
+        }
+        renderer.renderGame();
+    }
+
+    /**
+     * Sets a game's options from the player's game settings.
+     * 
+     * @param {QuadtrisGame} targetGame The game to change.
+     */
+    function applyGameSettings(targetGame) {
+        targetGame.options.randomizer = settingsMod.settingsValues.randomizer;
+        targetGame.options.levelCurve = settingsMod.settingsValues.levelCurve;
+        // Sliders store their values as text
+        targetGame.options.startLevel = Number(settingsMod.settingsValues.startLevel);
+        targetGame.options.linesPerLevel = Number(settingsMod.settingsValues.linesPerLevel);
+        targetGame.options.lockDelay = Number(settingsMod.settingsValues.lockDelay) / 1000;
+        targetGame.options.lockResetMode = settingsMod.settingsValues.lockResetMode;
+        targetGame.options.moveResetLimit = Number(settingsMod.settingsValues.moveResetLimit);
+        targetGame.options.spawnDrop = settingsMod.settingsValues.spawnDrop === "true";
+        targetGame.options.entryDelay = Number(settingsMod.settingsValues.entryDelay);
+        targetGame.options.lineClearDelay = Number(settingsMod.settingsValues.lineClearDelay);
+        targetGame.options.softDropFactor = Number(settingsMod.settingsValues.softDropFactor);
+    }
+
+    /**
+     * Applies the player's settings and the selected mode to the game's options, then starts a new game.
+     * 
+     * @param {number | null} seed The seed for the piece randomizer (null for a random seed).
+     */
+    function startNewGameWithSettings(seed) {
+        game.options.seed = seed;
+        applyGameSettings(game);
+        applyGameMode(game, modeSelect.value);
+        game.options.rotationSystem = getRotationChoice(modeSelect.value);
+        if (modeSelect.value == "dig") {
+            applyDigSetup(game.options, getDigSetup());
+        }
         game.startNewGame();
-        renderer.updateData(game.gameState);
+        showModeHUD();
+        recorder.start(game);
+        hintsShown = false;
+    }
+
+    /**
+     * Resets the mode display for the game's mode, comparing against the best run in that mode.
+     */
+    function showModeHUD() {
+        const modeName = game.options.mode in gameModes ? game.options.mode : "marathon";
+        // The game's options include any changes the player made to the mode (like the dig setup)
+        modeHUD.setMode({...gameModes[modeName], options: game.options}, getHighScores(modeName, game.options).bestRun);
+    }
+
+    /**
+     * Runs 1 tick of the replay being watched, pausing the replay once it runs out of inputs.
+     */
+    function stepReplay() {
+        if (replayPlayer.isFinished) {
+            setReplayPaused(true);
+            replayStatusNode.textContent = "Replay finished";
+            return;
+        }
+        game.input = replayPlayer.nextInput();
+        game.runTick();
+        replayStatusNode.textContent = HighScoreTable.formatDuration(replayPlayer.frameIndex * game.gameTickTime);
+    }
+
+    /**
+     * Pauses or resumes the replay being watched.
+     * 
+     * @param {boolean} paused Whether the replay should be paused.
+     */
+    function setReplayPaused(paused) {
+        replayPaused = paused;
+        replayPauseButton.textContent = paused ? "Play" : "Pause";
+    }
+
+    /**
+     * Starts a new game that plays out the inputs of a replay.
+     * 
+     * @param {Object} replay The replay to watch.
+     */
+    function watchReplay(replay) {
+        replayPlayer = new ReplayPlayer(replay);
+        replayPlayer.startGame(game);
+        showModeHUD();
+        setReplayPaused(false);
+        replayStatusNode.textContent = "";
+        replayControls.classList.remove("hide");
+        gameOverScreen.classList.add("hide");
+        titleScreen.classList.add("hide");
+        onTitleScreen = false;
+        updateGameData();
+    }
+
+    /**
+     * Returns control of the game to the player.
+     */
+    function stopWatchingReplay() {
+        replayPlayer = null;
+        replayControls.classList.add("hide");
+    }
+
+    /**
+     * Starts a marathon game played by the CPU, with the player's game settings.
+     */
+    function startDemo() {
+        game.options.seed = null;
+        applyGameSettings(game);
+        applyGameMode(game, "marathon");
+        game.startNewGame();
+        demoBot.reset();
+        showModeHUD();
+        inDemo = true;
+        titleScreen.classList.add("hide");
+        demoBanner.classList.remove("hide");
+        updateGameData();
+    }
+
+    /**
+     * Ends the demo game and goes back to the title screen.
+     */
+    function stopDemo() {
+        inDemo = false;
+        game.endGame();
+        updateGameData();
+        demoBanner.classList.add("hide");
+        titleScreen.classList.remove("hide");
+    }
+
+    /**
+     * Notes that the player is at the screen, ending the demo if it is playing.
+     * 
+     * @param {Event} event The key press or click.
+     */
+    function noticeActivity(event) {
+        lastActivityTime = event.timeStamp;
+        if (inDemo) {
+            stopDemo();
+        }
+    }
+    document.addEventListener("keydown", noticeActivity);
+    document.addEventListener("pointerdown", noticeActivity);
+
+    function startGame() {
+        startNewGameWithSettings(parseSeed(seedInput.value));
+        updateGameData();
         renderer.renderGame();
         document.querySelector("#titleScreen").classList.add("hide");
         requestAnimationFrame(runGameFrame);
@@ -139,18 +719,100 @@ function main() {
     }
     
     startButton.addEventListener("click", startGame);
+    document.querySelector("#versusButton").addEventListener("click", startVersus);
+    document.querySelector("#demoButton").addEventListener("click", startDemo);
     document.querySelector("#unpauseButton").addEventListener("click", function() {
-        game.gameState.isPaused = false;
+        if (inVersus) {
+            versusMatch.pause(false);
+        } else {
+            game.gameState.isPaused = false;
+        }
         pauseScreen.classList.add("hide");
     });
     document.querySelector("#replayButton").addEventListener("click", function() {
+        if (inVersus) {
+            startVersus();
+            return;
+        }
+        startNewGameWithSettings(parseSeed(seedInput.value));
+        updateGameData();
+        renderer.renderGame();
+        gameOverScreen.classList.add("hide");
+    });
+    document.querySelector("#replaySeedButton").addEventListener("click", function() {
+        // Keep the randomizer from the last game so the pieces match
+        game.options.seed = game.gameState.seed;
         game.startNewGame();
-        renderer.updateData(game.gameState);
+        showModeHUD();
+        recorder.start(game);
+        hintsShown = false;
+        updateGameData();
         renderer.renderGame();
         gameOverScreen.classList.add("hide");
     });
     
+    // Replay buttons
+    document.querySelector("#watchReplayButton").addEventListener("click", function() {
+        if (lastReplay === null) {
+            replayMessageNode.textContent = "There is no replay to watch.";
+            return;
+        }
+        watchReplay(lastReplay);
+    });
+    document.querySelector("#downloadReplayButton").addEventListener("click", function() {
+        if (lastReplay === null) {
+            replayMessageNode.textContent = "There is no replay to download.";
+            return;
+        }
+        const file = new Blob([serializeReplay(lastReplay)], {type: "application/json"});
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(file);
+        link.download = "quadtris-replay-" + lastReplay.options.seed + ".json";
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+    document.querySelector("#replayFileInput").addEventListener("change", function(event) {
+        const file = event.target.files[0];
+        event.target.value = "";
+        if (file === undefined) {
+            return;
+        }
+        file.text().then((text) => {
+            try {
+                lastReplay = parseReplay(text);
+                watchReplay(lastReplay);
+            } catch (e) {
+                replayMessageNode.textContent = e.message;
+            }
+        });
+    });
+    replayPauseButton.addEventListener("click", function() {
+        setReplayPaused(!replayPaused);
+    });
+    document.querySelector("#replayStepButton").addEventListener("click", function() {
+        if (replayPlayer === null || game.gameState.gameOver) {
+            return;
+        }
+        setReplayPaused(true);
+        stepReplay();
+    });
+    replaySpeedButton.addEventListener("click", function() {
+        // Cycle through 1x, 2x, 4x, and 8x speed
+        replaySpeed = replaySpeed >= 8 ? 1 : replaySpeed * 2;
+        replaySpeedButton.textContent = replaySpeed + "x";
+    });
+    document.querySelector("#replayExitButton").addEventListener("click", function() {
+        stopWatchingReplay();
+        game.endGame();
+        updateGameData();
+        titleScreen.classList.remove("hide");
+        onTitleScreen = true;
+    });
+
     document.querySelector("#returnToTitleButton").addEventListener("click", function() {
+        if (inVersus) {
+            stopVersus();
+        }
         titleScreen.classList.remove("hide");
         gameOverScreen.classList.add("hide");
         onTitleScreen = true;
@@ -160,6 +822,15 @@ function main() {
 
     // Pause button
     document.querySelector("#pauseButton").addEventListener("click", (e) => {
+        if (replayPlayer !== null) {
+            setReplayPaused(!replayPaused);
+            return;
+        }
+        if (inVersus) {
+            versusMatch.pause(true);
+            pauseScreen.classList.remove("hide");
+            return;
+        }
         game.pauseGame(true);
         pauseScreen.classList.remove("hide");
     });
@@ -167,10 +838,94 @@ function main() {
     // Setup settings page
     let settingsDebugMessage = document.createTextNode('');
     document.querySelector("#settingsConsoleText").appendChild(settingsDebugMessage);
-    RebindMod.connectHTMLElements(".controlRebind", inputMod, settingsDebugMessage, settingsScreen);
+    RebindMod.connectHTMLElements(".controlBindings", inputMod, settingsDebugMessage, settingsScreen);
+
+    // Control profiles
+    const profileSelect = document.querySelector("#profileSelect");
+    const versusProfileSelects = [document.querySelector("#versusProfile0"), document.querySelector("#versusProfile1")];
+    const profileMessageNode = document.createTextNode('');
+    document.querySelector("#profileMessage").appendChild(profileMessageNode);
+    /**
+     * Lists the profiles in the dropdown, and applies the active profile's controls and settings.
+     */
+    function showActiveProfile() {
+        for (const select of [profileSelect, ...versusProfileSelects]) {
+            select.replaceChildren();
+            for (const name of controlProfiles.names) {
+                const option = document.createElement("option");
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
+            }
+        }
+        profileSelect.value = controlProfiles.activeName;
+        versusProfileSelects.forEach((select, player) => {
+            select.value = controlProfiles.versusNames[player];
+        });
+
+        controlProfiles.applyBindings(inputMod);
+        RebindMod.refreshBindingLabels(inputMod);
+        settingsMod.applyValues(controlProfiles.active.settings);
+    }
+    showActiveProfile();
+    profileSelect.addEventListener("change", function() {
+        controlProfiles.select(profileSelect.value);
+        showActiveProfile();
+        profileMessageNode.textContent = "Switched to " + controlProfiles.activeName + ".";
+    });
+    versusProfileSelects.forEach((select, player) => {
+        select.addEventListener("change", function() {
+            controlProfiles.selectVersus(player, select.value);
+        });
+    });
+    document.querySelector("#newProfileButton").addEventListener("click", function() {
+        const name = prompt("Name the new profile (it starts as a copy of " + controlProfiles.activeName + "):");
+        if (name === null || name.trim() == "") {
+            return;
+        }
+        controlProfiles.create(name.trim());
+        showActiveProfile();
+        profileMessageNode.textContent = "Created " + controlProfiles.activeName + ".";
+    });
+    document.querySelector("#deleteProfileButton").addEventListener("click", function() {
+        const name = controlProfiles.activeName;
+        if (!controlProfiles.remove(name)) {
+            profileMessageNode.textContent = "The last profile can't be deleted.";
+            return;
+        }
+        showActiveProfile();
+        profileMessageNode.textContent = name in controlProfiles.profiles ? "Reset " + name + " to its original controls." : "Deleted " + name + ".";
+    });
+    document.querySelector("#exportProfileButton").addEventListener("click", function() {
+        const name = controlProfiles.activeName;
+        const file = new Blob([controlProfiles.exportProfile(name)], {type: "application/json"});
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(file);
+        link.download = "quadtris-controls-" + name.replace(/[^\w-]+/g, "_") + ".json";
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+    document.querySelector("#profileFileInput").addEventListener("change", function(event) {
+        const file = event.target.files[0];
+        event.target.value = "";
+        if (file === undefined) {
+            return;
+        }
+        file.text().then((text) => {
+            try {
+                controlProfiles.importProfile(text);
+                showActiveProfile();
+                profileMessageNode.textContent = "Imported " + controlProfiles.activeName + ".";
+            } catch (e) {
+                profileMessageNode.textContent = e.message;
+            }
+        });
+    });
     
     document.querySelector("#exitSettingsButton").addEventListener("click", function(){
         settingsScreen.classList.add("hide");
+        // The dig settings choose which high score table to show
+        showSelectedMode();
     });
     
     document.querySelectorAll(".settingsButton").forEach(function(button, key, parent) {
@@ -186,50 +941,72 @@ function main() {
 
 }
 
+/**
+ * Creates the auto-repeat timers for moving left and right with each kind of input.
+ * 
+ * @returns {{keyboard: Object<string, AutoRepeat>, button: Object<string, AutoRepeat>}} The timers.
+ */
+function createRepeaters() {
+    return {
+        keyboard: {moveLeft: new AutoRepeat(), moveRight: new AutoRepeat()},
+        button: {moveLeft: new AutoRepeat(), moveRight: new AutoRepeat()}
+    };
+}
+
 /**
  * Processes input modules to update the game's state.
  * @param {QuadtrisGame} game
  * @param {QuadtrisInput} inputMod
  * @param {TouchInput} touchInput
  * @param {GUIButtonInput} guiInput
+ * @param {Object} settings The current settings (see {@link SettingsModule.settingsValues}).
+ * @param {{keyboard: Object<string, AutoRepeat>, button: Object<string, AutoRepeat>}} repeaters
+ *      The auto-repeat timers for moving left and right with each kind of input.
+ * @param {number} time The current time (in milliseconds), on the same clock as input events.
  */
-function updateInputs(game, inputMod, touchInput, guiInput, settings) {
-    let keyboardRepeatDelay = settings.keyboardRepeatDelay;    // The number of frames before moving left/right repeats if held down.
-    let guiRepeatDelay = settings.buttonRepeatDelay;
+function updateInputs(game, inputMod, touchInput, guiInput, settings, repeaters, time) {
+    // Sliders store their values as text
+    for (const repeat of Object.values(repeaters.keyboard)) {
+        repeat.das = Number(settings.keyboardDas);
+        repeat.arr = Number(settings.keyboardArr);
+    }
+    for (const repeat of Object.values(repeaters.button)) {
+        repeat.das = Number(settings.buttonDas);
+        repeat.arr = Number(settings.buttonArr);
+    }
     
+    // While the next piece is waiting to appear, rotate and hold keys that are still held are sent every tick,
+    // so the game can apply them as the piece appears (IRS and IHS)
+    const isPieceWaiting = game.isPieceWaiting;
+
     // Single inputs (holding input does not activate multiple actions)
     if (inputMod.getCounter("hardDrop") == 1) {
         game.input.hardDrop = true;
     }
-    if (inputMod.getCounter("hold") == 1) {
-        game.input.hold = true;
-    }
-    if (inputMod.getCounter("rotateClockwise") == 1) {
-        game.input.rotateClockwise = true;
-    }
-    if (inputMod.getCounter("rotateAnticlockwise") == 1) {
-        game.input.rotateAnticlockwise= true;
+    for (const action of ["hold", "rotateClockwise", "rotateAnticlockwise", "rotate180"]) {
+        if (inputMod.getCounter(action) == 1 || (isPieceWaiting && inputMod.getInputState(action))) {
+            game.input[action] = true;
+        }
     }
     
     // Continuous inputs (holding input activates repeatedly)
     if (inputMod.getInputState("softDrop")) {
         game.input.softDrop = true;
     }
-    if (inputMod.getCounter("moveLeft") == 1 || inputMod.getCounter("moveLeft") > keyboardRepeatDelay) {
-        game.input.moveLeft = true;
-    }
-    if (inputMod.getCounter("moveRight") == 1 || inputMod.getCounter("moveRight") > keyboardRepeatDelay) {
-        game.input.moveRight = true;
+    for (const action of ["moveLeft", "moveRight"]) {
+        repeaters.keyboard[action].setPressTime(inputMod.getPressTime(action));
+        addMoves(game, action, repeaters.keyboard[action].update(time));
     }
 
     // Touch controls
     if (settings.gestureEnable) {
-        if (touchInput.leftQueue > 0) {
-            game.input.moveLeft = true;
+        // Swipes made while the next piece is waiting are kept for when it appears
+        if (touchInput.leftQueue > 0 && !isPieceWaiting) {
+            addMoves(game, "moveLeft", 1);
             touchInput.leftQueue--;
         }
-        if (touchInput.rightQueue > 0) {
-            game.input.moveRight = true;
+        if (touchInput.rightQueue > 0 && !isPieceWaiting) {
+            addMoves(game, "moveRight", 1);
             touchInput.rightQueue--;
         }
     
@@ -237,12 +1014,14 @@ function updateInputs(game, inputMod, touchInput, guiInput, settings) {
             game.input.softDrop = true;
         }
     
-        if (touchInput.rotate.left) {
+        if (touchInput.rotate.half) {
+            game.input.rotate180 = true;
+        } else if (touchInput.rotate.left) {
             game.input.rotateAnticlockwise = true;
         } else if (touchInput.rotate.right) {
             game.input.rotateClockwise = true;
         }
-        touchInput.rotate = {left: false, right: false};
+        touchInput.rotate = {left: false, right: false, half: false};
     
         if (touchInput.hardDrop) {
             game.input.hardDrop = true;
@@ -257,24 +1036,19 @@ function updateInputs(game, inputMod, touchInput, guiInput, settings) {
 
     // GUI controls
     if (settings.buttonEnable) {
-        guiInput.countFrame();  // Count frame for horizontal movement
-        if (guiInput.frameCounter.moveLeft == 1 || guiInput.frameCounter.moveLeft > guiRepeatDelay) {
-            game.input.moveLeft = true;
-        }
-        if (guiInput.frameCounter.moveRight == 1 || guiInput.frameCounter.moveRight > guiRepeatDelay) {
-            game.input.moveRight = true;
+        for (const action of ["moveLeft", "moveRight"]) {
+            repeaters.button[action].setPressTime(guiInput.pressTimes[action]);
+            addMoves(game, action, repeaters.button[action].update(time) + guiInput.takeTaps(action));
         }
-        if (guiInput.frameCounter.softDrop >= 1) {
+        // Collect the taps every tick, so they don't pile up while the button is held
+        const softDropTaps = guiInput.takeTaps("softDrop");
+        if (guiInput.getInput("softDrop") || softDropTaps > 0) {
             game.input.softDrop = true;
         }
-        if (guiInput.getInput("hold")) {
-            game.input.hold = true;   
-        }
-        if (guiInput.getInput("rotateClockwise")) {
-            game.input.rotateClockwise = true;
-        }
-        if (guiInput.getInput("rotateAnticlockwise")) {
-            game.input.rotateAnticlockwise = true;   
+        for (const action of ["hold", "rotateClockwise", "rotateAnticlockwise", "rotate180"]) {
+            if (guiInput.getInput(action) || (isPieceWaiting && guiInput.isHeld(action))) {
+                game.input[action] = true;
+            }
         }
         if (guiInput.getInput("hardDrop")) {
             game.input.hardDrop = true;
@@ -284,4 +1058,15 @@ function updateInputs(game, inputMod, touchInput, guiInput, settings) {
     }
 }
 
+/**
+ * Adds cells of horizontal movement to the game's input for the next tick.
+ * 
+ * @param {QuadtrisGame}    game    The game to move the piece in.
+ * @param {string}          action  "moveLeft" or "moveRight".
+ * @param {number}          cells   The number of cells to move.
+ */
+function addMoves(game, action, cells) {
+    game.input[action] = Number(game.input[action]) + cells;
+}
+
 main();
\ No newline at end of file
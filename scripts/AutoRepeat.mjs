@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Contains a class definition for AutoRepeat, which turns a held button into repeated movement
+ * using Delayed Auto Shift (DAS) and Auto Repeat Rate (ARR), measured in milliseconds.
+ *
+ * @author Alex Wills
+ */
+
+/**
+ * Counts how many times a held action should repeat, from the time the button was pressed.
+ *
+ * The action happens once when the button is pressed. After the button has been held for the DAS,
+ * the action repeats once every ARR. Because the count is worked out from the press time rather
+ * than from game ticks, the timing is not limited to the length of a tick: with a short ARR, the
+ * action can repeat several times in one tick. An ARR of 0 repeats the action as many times as
+ * possible (moving a piece straight to the wall).
+ *
+ * @example
+ * let repeat = new AutoRepeat(167, 33);
+ * // Every tick
+ * repeat.setPressTime(inputMod.getPressTime("moveLeft"));
+ * game.input.moveLeft = repeat.update(performance.now());
+ */
+export class AutoRepeat {
+
+    /**
+     * The delay (in milliseconds) before the action starts repeating.
+     *
+     * @type {number}
+     */
+    das;
+
+    /**
+     * The time (in milliseconds) between repeats, or 0 to repeat instantly.
+     *
+     * @type {number}
+     */
+    arr;
+
+    /**
+     * The most times the action can happen in a single update (used for instant repeats).
+     *
+     * @type {number}
+     */
+    maxRepeats;
+
+    /** The time the button was pressed, or null if it is not held. @type {number | null} */
+    #pressTime = null;
+
+    /** The number of times the action has happened since the button was pressed. @type {number} */
+    #actionCount = 0;
+
+    /**
+     * @param {number} das          The delay (in milliseconds) before the action starts repeating.
+     * @param {number} arr          The time (in milliseconds) between repeats, or 0 to repeat instantly.
+     * @param {number} maxRepeats   The most times the action can happen in a single update.
+     */
+    constructor(das = 167, arr = 33, maxRepeats = 10) {
+        this.das = das;
+        this.arr = arr;
+        this.maxRepeats = maxRepeats;
+    }
+
+    /**
+     * Whether the button is being held.
+     *
+     * @type {boolean}
+     */
+    get isHeld() {
+        return this.#pressTime !== null;
+    }
+
+    /**
+     * Starts counting from a button press.
+     *
+     * @param {number} time The time of the press (in milliseconds), like a keyboard event's timeStamp.
+     */
+    press(time) {
+        this.#pressTime = time;
+        this.#actionCount = 0;
+    }
+
+    /**
+     * Stops repeating the action.
+     */
+    release() {
+        this.#pressTime = null;
+    }
+
+    /**
+     * Presses or releases the button to match an input's press time.
+     *
+     * @param {number | null} pressTime The time the button was pressed, or null if it is not held.
+     *                                  A different time than before counts as a new press.
+     */
+    setPressTime(pressTime) {
+        if (pressTime === null) {
+            this.release();
+        } else if (pressTime !== this.#pressTime) {
+            this.press(pressTime);
+        }
+    }
+
+    /**
+     * Counts the actions that are due since the last update.
+     *
+     * @param {number} time The current time (in milliseconds), on the same clock as the press time.
+     * @returns {number} The number of times to do the action now (0 if the button is not held).
+     */
+    update(time) {
+        if (this.#pressTime === null) {
+            return 0;
+        }
+
+        // 1 action for the press, then 1 more when the DAS runs out, then 1 more every ARR
+        const heldTime = Math.max(time - this.#pressTime, 0);
+        let totalActions = 1;
+        if (heldTime >= this.das) {
+            totalActions = this.arr <= 0 ? Infinity : 2 + Math.floor((heldTime - this.das) / this.arr);
+        }
+
+        if (totalActions === Infinity) {
+            // Keep repeating while the button is held, so new pieces move instantly too
+            this.#actionCount = totalActions;
+            return this.maxRepeats;
+        }
+
+        const dueActions = Math.min(totalActions - this.#actionCount, this.maxRepeats);
+        this.#actionCount = totalActions;
+        return dueActions;
+    }
+}
@@ -0,0 +1,530 @@
+/**
+ * @fileoverview Contains a class definition for ControlProfiles, which keeps named sets of controls in Local Storage.
+ *
+ * A control profile bundles the key bindings for every input action with the handling settings
+ * that go with them (repeat delays and gesture sensitivities), so a player can switch between
+ * setups like "Keyboard WASD", "Arrows" or "Phone" in one step. Profiles can also be shared as JSON files.
+ *
+ * @author Alex Wills
+ */
+import { storage, isPlainObject, isValidSetting } from "./Storage.mjs";
+
+/**
+ * The format name written into every exported profile, used to recognize profiles when importing.
+ *
+ * @type {string}
+ */
+const PROFILE_FORMAT = "quadtris-controls";
+
+/**
+ * The version of the saved and exported profiles. Increase this when the profile layout changes.
+ *
+ * @type {number}
+ */
+export const PROFILE_VERSION = 1;
+
+/**
+ * The storage key that the profiles are saved under.
+ *
+ * @see {@link QuadtrisStorage}
+ * @type {string}
+ */
+const STORAGE_KEY = "controlProfiles";
+
+/**
+ * The settings (from {@link SettingsModule.settingsValues}) that belong to a control profile.
+ *
+ * @type {string[]}
+ */
+export const profileSettings = [
+    "gestureEnable",
+    "buttonEnable",
+    "keyboardDas",
+    "keyboardArr",
+    "gestureGridIncrement",
+    "gestureDirectionSwapAssist",
+    "gestureHardDropDistance",
+    "gestureHardDropTimer",
+    "buttonDas",
+    "buttonArr"
+];
+
+/**
+ * The input actions that are saved in a profile's bindings.
+ *
+ * @type {string[]}
+ */
+export const profileActions = ["moveLeft", "moveRight", "hardDrop", "softDrop", "hold",
+    "rotateClockwise", "rotateAnticlockwise", "rotate180", "pause"];
+
+/** The gamepad bindings shared by the built-in profiles. */
+const GAMEPAD_BINDINGS = {
+    moveLeft: ["Gamepad:Button14", "Gamepad:Axis0-"],
+    moveRight: ["Gamepad:Button15", "Gamepad:Axis0+"],
+    hardDrop: ["Gamepad:Button12"],
+    softDrop: ["Gamepad:Button13", "Gamepad:Axis1+"],
+    hold: ["Gamepad:Button4", "Gamepad:Button5"],
+    rotateClockwise: ["Gamepad:Button1"],
+    rotateAnticlockwise: ["Gamepad:Button0"],
+    rotate180: ["Gamepad:Button3"],
+    pause: ["Gamepad:Button9"]
+};
+
+/** The handling settings shared by the built-in profiles. */
+const DEFAULT_HANDLING = {
+    keyboardDas: 167,
+    keyboardArr: 33,
+    gestureGridIncrement: 40,
+    gestureDirectionSwapAssist: 0,
+    gestureHardDropDistance: 150,
+    gestureHardDropTimer: 200,
+    buttonDas: 167,
+    buttonArr: 33
+};
+
+/**
+ * The profiles every player starts with, by name. A player's changes to a built-in profile are saved
+ * over it, and deleting a built-in profile brings back the original.
+ *
+ * @type {Object<string, {bindings: Object<string, string[]>, settings: Object}>}
+ */
+export const builtInProfiles = {
+    "Keyboard WASD": {
+        bindings: {
+            moveLeft: ["A", ...GAMEPAD_BINDINGS.moveLeft],
+            moveRight: ["D", ...GAMEPAD_BINDINGS.moveRight],
+            hardDrop: ["W", ...GAMEPAD_BINDINGS.hardDrop],
+            softDrop: ["S", ...GAMEPAD_BINDINGS.softDrop],
+            hold: ["E", ...GAMEPAD_BINDINGS.hold],
+            rotateClockwise: ["ArrowRight", ...GAMEPAD_BINDINGS.rotateClockwise],
+            rotateAnticlockwise: ["ArrowLeft", ...GAMEPAD_BINDINGS.rotateAnticlockwise],
+            rotate180: ["ArrowUp", ...GAMEPAD_BINDINGS.rotate180],
+            pause: ["Escape", ...GAMEPAD_BINDINGS.pause]
+        },
+        settings: {gestureEnable: false, buttonEnable: false, ...DEFAULT_HANDLING}
+    },
+    "Arrows": {
+        bindings: {
+            moveLeft: ["ArrowLeft", ...GAMEPAD_BINDINGS.moveLeft],
+            moveRight: ["ArrowRight", ...GAMEPAD_BINDINGS.moveRight],
+            hardDrop: [" ", ...GAMEPAD_BINDINGS.hardDrop],
+            softDrop: ["ArrowDown", ...GAMEPAD_BINDINGS.softDrop],
+            hold: ["C", "Shift", GAMEPAD_BINDINGS.hold[0]],
+            rotateClockwise: ["X", "ArrowUp", ...GAMEPAD_BINDINGS.rotateClockwise],
+            rotateAnticlockwise: ["Z", "Control", ...GAMEPAD_BINDINGS.rotateAnticlockwise],
+            rotate180: ["A", ...GAMEPAD_BINDINGS.rotate180],
+            pause: ["Escape", ...GAMEPAD_BINDINGS.pause]
+        },
+        settings: {gestureEnable: false, buttonEnable: false, ...DEFAULT_HANDLING}
+    },
+    "Phone": {
+        bindings: {
+            moveLeft: ["A", ...GAMEPAD_BINDINGS.moveLeft],
+            moveRight: ["D", ...GAMEPAD_BINDINGS.moveRight],
+            hardDrop: ["W", ...GAMEPAD_BINDINGS.hardDrop],
+            softDrop: ["S", ...GAMEPAD_BINDINGS.softDrop],
+            hold: ["E", ...GAMEPAD_BINDINGS.hold],
+            rotateClockwise: ["ArrowRight", ...GAMEPAD_BINDINGS.rotateClockwise],
+            rotateAnticlockwise: ["ArrowLeft", ...GAMEPAD_BINDINGS.rotateAnticlockwise],
+            rotate180: ["ArrowUp", ...GAMEPAD_BINDINGS.rotate180],
+            pause: ["Escape", ...GAMEPAD_BINDINGS.pause]
+        },
+        settings: {gestureEnable: true, buttonEnable: true, ...DEFAULT_HANDLING}
+    },
+    // For 2 players sharing a keyboard in versus mode
+    "Versus Left": {
+        bindings: {
+            moveLeft: ["A", ...GAMEPAD_BINDINGS.moveLeft],
+            moveRight: ["D", ...GAMEPAD_BINDINGS.moveRight],
+            hardDrop: ["W", ...GAMEPAD_BINDINGS.hardDrop],
+            softDrop: ["S", ...GAMEPAD_BINDINGS.softDrop],
+            hold: ["Q", ...GAMEPAD_BINDINGS.hold],
+            rotateClockwise: ["G", ...GAMEPAD_BINDINGS.rotateClockwise],
+            rotateAnticlockwise: ["F", ...GAMEPAD_BINDINGS.rotateAnticlockwise],
+            rotate180: ["R", ...GAMEPAD_BINDINGS.rotate180],
+            pause: ["Escape", ...GAMEPAD_BINDINGS.pause]
+        },
+        settings: {gestureEnable: false, buttonEnable: false, ...DEFAULT_HANDLING}
+    },
+    "Versus Right": {
+        bindings: {
+            moveLeft: ["ArrowLeft", ...GAMEPAD_BINDINGS.moveLeft],
+            moveRight: ["ArrowRight", ...GAMEPAD_BINDINGS.moveRight],
+            hardDrop: ["ArrowUp", ...GAMEPAD_BINDINGS.hardDrop],
+            softDrop: ["ArrowDown", ...GAMEPAD_BINDINGS.softDrop],
+            hold: ["M", ...GAMEPAD_BINDINGS.hold],
+            rotateClockwise: [".", ...GAMEPAD_BINDINGS.rotateClockwise],
+            rotateAnticlockwise: [",", ...GAMEPAD_BINDINGS.rotateAnticlockwise],
+            rotate180: ["/", ...GAMEPAD_BINDINGS.rotate180],
+            pause: ["Escape", ...GAMEPAD_BINDINGS.pause]
+        },
+        settings: {gestureEnable: false, buttonEnable: false, ...DEFAULT_HANDLING}
+    }
+};
+
+/**
+ * The name of the profile made from controls saved before profiles existed.
+ *
+ * @type {string}
+ */
+const MIGRATED_PROFILE_NAME = "My Controls";
+
+/**
+ * The built-in profiles that player 1 and player 2 start with in versus mode.
+ *
+ * @type {string[]}
+ */
+const DEFAULT_VERSUS_NAMES = ["Versus Left", "Versus Right"];
+
+/**
+ * Named control profiles, saved in storage, with one of them active.
+ *
+ * Each profile is a plain object with the following properties:
+ * - bindings   {Object<string, string[]>} The keys bound to each input action (see {@link QuadtrisInput.inputKeys}).
+ * - settings   {Object} The handling settings (see {@link profileSettings}).
+ *
+ * @example
+ * let profiles = new ControlProfiles("Keyboard WASD");
+ * profiles.applyBindings(inputMod);
+ * settingsMod.applyValues(profiles.active.settings);
+ * // When the player changes a control
+ * profiles.updateActive({bindings: ControlProfiles.readBindings(inputMod)});
+ */
+export class ControlProfiles {
+
+    /**
+     * The saved profiles, by name.
+     *
+     * @type {Object<string, {bindings: Object<string, string[]>, settings: Object}>}
+     */
+    profiles = {};
+
+    /**
+     * The name of the profile in use.
+     *
+     * @type {string}
+     */
+    activeName = "";
+
+    /**
+     * The names of the profiles used by player 1 and player 2 in versus mode.
+     *
+     * @type {string[]}
+     */
+    versusNames = [...DEFAULT_VERSUS_NAMES];
+
+    /**
+     * Creates the profile list and loads the profiles saved from previous sessions.
+     *
+     * If nothing was saved yet, the built-in profiles are used, and any controls saved by older
+     * versions of the game are moved into a new profile.
+     *
+     * @param {string} defaultName The built-in profile to use if none was chosen before.
+     */
+    constructor(defaultName = "Keyboard WASD") {
+        this.load(defaultName);
+    }
+
+    /**
+     * The profile in use.
+     *
+     * @type {{bindings: Object<string, string[]>, settings: Object}}
+     */
+    get active() {
+        return this.profiles[this.activeName];
+    }
+
+    /**
+     * The names of every profile, in the order they were added.
+     *
+     * @type {string[]}
+     */
+    get names() {
+        return Object.keys(this.profiles);
+    }
+
+    /**
+     * Reads the profiles from storage, migrating older saves.
+     *
+     * @param {string} defaultName The built-in profile to use if none was chosen before.
+     */
+    load(defaultName) {
+        const saved = storage.read(STORAGE_KEY, null, (value) => isPlainObject(value)
+            && value.version === PROFILE_VERSION && isPlainObject(value.profiles) && typeof value.active === "string");
+
+        if (saved !== null) {
+            this.profiles = {};
+            for (const [name, profile] of Object.entries(saved.profiles)) {
+                this.profiles[name] = normalizeProfile(profile);
+            }
+            this.activeName = saved.active;
+            // Built-in profiles added since the profiles were saved
+            for (const [name, profile] of Object.entries(builtInProfiles)) {
+                this.profiles[name] ??= structuredClone(profile);
+            }
+            if (Array.isArray(saved.versus)) {
+                this.versusNames = DEFAULT_VERSUS_NAMES.map((fallback, player) => saved.versus[player] in this.profiles ? saved.versus[player] : fallback);
+            }
+        } else {
+            this.profiles = structuredClone(builtInProfiles);
+            this.activeName = defaultName;
+            this.#migrateLegacyControls();
+        }
+
+        if (!(this.activeName in this.profiles)) {
+            this.activeName = this.names[0] ?? defaultName;
+            this.profiles[this.activeName] ??= structuredClone(builtInProfiles["Keyboard WASD"]);
+        }
+        this.save();
+    }
+
+    /**
+     * Writes the profiles to storage.
+     */
+    save() {
+        storage.write(STORAGE_KEY, {
+            version: PROFILE_VERSION,
+            active: this.activeName,
+            versus: this.versusNames,
+            profiles: this.profiles
+        });
+    }
+
+    /**
+     * Switches to another profile.
+     *
+     * @param {string} name The name of the profile.
+     * @returns {boolean} Whether the profile exists and is now active.
+     */
+    select(name) {
+        if (!(name in this.profiles)) {
+            return false;
+        }
+        this.activeName = name;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Adds a new profile, copied from the active one, and switches to it.
+     *
+     * @param {string} name The name of the new profile. If it is taken, a number is added to the end.
+     * @returns {string} The name the profile was saved under.
+     */
+    create(name) {
+        const uniqueName = this.#uniqueName(name);
+        this.profiles[uniqueName] = structuredClone(this.active);
+        this.activeName = uniqueName;
+        this.save();
+        return uniqueName;
+    }
+
+    /**
+     * Deletes a profile. Deleting a built-in profile resets it to its original controls instead.
+     *
+     * @param {string} name The name of the profile.
+     * @returns {boolean} Whether the profile was deleted or reset (the last custom profile can't be deleted
+     *                    if it is the only one).
+     */
+    remove(name) {
+        if (!(name in this.profiles)) {
+            return false;
+        }
+        if (name in builtInProfiles) {
+            this.profiles[name] = structuredClone(builtInProfiles[name]);
+        } else if (this.names.length > 1) {
+            delete this.profiles[name];
+            if (this.activeName == name) {
+                this.activeName = this.names[0];
+            }
+            this.versusNames = this.versusNames.map((versusName, player) => versusName in this.profiles ? versusName : DEFAULT_VERSUS_NAMES[player]);
+        } else {
+            return false;
+        }
+        this.save();
+        return true;
+    }
+
+    /**
+     * Saves changes to the active profile.
+     *
+     * @param {{bindings?: Object<string, string[]>, settings?: Object}} changes The new bindings and/or settings.
+     *      Only the settings listed in {@link profileSettings} are kept.
+     */
+    updateActive(changes) {
+        const profile = this.active;
+        if (changes.bindings !== undefined) {
+            Object.assign(profile.bindings, changes.bindings);
+        }
+        if (changes.settings !== undefined) {
+            for (const setting of profileSettings) {
+                if (setting in changes.settings) {
+                    profile.settings[setting] = changes.settings[setting];
+                }
+            }
+        }
+        this.save();
+    }
+
+    /**
+     * Chooses the profile a player uses in versus mode.
+     *
+     * @param {number} player   The player's index (0 or 1).
+     * @param {string} name     The name of the profile.
+     * @returns {boolean} Whether the profile exists and was chosen.
+     */
+    selectVersus(player, name) {
+        if (!(name in this.profiles)) {
+            return false;
+        }
+        this.versusNames[player] = name;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Binds a profile's keys in an input module.
+     *
+     * @param {QuadtrisInput}   inputMod    The game's input module.
+     * @param {string}          name        The name of the profile (the active profile by default).
+     */
+    applyBindings(inputMod, name = this.activeName) {
+        for (const [action, keys] of Object.entries(this.profiles[name].bindings)) {
+            inputMod.setBindings(action, keys);
+        }
+    }
+
+    /**
+     * Converts a profile into text, to be saved as a file.
+     *
+     * @param {string} name The name of the profile.
+     * @returns {string} The profile as JSON.
+     */
+    exportProfile(name) {
+        return JSON.stringify({
+            format: PROFILE_FORMAT,
+            version: PROFILE_VERSION,
+            name: name,
+            ...this.profiles[name]
+        }, null, 2);
+    }
+
+    /**
+     * Adds a profile from an exported file, and switches to it.
+     *
+     * @param {string} text The contents of a profile file.
+     * @returns {string} The name the profile was saved under (a number is added if the name is taken).
+     * @throws {Error} If the text is not a valid profile.
+     */
+    importProfile(text) {
+        let imported;
+        try {
+            imported = JSON.parse(text);
+        } catch (e) {
+            throw new Error("The file is not a Quadtris control profile.");
+        }
+
+        if (imported === null || imported.format !== PROFILE_FORMAT) {
+            throw new Error("The file is not a Quadtris control profile.");
+        }
+        if (imported.version !== PROFILE_VERSION) {
+            throw new Error("This profile was made with a different version of Quadtris (profile version " + imported.version + ").");
+        }
+        if (typeof imported.name !== "string" || imported.name.trim() == ""
+            || typeof imported.bindings !== "object" || imported.bindings === null) {
+            throw new Error("The profile file is damaged.");
+        }
+
+        const name = this.#uniqueName(imported.name.trim());
+        this.profiles[name] = normalizeProfile(imported);
+        this.activeName = name;
+        this.save();
+        return name;
+    }
+
+    /**
+     * Reads every action's bindings from an input module, in the layout used by profiles.
+     *
+     * @static
+     *
+     * @param {QuadtrisInput} inputMod The game's input module.
+     * @returns {Object<string, string[]>} The keys bound to each action.
+     */
+    static readBindings(inputMod) {
+        let bindings = {};
+        for (const action of profileActions) {
+            bindings[action] = inputMod.actionToKeys(action);
+        }
+        return bindings;
+    }
+
+    /**
+     * Finds a profile name that is not taken, by adding a number to the end if needed.
+     *
+     * @param {string} name The name to start from.
+     * @returns {string} A free name.
+     */
+    #uniqueName(name) {
+        let uniqueName = name;
+        for (let i = 2; uniqueName in this.profiles; i++) {
+            uniqueName = name + " (" + i + ")";
+        }
+        return uniqueName;
+    }
+
+    /**
+     * Moves controls saved before profiles existed into a new profile.
+     *
+     * Older versions saved each action's bindings on their own (collected into "legacyBindings" by the
+     * storage migrations), and the handling settings with the other settings.
+     */
+    #migrateLegacyControls() {
+        let profile = structuredClone(this.active ?? builtInProfiles["Keyboard WASD"]);
+        let foundLegacy = false;
+
+        const legacyBindings = storage.read("legacyBindings", {}, isPlainObject);
+        for (const action of profileActions) {
+            if (Array.isArray(legacyBindings[action])) {
+                profile.bindings[action] = legacyBindings[action].filter((key) => typeof key === "string");
+                foundLegacy = true;
+            }
+        }
+        storage.remove("legacyBindings");
+
+        const savedSettings = storage.read("settings", {}, isPlainObject);
+        for (const setting of profileSettings) {
+            if (setting in savedSettings) {
+                profile.settings[setting] = savedSettings[setting];
+                foundLegacy = true;
+            }
+        }
+
+        if (foundLegacy) {
+            this.profiles[MIGRATED_PROFILE_NAME] = normalizeProfile(profile);
+            this.activeName = MIGRATED_PROFILE_NAME;
+        }
+    }
+}
+
+/**
+ * Copies the parts of a saved or imported profile that the game uses, filling in anything missing or not valid.
+ *
+ * @param {Object} profile The profile to read.
+ * @returns {{bindings: Object<string, string[]>, settings: Object}} A complete profile.
+ */
+function normalizeProfile(profile) {
+    const defaults = builtInProfiles["Keyboard WASD"];
+    let normalized = {bindings: {}, settings: {}};
+
+    for (const action of profileActions) {
+        const keys = profile.bindings?.[action];
+        normalized.bindings[action] = Array.isArray(keys) ? keys.filter((key) => typeof key === "string")
+                                                          : [...defaults.bindings[action]];
+    }
+    for (const setting of profileSettings) {
+        // Values of the wrong type (like a word for a delay) fall back to the default, setting by setting
+        const value = profile.settings?.[setting];
+        normalized.settings[setting] = isValidSetting(defaults.settings[setting], value) ? value : defaults.settings[setting];
+    }
+    return normalized;
+}
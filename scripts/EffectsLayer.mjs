@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Contains a class definition for EffectsLayer, which works out the short visual effects drawn over
+ * a game board from the events the game reports (see {@link QuadtrisGame.takeEvents()}).
+ *
+ * @author Alex Wills
+ */
+
+/**
+ * Keeps track of the effects on 1 board, and draws them into a 10x20 RGBA overlay for the renderer.
+ *
+ * - Cleared rows flash white, then dissolve cell by cell.
+ * - A piece that locks brightens for a moment.
+ * - A hard drop leaves a trail above the piece.
+ * - A Tetris bursts into particles and shakes the board (if turned on in the options).
+ *
+ * With reduced motion, the trails, particles and shaking are left out, and cleared rows fade evenly instead of dissolving.
+ * The effects are timed in milliseconds from the time given to each method (like the time of an animation frame),
+ * so they play at the same speed whatever the game is doing.
+ *
+ * @example
+ * let effects = new EffectsLayer({reducedMotion: true});
+ * // Every frame
+ * effects.addEvents(game.takeEvents(), time);
+ * effects.update(time);
+ * effects.drawCells(rgbaData, time, colorMap);
+ */
+export class EffectsLayer {
+
+    /**
+     * Default values for {@link EffectsLayer.options}.
+     *
+     * @static
+     */
+    static defaultOptions = {
+        /** Whether Tetrises burst into particles. @type {boolean} */
+        particles: true,
+
+        /** Whether Tetrises shake the board. @type {boolean} */
+        screenShake: true,
+
+        /** Whether to leave out the moving effects (trails, particles and shaking). @type {boolean} */
+        reducedMotion: false,
+
+        /** Source of the random numbers (0-1) used to dissolve rows and scatter particles. @type {function(): number} */
+        random: Math.random
+    };
+
+    /**
+     * How long (in milliseconds) each effect lasts. Cleared rows stay white for the flash, then dissolve
+     * for the rest of the line clear time.
+     *
+     * @static
+     * @type {{flash: number, lineClear: number, lock: number, trail: number, shake: number, particle: number}}
+     */
+    static durations = {flash: 80, lineClear: 400, lock: 200, trail: 250, shake: 350, particle: 900};
+
+    /**
+     * How far (in canvas units, where the board is 400x500) the board moves at the start of a shake.
+     *
+     * @static
+     * @type {number}
+     */
+    static shakeSize = 6;
+
+    /**
+     * The number of particles that burst out of every cell of a Tetris.
+     *
+     * @static
+     * @type {number}
+     */
+    static particlesPerCell = 2;
+
+    /**
+     * How fast (in cells per second per second) particles fall.
+     *
+     * @static
+     * @type {number}
+     */
+    static particleGravity = 30;
+
+    /** The options chosen when the layer was made (see {@link EffectsLayer.defaultOptions}). */
+    options;
+
+    /**
+     * The particles in flight, with their position and speed in grid cells (y = 0 is the bottom row),
+     * their block ID for the color, and how faded they are (1 = solid).
+     *
+     * @type {{x: number, y: number, vx: number, vy: number, blockType: number, start: number, alpha: number}[]}
+     */
+    particles = [];
+
+    /**
+     * The effects that are playing, each with its type ("lineClear", "lock", "trail" or "shake") and start time.
+     *
+     * @type {Object[]}
+     */
+    #effects = [];
+
+    /** The time of the last update, or null before the first one. @type {number | null} */
+    #lastUpdateTime = null;
+
+    /**
+     * @param {Object} options Settings to override in {@link EffectsLayer.defaultOptions}.
+     */
+    constructor(options = {}) {
+        this.options = {...EffectsLayer.defaultOptions, ...options};
+    }
+
+    /**
+     * Whether any effect is still playing.
+     *
+     * @type {boolean}
+     */
+    get isActive() {
+        return this.#effects.length > 0 || this.particles.length > 0;
+    }
+
+    /**
+     * Starts the effects for a game's events.
+     *
+     * @param {Object[]}    events  The events, oldest first (see {@link QuadtrisGame.events}).
+     * @param {number}      time    The current time (in milliseconds).
+     */
+    addEvents(events, time) {
+        const moving = !this.options.reducedMotion;
+        for (const event of events) {
+            if (event.type == "lineClear") {
+                this.#effects.push({type: "lineClear", start: time, rows: event.rows, cells: event.cells,
+                    dissolveTimes: event.cells.map((row) => row.map(() => this.options.random()))});
+                if (event.rows.length >= 4 && moving && this.options.particles) {
+                    this.#addParticles(event, time);
+                }
+                if (event.rows.length >= 4 && moving && this.options.screenShake) {
+                    this.#effects.push({type: "shake", start: time});
+                }
+            } else if (event.type == "lock") {
+                this.#effects.push({type: "lock", start: time, blocks: event.blocks});
+            } else if (event.type == "hardDrop" && event.distance > 0 && moving) {
+                this.#effects.push({type: "trail", start: time, blocks: event.blocks, blockType: event.blockType,
+                    distance: event.distance});
+            }
+        }
+    }
+
+    /**
+     * Stops every effect.
+     */
+    clear() {
+        this.#effects = [];
+        this.particles = [];
+    }
+
+    /**
+     * Moves the particles, and removes the effects that have finished.
+     *
+     * @param {number} time The current time (in milliseconds).
+     */
+    update(time) {
+        // Long gaps (like a hidden tab) should not throw the particles off the screen
+        const seconds = this.#lastUpdateTime === null ? 0 : Math.min(Math.max(time - this.#lastUpdateTime, 0), 100) / 1000;
+        this.#lastUpdateTime = time;
+
+        for (const particle of this.particles) {
+            particle.vy -= EffectsLayer.particleGravity * seconds;
+            particle.x += particle.vx * seconds;
+            particle.y += particle.vy * seconds;
+            particle.alpha = Math.max(1 - (time - particle.start) / EffectsLayer.durations.particle, 0);
+        }
+        this.particles = this.particles.filter((particle) => particle.alpha > 0);
+        this.#effects = this.#effects.filter((effect) => time - effect.start < EffectsLayer.durations[effect.type]);
+    }
+
+    /**
+     * Draws the effects on the grid into an overlay, where every cell's color is blended over the board
+     * by its alpha. The rows above the visible grid are left out.
+     *
+     * @param {Uint8Array}              rgbaData    The RGBA data of the 10x20 overlay, with the bottom row first.
+     * @param {number}                  time        The current time (in milliseconds).
+     * @param {Map<number, number[]>}   colorMap    The color (red, green and blue, 0-255) of every block ID.
+     */
+    drawCells(rgbaData, time, colorMap) {
+        rgbaData.fill(0);
+        const white = [255, 255, 255];
+        for (const effect of this.#effects) {
+            const progress = Math.min((time - effect.start) / EffectsLayer.durations[effect.type], 1);
+
+            if (effect.type == "trail") {
+                // Each column fades out towards where the piece started
+                const color = colorMap.get(effect.blockType) ?? white;
+                for (const [x, top] of this.#getColumnTops(effect.blocks)) {
+                    for (let i = 1; i <= effect.distance; i++) {
+                        const alpha = 0.5 * (1 - progress) * (1 - i / (effect.distance + 1));
+                        this.#blendCell(rgbaData, x, top + i, color, alpha);
+                    }
+                }
+            } else if (effect.type == "lock") {
+                for (const [x, y] of effect.blocks) {
+                    this.#blendCell(rgbaData, x, y, white, 0.6 * (1 - progress));
+                }
+            } else if (effect.type == "lineClear") {
+                this.#drawLineClear(rgbaData, effect, time, colorMap);
+            }
+        }
+    }
+
+    /**
+     * Works out how far to move the board for the screen shake.
+     *
+     * @param {number} time The current time (in milliseconds).
+     * @returns {number[]} The x and y offset (in canvas units), or [0, 0] if the board is not shaking.
+     */
+    getShake(time) {
+        const shake = this.#effects.findLast((effect) => effect.type == "shake");
+        if (shake === undefined) {
+            return [0, 0];
+        }
+        const elapsed = time - shake.start;
+        const size = EffectsLayer.shakeSize * Math.max(1 - elapsed / EffectsLayer.durations.shake, 0);
+        return [size * Math.sin(elapsed * 0.11), size * Math.cos(elapsed * 0.08)];
+    }
+
+    /**
+     * Draws a line clear: white for the flash, then each cell dissolves from a lighter block color at its own
+     * time (or every cell fades together, with reduced motion).
+     *
+     * @param {Uint8Array}              rgbaData    The RGBA data of the overlay.
+     * @param {Object}                  effect      The line clear effect.
+     * @param {number}                  time        The current time (in milliseconds).
+     * @param {Map<number, number[]>}   colorMap    The color of every block ID.
+     */
+    #drawLineClear(rgbaData, effect, time, colorMap) {
+        const elapsed = time - effect.start;
+        const {flash, lineClear} = EffectsLayer.durations;
+        const fade = Math.min(Math.max((elapsed - flash) / (lineClear - flash), 0), 1);
+
+        effect.rows.forEach((y, row) => {
+            for (let x = 0; x < 10; x++) {
+                // The color goes from white to halfway between white and the block's color
+                const color = (colorMap.get(effect.cells[row][x]) ?? [0, 0, 0]).map((value) => 255 - (255 - value) * fade / 2);
+                let alpha = 1 - fade;
+                if (!this.options.reducedMotion) {
+                    // Every cell holds on until its dissolve time (in the first 70% of the fade), then vanishes quickly
+                    const dissolveStart = 0.7 * effect.dissolveTimes[row][x];
+                    alpha = Math.min(Math.max(1 - (fade - dissolveStart) / 0.3, 0), 1);
+                }
+                this.#blendCell(rgbaData, x, y, color, alpha);
+            }
+        });
+    }
+
+    /**
+     * Scatters particles out of the cells of a line clear.
+     *
+     * @param {Object} event    The line clear event.
+     * @param {number} time     The current time (in milliseconds).
+     */
+    #addParticles(event, time) {
+        const random = this.options.random;
+        event.rows.forEach((y, row) => {
+            for (let x = 0; x < 10; x++) {
+                for (let i = 0; i < EffectsLayer.particlesPerCell; i++) {
+                    this.particles.push({x: x + random(), y: y + random(), vx: (random() - 0.5) * 12, vy: 4 + random() * 10,
+                        blockType: event.cells[row][x], start: time, alpha: 1});
+                }
+            }
+        });
+    }
+
+    /**
+     * Finds the highest block of a piece in each column it covers.
+     *
+     * @param {number[][]} blocks The blocks of the piece.
+     * @returns {Map<number, number>} The y index of the highest block, for every x index.
+     */
+    #getColumnTops(blocks) {
+        const tops = new Map();
+        for (const [x, y] of blocks) {
+            tops.set(x, Math.max(tops.get(x) ?? y, y));
+        }
+        return tops;
+    }
+
+    /**
+     * Sets a cell of the overlay, keeping whichever effect is strongest.
+     *
+     * @param {Uint8Array}  rgbaData    The RGBA data of the overlay.
+     * @param {number}      x           The x index of the cell.
+     * @param {number}      y           The y index of the cell.
+     * @param {number[]}    color       The red, green and blue values (0-255).
+     * @param {number}      alpha       How strongly to draw the color over the board (0-1).
+     */
+    #blendCell(rgbaData, x, y, color, alpha) {
+        const index = 4 * (10 * y + x);
+        const value = Math.round(255 * Math.min(Math.max(alpha, 0), 1));
+        if (y < 0 || y >= 20 || x < 0 || x >= 10 || value <= rgbaData[index + 3]) {
+            return;
+        }
+        rgbaData[index] = Math.round(color[0]);
+        rgbaData[index + 1] = Math.round(color[1]);
+        rgbaData[index + 2] = Math.round(color[2]);
+        rgbaData[index + 3] = value;
+    }
+}
@@ -11,7 +11,31 @@ export class GUIButtonInput {
      */
     inputStates = new Map();
 
-    frameCounter = {
+    /**
+     * The time (in milliseconds, from the pointer event) each held button was pressed, or null if it is not held.
+     * Used with {@link AutoRepeat} to repeat movement.
+     */
+    pressTimes = {
+        moveLeft: null,
+        moveRight: null,
+        softDrop: null
+    };
+
+    /**
+     * The flag buttons (hold, hard drop and the rotations) that are being held down with a pointer.
+     * 
+     * @see {@link GUIButtonInput.isHeld()}
+     * @type {Set<string>}
+     */
+    heldFlags = new Set();
+
+    /**
+     * The number of times each button was clicked without a pointer (like with keyboard controls)
+     * since the taps were last taken.
+     * 
+     * @see {@link GUIButtonInput.takeTaps()}
+     */
+    taps = {
         moveLeft: 0,
         moveRight: 0,
         softDrop: 0
@@ -27,8 +51,9 @@ export class GUIButtonInput {
      * @param {HTMLButtonElement} hardDrop              The button to move a piece down as far as it goes.
      * @param {HTMLButtonElement} rotateClockwise       The button to rotate a piece clockwise.
      * @param {HTMLButtonElement} rotateAnticlockwise   The button to rotate a piece anti-clockwise.
+     * @param {HTMLButtonElement} rotate180             The button to rotate a piece 180 degrees.
      */
-    constructor(hold, moveLeft, moveRight, softDrop, hardDrop, rotateClockwise, rotateAnticlockwise) {
+    constructor(hold, moveLeft, moveRight, softDrop, hardDrop, rotateClockwise, rotateAnticlockwise, rotate180) {
         
         // These 3 states represent the inputs themselves, if they are being held down or not.
         this.inputStates.set("moveLeft", false);
@@ -40,6 +65,7 @@ export class GUIButtonInput {
         this.inputStates.set("hardDrop", false);
         this.inputStates.set("rotateClockwise", false);
         this.inputStates.set("rotateAnticlockwise", false);
+        this.inputStates.set("rotate180", false);
         
         // Adds the listeners to the buttons.
         this.addStateListeners(moveLeft, "moveLeft");
@@ -48,6 +74,7 @@ export class GUIButtonInput {
         this.addFlagListners(hardDrop, "hardDrop");
         this.addFlagListners(rotateClockwise, "rotateClockwise");
         this.addFlagListners(rotateAnticlockwise, "rotateAnticlockwise");
+        this.addFlagListners(rotate180, "rotate180");
         this.addFlagListners(hold, "hold");
     }
 
@@ -92,38 +119,40 @@ export class GUIButtonInput {
             this.inputStates.set(inputBind, true);
         });
 
+        // Unlike the flag, the held state lasts until the pointer is lifted
+        button.addEventListener("pointerdown", (event) => {
+            this.heldFlags.add(inputBind);
+        });
+        for (const releaseEvent of ["pointerup", "pointerleave", "pointercancel"]) {
+            button.addEventListener(releaseEvent, (event) => {
+                this.heldFlags.delete(inputBind);
+            });
+        }
+
         this.addCommonListeners(button, inputBind);
     }
     
     
     /**
      * Adds the callbacks specifically for moveLeft, moveRight, and softDrop.
-     * These inputs can be held down for repeated action, based on how many frames they are held.
+     * These inputs can be held down for repeated action, based on how long they are held.
      * Instead of raising a flag that gets cleared by this.resetFlags(), these inputs will represent the precise state
-     * of the button. this.countFrame() can be used to capture the state of these inputs by querying the precise state
-     * and incrementing a frame counter. The frame counter can then be used to evaluate these inputs. 
+     * of the button, and the time it was pressed (see this.pressTimes). Clicks without a pointer are counted
+     * separately, and can be collected with this.takeTaps().
      * 
      * @param {HTMLButtonElement} button the button to be clicked.
      * @param {String} inputBind the name of the input state to change.
     */
     addStateListeners(button, inputBind) {
         
+        button.addEventListener("pointerdown", (event) => {
+            this.pressTimes[inputBind] = event.timeStamp;
+        });
+
         button.addEventListener("pointerleave", (event) => {
             this.inputStates.set(inputBind, false);
             button.classList.remove("pressed");
-            switch (inputBind) {
-                case "moveLeft":
-                    this.frameCounter.moveLeft = 0;
-                    break;
-                case "moveRight":
-                    this.frameCounter.moveRight = 0;
-                    break;
-                case "softDrop":
-                    this.frameCounter.softDrop = 0;
-                    break;
-                default:
-                    break;
-            }
+            this.pressTimes[inputBind] = null;
         });
         
         button.addEventListener("click", (event) => {
@@ -131,37 +160,23 @@ export class GUIButtonInput {
             if (event.pointerType !== "") {
                 return; 
             }
-            // Otherwise (like when hitting the button with keyboard controls), we can process the input here
-            
-            // For moving left/right, clicking the button with keyboard controls will count the frame immediately
-            if (inputBind === "moveLeft") {
-                this.frameCounter.moveLeft++;
-            } else if (inputBind === "moveRight") {
-                this.frameCounter.moveRight++;
-            } else if (inputBind === "softDrop") {
-                this.frameCounter.softDrop++;
-            }   // Note: the frame counter will be reset back to 0 when resetFlags() is called, because we are not "holding" the button down.
+            // Otherwise (like when hitting the button with keyboard controls), count a single tap
+            this.taps[inputBind]++;
         });
 
         this.addCommonListeners(button, inputBind);
     }
     
     /**
-     * Captures the state of moveLeft and moveRight to handle repeatable action. On the first frame held, the action
-     * will fire, and then for a few frames the action will not fire, and then the action will fire on every frame after.
-    */
-    countFrame() {
-        if (this.inputStates.get("moveLeft")) {
-            this.frameCounter.moveLeft++;
-        } 
-
-        if (this.inputStates.get("moveRight")) {
-            this.frameCounter.moveRight++;
-        } 
-
-        if (this.inputStates.get("softDrop")) {
-            this.frameCounter.softDrop++;
-        }
+     * Collects the number of clicks without a pointer since the last call, for a button that can be held.
+     * 
+     * @param {string} inputBind The name of the input (moveLeft, moveRight, or softDrop).
+     * @returns {number} The number of taps.
+     */
+    takeTaps(inputBind) {
+        const count = this.taps[inputBind];
+        this.taps[inputBind] = 0;
+        return count;
     }
 
     /**
@@ -172,6 +187,17 @@ export class GUIButtonInput {
         this.inputStates.set("hardDrop", false);
         this.inputStates.set("rotateClockwise", false);
         this.inputStates.set("rotateAnticlockwise", false);
+        this.inputStates.set("rotate180", false);
+    }
+
+    /**
+     * Checks whether a flag button is being held down, even after its flag has been reset.
+     * 
+     * @param {string} inputBind The name of the input (hold, hardDrop, rotateClockwise, rotateAnticlockwise, or rotate180).
+     * @returns {boolean} True if the button is held.
+     */
+    isHeld(inputBind) {
+        return this.heldFlags.has(inputBind);
     }
 
     /**
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview The game modes the player can choose from, and the rules each of them plays by.
+ *
+ * A mode is a set of {@link QuadtrisGame.options} plus how its runs are ranked. Since the rules
+ * are stored in the game's options, replays of a mode play back with the same rules.
+ *
+ * @author Alex Wills
+ */
+
+/**
+ * The garbage options for modes that start with an empty grid.
+ *
+ * @type {Object}
+ */
+const noGarbage = {startingGarbage: 0, garbageLineGoal: null, garbageRiseInterval: null};
+
+/**
+ * The rules every ranked mode is played with, whatever the player's gameplay settings are, so runs in the same
+ * high score table can be compared. These match the defaults in {@link QuadtrisGame.defaultOptions}.
+ *
+ * @type {Object}
+ */
+const standardRules = {
+    randomizer: "bag7",
+    levelCurve: "classic",
+    startLevel: 1,
+    linesPerLevel: 10,
+    lockDelay: 0.5,
+    lockResetMode: "move",
+    moveResetLimit: 30,
+    softDropFactor: 20,
+    spawnDrop: false,
+    entryDelay: 0,
+    lineClearDelay: 0
+};
+
+/**
+ * The rotation system every mode starts with. The player can pick a different one for each mode.
+ *
+ * @see {@link rotationSystems}
+ * @type {string}
+ */
+const defaultRotationSystem = "srs";
+
+/**
+ * The available game modes, by name.
+ *
+ * Each mode has:
+ * - label          {string} The name shown to the player.
+ * - description    {string} A short explanation of the goal.
+ * - options        {Object} The {@link QuadtrisGame.options} the mode sets, including its usual rotation system.
+ *                  Ranked modes also set the standard rules (randomizer, speed, lock delay, soft drop and spawn timing),
+ *                  overriding the player's settings.
+ * - ranking        {string} How runs are compared in the mode's high score table (see {@link HighScoreTable.rankings}).
+ * - storageKey     {string} The storage key for the mode's high score table.
+ * - ranked         {boolean} Whether the mode is played competitively, so assists like placement hints are turned off.
+ * - setupOptions   {string[]} (optional) Options the player can change. Each combination of their values gets its own
+ *                  high score table (see {@link getHighScoreKey()}).
+ *
+ * @type {Object<string, {label: string, description: string, options: Object, ranking: string, storageKey: string, ranked: boolean, setupOptions?: string[]}>}
+ */
+export const gameModes = {
+    marathon: {
+        label: "Marathon",
+        description: "Play until the blocks reach the top. How many points can you get?",
+        options: {lineGoal: null, timeLimit: null, ...noGarbage, rotationSystem: defaultRotationSystem},
+        ranking: "score",
+        storageKey: "highScores",
+        ranked: false
+    },
+    sprint: {
+        label: "Sprint",
+        description: "Clear 40 lines as fast as you can!",
+        options: {lineGoal: 40, timeLimit: null, ...noGarbage, ...standardRules, rotationSystem: defaultRotationSystem},
+        ranking: "time",
+        storageKey: "highScores_sprint",
+        ranked: true
+    },
+    ultra: {
+        label: "Ultra",
+        description: "Score as many points as you can in 3 minutes!",
+        options: {lineGoal: null, timeLimit: 180, ...noGarbage, ...standardRules, rotationSystem: defaultRotationSystem},
+        ranking: "score",
+        storageKey: "highScores_ultra",
+        ranked: true
+    },
+    dig: {
+        label: "Dig",
+        description: "Clear the garbage rows at the bottom of the grid as fast as you can!",
+        options: {
+            lineGoal: null,
+            timeLimit: null,
+            startingGarbage: 10,
+            garbageLineGoal: 10,
+            garbageMessiness: 0,
+            garbageRiseInterval: null,
+            ...standardRules,
+            rotationSystem: defaultRotationSystem
+        },
+        ranking: "time",
+        storageKey: "highScores_dig",
+        ranked: true,
+        setupOptions: ["startingGarbage", "garbageMessiness", "garbageRiseInterval"]
+    }
+};
+
+/**
+ * Sets a game's options to play a mode. The mode takes effect when {@link QuadtrisGame.startNewGame()} is called.
+ *
+ * @param {QuadtrisGame}    game        The game to change.
+ * @param {string}          modeName    The name of the mode (a key of {@link gameModes}). Unknown names fall back to marathon.
+ */
+export function applyGameMode(game, modeName) {
+    if (!(modeName in gameModes)) {
+        modeName = "marathon";
+    }
+    Object.assign(game.options, gameModes[modeName].options);
+    game.options.mode = modeName;
+}
+
+/**
+ * Sets the garbage for dig mode. The player has to clear every starting row to finish.
+ *
+ * @param {Object}          options                 The options to change (like {@link QuadtrisGame.options}).
+ * @param {Object}          setup
+ * @param {number}          setup.rows              The number of garbage rows the grid starts with.
+ * @param {number}          setup.messiness         The chance (0-1) that each row's hole moves from the row below.
+ * @param {number | null}   setup.riseInterval      Time (in seconds) between rising garbage rows, or null for none.
+ */
+export function applyDigSetup(options, setup) {
+    options.startingGarbage = setup.rows;
+    options.garbageLineGoal = setup.rows;
+    options.garbageMessiness = setup.messiness;
+    options.garbageRiseInterval = setup.riseInterval;
+}
+
+/**
+ * Finds the storage key of the high score table for a mode, played with some options.
+ *
+ * Modes with setup options keep a separate table for each setup, so runs are only compared with
+ * runs that had the same rules. Runs played with a different rotation system than the mode's usual one
+ * also get their own table.
+ *
+ * @example
+ * getHighScoreKey("dig", game.options); // "highScores_dig_10_0_null"
+ * getHighScoreKey("sprint", {...game.options, rotationSystem: "ars"}); // "highScores_sprint_ars"
+ *
+ * @param {string} modeName The name of the mode (a key of {@link gameModes}). Unknown names fall back to marathon.
+ * @param {Object} options  The options the mode was played with (like {@link QuadtrisGame.options}).
+ * @returns {string} The storage key.
+ */
+export function getHighScoreKey(modeName, options) {
+    const mode = gameModes[modeName] ?? gameModes.marathon;
+    const setup = (mode.setupOptions ?? []).map((name) => "_" + (options[name] ?? null));
+    if ((options.rotationSystem ?? mode.options.rotationSystem) != mode.options.rotationSystem) {
+        setup.push("_" + options.rotationSystem);
+    }
+    return mode.storageKey + setup.join("");
+}
+
+/**
+ * Checks whether a mode is played competitively. Unknown names fall back to marathon.
+ *
+ * @param {string} modeName The name of the mode (a key of {@link gameModes}).
+ * @returns {boolean} True if assists like placement hints should be turned off.
+ */
+export function isRankedMode(modeName) {
+    return (gameModes[modeName] ?? gameModes.marathon).ranked;
+}
@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Contains a class definition for HighScoreTable, which keeps the player's best runs in Local Storage.
+ *
+ * @author Alex Wills
+ */
+import { storage } from "./Storage.mjs";
+
+/**
+ * A list of the player's top runs, sorted from best to worst and saved in storage.
+ *
+ * Runs are ranked by score by default. Tables for timed goals (like Sprint) can rank completed runs by time instead.
+ *
+ * Each run is a plain object with the following properties:
+ * - score          {number} The final score.
+ * - lines          {number} The number of lines cleared.
+ * - maxLevel       {number} The highest speed level reached.
+ * - duration       {number} The length of the run (in seconds).
+ * - piecesPlaced   {number} The number of pieces locked into the grid.
+ * - completed      {boolean} Whether the run reached its mode's goal.
+ * - splits         {number[]} The time (in seconds) when every 10th line was cleared.
+ * - date           {number} When the run ended (milliseconds since the epoch).
+ *
+ * @example
+ * let highScores = new HighScoreTable("highScores", 10);
+ * // When the game ends
+ * let rank = highScores.addRun(HighScoreTable.createRun(game.gameState, game.gameTickTime));
+ * highScores.renderTo(document.querySelector("#gameOverHighScores"), rank);
+ */
+export class HighScoreTable {
+
+    /**
+     * Ways to rank runs, by name. Each compares two runs, returning a negative number if the first run is better.
+     *
+     * @static
+     * @type {Object<string, function(Object, Object): number>}
+     */
+    static rankings = {
+        score: (a, b) => b.score - a.score,
+        time: (a, b) => a.duration - b.duration
+    };
+
+    /**
+     * The maximum number of runs to keep.
+     *
+     * @type {number}
+     */
+    maxEntries;
+
+    /**
+     * The name of the ranking used to sort the runs (a key of {@link HighScoreTable.rankings}).
+     *
+     * @type {string}
+     */
+    ranking;
+
+    /**
+     * The saved runs, sorted from best to worst.
+     *
+     * @type {Object[]}
+     */
+    entries = [];
+
+    /** The storage key (without the namespace) to save the runs under. @type {string} */
+    #storageKey;
+
+    /**
+     * Creates a high score table and loads any runs saved from previous sessions.
+     *
+     * @param {string} storageKey   The storage key (without the namespace) to save the runs under.
+     * @param {number} maxEntries   The maximum number of runs to keep.
+     * @param {string} ranking      How to sort the runs (a key of {@link HighScoreTable.rankings}).
+     *                              Only completed runs are saved when ranking by time.
+     */
+    constructor(storageKey, maxEntries = 10, ranking = "score") {
+        this.#storageKey = storageKey;
+        this.maxEntries = maxEntries;
+        this.ranking = ranking;
+        this.load();
+    }
+
+    /**
+     * Builds a run record from the state of a finished game.
+     *
+     * @param {Object} gameState    The game's state (see {@link QuadtrisGame.gameState}).
+     * @param {number} gameTickTime Time (in seconds) between game ticks.
+     * @returns {Object} A run that can be passed into {@link HighScoreTable.addRun()}.
+     */
+    static createRun(gameState, gameTickTime) {
+        return {
+            score: gameState.score,
+            lines: gameState.linesCleared,
+            maxLevel: gameState.maxSpeedLevel,
+            duration: gameState.ticksPlayed * gameTickTime,
+            piecesPlaced: gameState.piecesPlaced,
+            completed: gameState.goalReached,
+            splits: gameState.splits.map((ticks) => ticks * gameTickTime),
+            date: Date.now()
+        };
+    }
+
+    /**
+     * Formats a duration as minutes and seconds.
+     *
+     * @example
+     * // returns "1:05.3"
+     * HighScoreTable.formatDuration(65.28);
+     * // returns "1:05.28"
+     * HighScoreTable.formatDuration(65.28, 2);
+     *
+     * @param {number} seconds  The duration to format.
+     * @param {number} decimals The number of decimal places to show for the seconds.
+     * @returns {string} The duration as "m:ss.s".
+     */
+    static formatDuration(seconds, decimals = 1) {
+        const scale = 10 ** decimals;
+        const units = Math.round(seconds * scale);
+        const minutes = Math.floor(units / (60 * scale));
+        const remainder = (units % (60 * scale)) / scale;
+        return minutes + ":" + (remainder < 10 ? "0" : "") + remainder.toFixed(decimals);
+    }
+
+    /**
+     * Checks whether a run would make it onto the table.
+     *
+     * @param {Object} run The run to check (see {@link HighScoreTable.createRun()}).
+     * @returns {boolean} True if the run would be saved.
+     */
+    qualifies(run) {
+        if (this.ranking == "time" && !run.completed) {
+            return false;
+        }
+        return this.entries.length < this.maxEntries || this.#compare(run, this.entries[this.entries.length - 1]) < 0;
+    }
+
+    /**
+     * The best run in the table.
+     *
+     * @type {Object | null}
+     */
+    get bestRun() {
+        return this.entries.length > 0 ? this.entries[0] : null;
+    }
+
+    /**
+     * Inserts a run into the table if it is good enough, then saves the table.
+     *
+     * Equal runs are ordered by age, so a new run will not push out an older run with the same score (or time).
+     *
+     * @param {Object} run The run to add (see {@link HighScoreTable.createRun()}).
+     * @returns {number} The index of the new run in {@link HighScoreTable.entries}, or -1 if it did not make the table.
+     */
+    addRun(run) {
+        if (!this.qualifies(run)) {
+            return -1;
+        }
+
+        let rank = this.entries.findIndex((entry) => this.#compare(run, entry) < 0);
+        if (rank == -1) {
+            rank = this.entries.length;
+        }
+        this.entries.splice(rank, 0, run);
+        this.entries.length = Math.min(this.entries.length, this.maxEntries);
+        this.save();
+
+        return rank;
+    }
+
+    /**
+     * Compares two runs with the table's ranking.
+     *
+     * @param {Object} a The first run.
+     * @param {Object} b The second run.
+     * @returns {number} A negative number if the first run is better, positive if it is worse, or 0 if they are equal.
+     */
+    #compare(a, b) {
+        return HighScoreTable.rankings[this.ranking](a, b);
+    }
+
+    /**
+     * Stores the table.
+     *
+     * @see {@link QuadtrisStorage}
+     */
+    save() {
+        storage.write(this.#storageKey, this.entries);
+    }
+
+    /**
+     * Retrieves the table. A damaged table is reported and replaced with an empty one.
+     */
+    load() {
+        const isRun = (run) => typeof run === "object" && run !== null
+            && Number.isFinite(run.score) && Number.isFinite(run.duration);
+        const foundEntries = storage.read(this.#storageKey, [], (entries) => Array.isArray(entries) && entries.every(isRun));
+        this.entries = foundEntries.slice(0, this.maxEntries);
+    }
+
+    /**
+     * Fills a table body element with a row for every saved run.
+     *
+     * @param {HTMLTableSectionElement} tableBody       The element to replace the rows of.
+     * @param {number}                  highlightIndex  The index of a run to mark with the "newEntry" class (-1 for none).
+     */
+    renderTo(tableBody, highlightIndex = -1) {
+        tableBody.replaceChildren();
+
+        if (this.entries.length == 0) {
+            const row = tableBody.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 7;
+            cell.textContent = "No runs yet!";
+            return;
+        }
+
+        this.entries.forEach((run, index) => {
+            const row = tableBody.insertRow();
+            if (index == highlightIndex) {
+                row.classList.add("newEntry");
+            }
+            const values = [
+                index + 1,
+                run.score,
+                run.lines,
+                run.maxLevel,
+                HighScoreTable.formatDuration(run.duration, this.ranking == "time" ? 2 : 1),
+                run.piecesPlaced,
+                new Date(run.date).toLocaleDateString()
+            ];
+            for (const value of values) {
+                row.insertCell().textContent = value;
+            }
+        });
+    }
+}
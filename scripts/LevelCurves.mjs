@@ -0,0 +1,80 @@
+/**
+ * @fileoverview The gravity curves that set how fast pieces fall at each speed level, and how the lock delay shortens.
+ *
+ * Gravity is measured in cells per second, so the curves do not depend on how often the game ticks.
+ * Gravity faster than 1 cell per tick moves the piece several cells in a single tick, and
+ * Infinity (20G) drops the piece to the bottom of the grid as soon as it appears.
+ *
+ * @author Alex Wills
+ */
+
+/**
+ * The number of ticks between the piece falling 1 cell in the original speed table (at 30 ticks per second),
+ * indexed by speed level. Levels past the end of the table stay at the last level's speed.
+ *
+ * @type {number[]}
+ */
+const CLASSIC_TICKS_PER_CELL = [25, 25, 20, 16, 12, 10, 8, 6, 5, 4, 2, 1];
+
+/**
+ * The available gravity curves, by name.
+ *
+ * Each curve has a label to show the player, and a function that returns the gravity (in cells per second) for a speed level.
+ *
+ * @type {Object<string, {label: string, gravity: function(number): number}>}
+ */
+export const levelCurves = {
+    classic: {
+        label: "Classic",
+        gravity: (level) => 30 / CLASSIC_TICKS_PER_CELL[Math.min(Math.max(level, 0), CLASSIC_TICKS_PER_CELL.length - 1)]
+    },
+    guideline: {
+        label: "Guideline",
+        // Seconds per cell = (0.8 - (level - 1) * 0.007) ^ (level - 1), levelling off at 20G from level 20
+        gravity: (level) => {
+            const clampedLevel = Math.min(Math.max(level, 1), 20);
+            if (clampedLevel == 20) {
+                return Infinity;
+            }
+            return 1 / Math.pow(0.8 - (clampedLevel - 1) * 0.007, clampedLevel - 1);
+        }
+    },
+    master: {
+        label: "Master (20G)",
+        gravity: (level) => Infinity
+    }
+};
+
+/**
+ * Finds the gravity for a speed level on a curve.
+ *
+ * @param {string} curveName    The name of the curve (a key of {@link levelCurves}). Unknown names fall back to classic.
+ * @param {number} level        The speed level.
+ * @returns {number} The gravity, in cells per second.
+ */
+export function getGravity(curveName, level) {
+    const curve = levelCurves[curveName] ?? levelCurves.classic;
+    return curve.gravity(level);
+}
+
+/**
+ * The speed level after which the lock delay starts getting shorter.
+ *
+ * @type {number}
+ */
+const LOCK_DELAY_SHORTEN_LEVEL = 15;
+
+/**
+ * Finds the lock delay for a speed level.
+ *
+ * The delay stays the same up to level 15, then shrinks by 5% of the base delay every level,
+ * down to half of the base delay at level 25 and above.
+ *
+ * @param {number} baseDelay    The lock delay (in seconds) at low levels.
+ * @param {number} level        The speed level.
+ * @returns {number} The lock delay, in seconds.
+ */
+export function getLockDelay(baseDelay, level) {
+    const levelsAbove = Math.max(level - LOCK_DELAY_SHORTEN_LEVEL, 0);
+    return baseDelay * Math.max(1 - 0.05 * levelsAbove, 0.5);
+}
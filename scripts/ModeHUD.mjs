@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Contains a class definition for ModeHUD, which shows the timer and goal progress for game modes with a goal or time limit.
+ *
+ * @author Alex Wills
+ */
+import { HighScoreTable } from "./HighScoreTable.mjs";
+
+/**
+ * Displays the timer for the current game mode, and the split times for every 10 lines
+ * compared against the player's best run. Modes with a time limit count down instead of up,
+ * and modes with a garbage line goal show how many garbage rows are left to clear.
+ *
+ * The panel is hidden for modes without a goal or time limit (like marathon).
+ *
+ * @example
+ * let modeHUD = new ModeHUD(document.querySelector("#modeInfo"));
+ * modeHUD.setMode(gameModes.sprint, sprintScores.bestRun);
+ * // Every frame
+ * modeHUD.update(game.gameState, game.gameTickTime);
+ */
+export class ModeHUD {
+
+    /** The element containing the mode's information. @type {HTMLElement} */
+    #panel;
+
+    /** The text showing the mode's name. @type {Text} */
+    #modeNameNode = document.createTextNode('');
+
+    /** The text describing the timer. @type {Text} */
+    #timerLabelNode = document.createTextNode('Time');
+
+    /** The text showing the time played (or the time left). @type {Text} */
+    #timerNode = document.createTextNode('0:00.00');
+
+    /** The length of the game (in seconds), or null to count up. @type {number | null} */
+    #timeLimit = null;
+
+    /** The line showing the garbage left to clear. @type {HTMLElement} */
+    #garbageRow;
+
+    /** The text showing the number of garbage rows left to clear. @type {Text} */
+    #garbageNode = document.createTextNode('0');
+
+    /** The number of garbage rows to clear, or null for no garbage goal. @type {number | null} */
+    #garbageLineGoal = null;
+
+    /** The list of splits. @type {HTMLElement} */
+    #splitList;
+
+    /** The time and comparison text for each split. @type {{time: Text, delta: HTMLElement}[]} */
+    #splitRows = [];
+
+    /** The best run to compare splits against. @type {Object | null} */
+    #bestRun = null;
+
+    /** The number of splits already displayed. @type {number} */
+    #splitsShown = 0;
+
+    /**
+     * @param {HTMLElement} panel The element to display the information in. It should contain
+     *                            elements with the ids "modeName", "modeTimerLabel", "modeTimer",
+     *                            "modeGarbage" (containing "modeGarbageLeft"), and "splits".
+     */
+    constructor(panel) {
+        this.#panel = panel;
+        panel.querySelector("#modeName").appendChild(this.#modeNameNode);
+        panel.querySelector("#modeTimerLabel").appendChild(this.#timerLabelNode);
+        panel.querySelector("#modeTimer").appendChild(this.#timerNode);
+        this.#garbageRow = panel.querySelector("#modeGarbage");
+        panel.querySelector("#modeGarbageLeft").appendChild(this.#garbageNode);
+        this.#splitList = panel.querySelector("#splits");
+    }
+
+    /**
+     * Sets up the display for a new game.
+     *
+     * @param {Object}          mode    The mode being played (see {@link gameModes}).
+     * @param {Object | null}   bestRun The player's best run in the mode, to compare splits against.
+     */
+    setMode(mode, bestRun) {
+        const lineGoal = mode.options.lineGoal;
+        this.#timeLimit = mode.options.timeLimit;
+        this.#garbageLineGoal = mode.options.garbageLineGoal ?? null;
+        this.#panel.classList.toggle("hide", lineGoal === null && this.#timeLimit === null && this.#garbageLineGoal === null);
+        this.#garbageRow.classList.toggle("hide", this.#garbageLineGoal === null);
+        this.#garbageNode.nodeValue = this.#garbageLineGoal ?? 0;
+        this.#modeNameNode.nodeValue = mode.label;
+        this.#timerLabelNode.nodeValue = this.#timeLimit === null ? "Time" : "Time left";
+        this.#timerNode.nodeValue = HighScoreTable.formatDuration(this.#timeLimit ?? 0, 2);
+        this.#bestRun = bestRun;
+        this.#splitsShown = 0;
+
+        // Create a row for every split, showing the best run's split until the player reaches it
+        this.#splitList.replaceChildren();
+        this.#splitRows = [];
+        for (let lines = 10; lineGoal !== null && lines <= lineGoal; lines += 10) {
+            const row = document.createElement("div");
+            const time = document.createTextNode("--");
+            const delta = document.createElement("span");
+            delta.classList.add("splitDelta");
+            const bestSplit = bestRun?.splits?.[this.#splitRows.length];
+            if (bestSplit !== undefined) {
+                delta.textContent = "(" + HighScoreTable.formatDuration(bestSplit, 2) + ")";
+            }
+            row.append(lines + ": ", time, " ", delta);
+            this.#splitList.appendChild(row);
+            this.#splitRows.push({time, delta});
+        }
+    }
+
+    /**
+     * Updates the timer, and fills in any new splits.
+     *
+     * @param {Object} gameState    The game's state (see {@link QuadtrisGame.gameState}).
+     * @param {number} gameTickTime Time (in seconds) between game ticks.
+     */
+    update(gameState, gameTickTime) {
+        const timePlayed = gameState.ticksPlayed * gameTickTime;
+        if (this.#timeLimit === null) {
+            this.#timerNode.nodeValue = HighScoreTable.formatDuration(timePlayed, 2);
+        } else {
+            this.#timerNode.nodeValue = HighScoreTable.formatDuration(Math.max(this.#timeLimit - timePlayed, 0), 2);
+        }
+        if (this.#garbageLineGoal !== null) {
+            this.#garbageNode.nodeValue = Math.max(this.#garbageLineGoal - gameState.garbageCleared, 0);
+        }
+
+        while (this.#splitsShown < Math.min(gameState.splits.length, this.#splitRows.length)) {
+            const splitTime = gameState.splits[this.#splitsShown] * gameTickTime;
+            const row = this.#splitRows[this.#splitsShown];
+            row.time.nodeValue = HighScoreTable.formatDuration(splitTime, 2);
+
+            // Compare against the best run: negative is ahead, positive is behind
+            const bestSplit = this.#bestRun?.splits?.[this.#splitsShown];
+            if (bestSplit !== undefined) {
+                const difference = splitTime - bestSplit;
+                row.delta.textContent = (difference <= 0 ? "-" : "+") + Math.abs(difference).toFixed(2);
+                row.delta.classList.toggle("ahead", difference <= 0);
+                row.delta.classList.toggle("behind", difference > 0);
+            }
+            this.#splitsShown++;
+        }
+    }
+}
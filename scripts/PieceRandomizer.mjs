@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Seeded random number generation and the strategies used to pick the order of pieces.
+ *
+ * Every strategy draws from a seeded generator instead of Math.random(), so the same seed and
+ * strategy will always produce the same sequence of pieces.
+ *
+ * @author Alex Wills
+ */
+
+/**
+ * The 7 piece shapes, in a fixed order for the randomizers to choose from.
+ *
+ * @type {string[]}
+ */
+const SHAPES = ['O', 'I', 'T', 'J', 'L', 'S', 'Z'];
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ *
+ * @param {number} seed A 32-bit integer to start the generator with.
+ * @returns {function(): number} A function returning the next number in the range [0, 1), like Math.random().
+ */
+export function createRNG(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Creates a new, unpredictable seed.
+ *
+ * @returns {number} A 32-bit unsigned integer.
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Converts text entered by the player into a seed.
+ *
+ * Whole numbers are used as they are, and any other text is hashed into a number,
+ * so players can share seeds like "fortress".
+ *
+ * @param {string} text The text to convert.
+ * @returns {number | null} A 32-bit unsigned integer, or null if the text is empty.
+ */
+export function parseSeed(text) {
+    text = text.trim();
+    if (text === "") {
+        return null;
+    }
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    // FNV-1a hash
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Deals pieces from shuffled bags that each contain every shape the same number of times.
+ *
+ * With 1 copy of each shape (7-bag), the player will never wait more than 12 pieces for a shape.
+ * With 2 copies (14-bag), the sequence is a bit less predictable.
+ */
+export class BagRandomizer {
+    #rng;
+    #copies;
+    #bag = [];
+
+    /**
+     * @param {function(): number}  rng     The seeded generator to draw from.
+     * @param {number}              copies  How many of each shape to put in every bag.
+     */
+    constructor(rng, copies = 1) {
+        this.#rng = rng;
+        this.#copies = copies;
+    }
+
+    /**
+     * @returns {string} The next piece shape.
+     */
+    nextPiece() {
+        if (this.#bag.length == 0) {
+            for (let i = 0; i < this.#copies; i++) {
+                this.#bag.push(...SHAPES);
+            }
+        }
+        const choice = Math.floor(this.#rng() * this.#bag.length);
+        return this.#bag.splice(choice, 1)[0];
+    }
+}
+
+/**
+ * Picks every piece independently, with no memory of previous pieces (like the earliest versions of the game).
+ */
+export class MemorylessRandomizer {
+    #rng;
+
+    /**
+     * @param {function(): number} rng The seeded generator to draw from.
+     */
+    constructor(rng) {
+        this.#rng = rng;
+    }
+
+    /**
+     * @returns {string} The next piece shape.
+     */
+    nextPiece() {
+        return SHAPES[Math.floor(this.#rng() * SHAPES.length)];
+    }
+}
+
+/**
+ * Picks pieces while avoiding the most recent ones (like "The Grand Master").
+ *
+ * A random shape is rolled up to a set number of times, and is rerolled if it is in the history
+ * of the last 4 pieces. The history starts full of S and Z pieces, and the first piece is never
+ * an S, Z, or O, to avoid starting the game with an overhang.
+ */
+export class HistoryRandomizer {
+    #rng;
+    #rolls;
+    #history = ['Z', 'S', 'Z', 'S'];
+    #isFirstPiece = true;
+
+    /**
+     * @param {function(): number}  rng     The seeded generator to draw from.
+     * @param {number}              rolls   The number of tries to find a shape that is not in the history.
+     */
+    constructor(rng, rolls = 6) {
+        this.#rng = rng;
+        this.#rolls = rolls;
+    }
+
+    /**
+     * @returns {string} The next piece shape.
+     */
+    nextPiece() {
+        let choice;
+        if (this.#isFirstPiece) {
+            const firstShapes = ['I', 'T', 'J', 'L'];
+            choice = firstShapes[Math.floor(this.#rng() * firstShapes.length)];
+            this.#isFirstPiece = false;
+        } else {
+            for (let i = 0; i < this.#rolls; i++) {
+                choice = SHAPES[Math.floor(this.#rng() * SHAPES.length)];
+                if (!this.#history.includes(choice)) {
+                    break;
+                }
+            }
+        }
+
+        this.#history.shift();
+        this.#history.push(choice);
+        return choice;
+    }
+}
+
+/**
+ * The available randomizer strategies, by name.
+ *
+ * @type {Object<string, {label: string, create: function(function(): number): {nextPiece: function(): string}}>}
+ */
+export const randomizers = {
+    bag7: {
+        label: "7-bag",
+        create: (rng) => new BagRandomizer(rng, 1)
+    },
+    bag14: {
+        label: "14-bag",
+        create: (rng) => new BagRandomizer(rng, 2)
+    },
+    memoryless: {
+        label: "Classic random",
+        create: (rng) => new MemorylessRandomizer(rng)
+    },
+    history: {
+        label: "TGM-style history",
+        create: (rng) => new HistoryRandomizer(rng)
+    }
+};
+
+/**
+ * Creates a randomizer from its name and a seed.
+ *
+ * @example
+ * let randomizer = createRandomizer("bag7", 12345);
+ * let shape = randomizer.nextPiece();
+ *
+ * @param {string} name The name of the strategy (a key of {@link randomizers}). Unknown names fall back to 7-bag.
+ * @param {number} seed The seed for the random number generator.
+ * @returns {{nextPiece: function(): string}} The randomizer.
+ */
+export function createRandomizer(name, seed) {
+    const strategy = randomizers[name] ?? randomizers.bag7;
+    return strategy.create(createRNG(seed));
+}
@@ -0,0 +1,400 @@
+/**
+ * @fileoverview Contains a class definition for QuadtrisBot, a computer player that chooses where to place
+ * each piece and plays it with the same inputs a person would use.
+ *
+ * @author Alex Wills
+ */
+import { getRowBlock } from './QuadtrisGame.mjs';
+import { getRotationSystem } from './RotationSystems.mjs';
+import { createRNG, generateSeed } from './PieceRandomizer.mjs';
+
+/**
+ * Plays a {@link QuadtrisGame} by setting its {@link QuadtrisGame.input} every tick.
+ *
+ * For every new piece, the bot tries each rotation in each column (and the same for the piece it would get by
+ * holding), drops it straight down, and scores the resulting grid with a weighted sum of its height, holes,
+ * bumpiness, and cleared lines. It then presses hold, rotate, and move one input at a time until the piece
+ * matches the best placement, and hard drops it.
+ *
+ * At lower difficulties, the bot sometimes picks one of its other top placements instead of the best one.
+ *
+ * @example
+ * let bot = new QuadtrisBot(game, QuadtrisBot.presets.medium);
+ * // Every tick
+ * bot.update();
+ * game.runTick();
+ */
+export class QuadtrisBot {
+
+    /**
+     * The weights used to score a grid after a placement. Positive weights are rewarded and negative weights are penalized.
+     *
+     * - height     The total height of all 10 columns.
+     * - lines      The number of lines the placement clears.
+     * - holes      The number of empty cells with a block somewhere above them.
+     * - bumpiness  The total difference in height between neighboring columns.
+     *
+     * @static
+     * @type {{height: number, lines: number, holes: number, bumpiness: number}}
+     */
+    static defaultWeights = {
+        height: -0.51,
+        lines: 0.76,
+        holes: -0.36,
+        bumpiness: -0.18
+    };
+
+    /**
+     * Default values for {@link QuadtrisBot.options}.
+     *
+     * @static
+     */
+    static defaultOptions = {
+        /**
+         * The chance (0-1) that the bot picks its best placement. Otherwise, it picks one of its other top placements.
+         * @type {number}
+         */
+        difficulty: 1,
+
+        /**
+         * The number of ticks the bot waits after a new piece appears before its first input.
+         * @type {number}
+         */
+        thinkDelay: 6,
+
+        /**
+         * The number of ticks the bot waits between inputs (0 for an input every tick).
+         * @type {number}
+         */
+        moveDelay: 2,
+
+        /**
+         * Whether the bot can hold pieces.
+         * @type {boolean}
+         */
+        useHold: true,
+
+        /**
+         * The weights for scoring placements.
+         * @see {@link QuadtrisBot.defaultWeights}
+         * @type {{height: number, lines: number, holes: number, bumpiness: number}}
+         */
+        weights: QuadtrisBot.defaultWeights,
+
+        /**
+         * The seed for the bot's mistakes, or null to pick a new seed.
+         * @type {number | null}
+         */
+        seed: null
+    }
+
+    /**
+     * Difficulty and speed settings for the bot's skill levels, by name.
+     *
+     * @static
+     * @type {Object<string, {difficulty: number, thinkDelay: number, moveDelay: number}>}
+     */
+    static presets = {
+        easy: {difficulty: 0.3, thinkDelay: 20, moveDelay: 6},
+        medium: {difficulty: 0.75, thinkDelay: 10, moveDelay: 3},
+        hard: {difficulty: 1, thinkDelay: 3, moveDelay: 1}
+    };
+
+    /**
+     * The number of top placements the bot picks from when it makes a mistake.
+     *
+     * @static
+     * @type {number}
+     */
+    static mistakeChoices = 5;
+
+    /**
+     * Settings for the bot. Changes to the speed take effect on the next tick, and other changes on the next piece.
+     *
+     * @see {@link QuadtrisBot.defaultOptions}
+     */
+    options;
+
+    /**
+     * The game the bot plays.
+     *
+     * @type {QuadtrisGame}
+     */
+    game;
+
+    /**
+     * The placement the bot is working towards for the current piece, or null if it has not chosen one yet.
+     *
+     * @see {@link QuadtrisBot.findBestPlacement()}
+     * @type {Object | null}
+     */
+    plan = null;
+
+    /** Decides when the bot makes a mistake at lower difficulties. @type {function(): number} */
+    #random;
+
+    /** The piece the plan was made for. @type {QuadPiece | null} */
+    #plannedPiece = null;
+
+    /** The number of ticks to wait before the next input. @type {number} */
+    #cooldown = 0;
+
+    /** The piece's rotation and column after the last input, to notice when an input did nothing. @type {string} */
+    #lastPosition = "";
+
+    /** The number of inputs in a row that did not move the piece. @type {number} */
+    #stuckCount = 0;
+
+    /**
+     * @param {QuadtrisGame}    game    The game to play.
+     * @param {Object}          options Settings to override in {@link QuadtrisBot.defaultOptions}.
+     */
+    constructor(game, options = {}) {
+        this.game = game;
+        this.options = {...QuadtrisBot.defaultOptions, ...options};
+        this.#random = createRNG(this.options.seed ?? generateSeed());
+    }
+
+    /**
+     * Forgets the current plan, so the bot chooses a placement again. Call this when a new game starts.
+     */
+    reset() {
+        this.plan = null;
+        this.#plannedPiece = null;
+        this.#cooldown = 0;
+        this.#lastPosition = "";
+        this.#stuckCount = 0;
+    }
+
+    /**
+     * Sets the game's input for the next tick. Call this before every {@link QuadtrisGame.runTick()}.
+     */
+    update() {
+        const gameState = this.game.gameState;
+        if (gameState.gameOver || gameState.isPaused || !gameState.playerPiece.active) {
+            return;
+        }
+
+        // A new piece (from the queue or from holding) needs a new plan
+        if (gameState.playerPiece !== this.#plannedPiece) {
+            this.#plannedPiece = gameState.playerPiece;
+            this.plan = null;
+            this.#cooldown = this.options.thinkDelay;
+            this.#lastPosition = "";
+            this.#stuckCount = 0;
+        }
+        if (this.#cooldown > 0) {
+            this.#cooldown--;
+            return;
+        }
+        this.plan ??= this.findBestPlacement(this.options.difficulty);
+        this.#cooldown = this.options.moveDelay;
+
+        const piece = gameState.playerPiece;
+        const x = Math.min(...piece.blocks.map((block) => block[0]));
+
+        // Give up on a placement the piece can't reach, and drop it where it is
+        const position = piece.rotationIndex + "," + x;
+        this.#stuckCount = position == this.#lastPosition ? this.#stuckCount + 1 : 0;
+        this.#lastPosition = position;
+
+        const input = this.game.input;
+        if (this.plan === null || this.#stuckCount >= 3) {
+            input.hardDrop = true;
+        } else if (this.plan.hold) {
+            input.hold = true;
+        } else if (piece.rotationIndex != this.plan.rotationIndex) {
+            const turns = (this.plan.rotationIndex - piece.rotationIndex + 4) % 4;
+            if (turns == 2) {
+                input.rotate180 = true;
+            } else if (turns == 1) {
+                input.rotateClockwise = true;
+            } else {
+                input.rotateAnticlockwise = true;
+            }
+        } else if (x < this.plan.x) {
+            input.moveRight = 1;
+        } else if (x > this.plan.x) {
+            input.moveLeft = 1;
+        } else {
+            input.hardDrop = true;
+        }
+    }
+
+    /**
+     * Finds the best place to drop the current piece, or the piece the player would get by holding.
+     *
+     * Only placements the piece can fall straight down into are considered (no tucks or spins).
+     *
+     * @param {number} difficulty The chance (0-1) of choosing the best placement instead of one of the other top placements.
+     * @returns {{hold: boolean, shape: string, rotationIndex: number, x: number, blocks: number[][], lines: number, score: number} | null}
+     *      The placement: whether to hold first, the piece's shape, the rotation index and leftmost column to drop it at,
+     *      the grid positions its blocks land on, and the lines it clears. Null if the piece has nowhere to go.
+     */
+    findBestPlacement(difficulty = 1) {
+        const gameState = this.game.gameState;
+        const grid = readOccupancy(gameState.gridData, this.game.numRows);
+
+        let choices = [{hold: false, shape: gameState.playerPiece.shape}];
+        if (this.options.useHold && !gameState.playerPiece.wasHeld) {
+            const holdShape = gameState.heldPiece ?? gameState.pieceQueue[0];
+            if (holdShape !== undefined && holdShape != gameState.playerPiece.shape) {
+                choices.push({hold: true, shape: holdShape});
+            }
+        }
+
+        let placements = [];
+        for (const choice of choices) {
+            for (const placement of findPlacements(grid, choice.shape, this.game.numRows, this.game.options.rotationSystem)) {
+                placements.push({hold: choice.hold, shape: choice.shape, rotationIndex: placement.rotationIndex, x: placement.x,
+                    blocks: placement.blocks, lines: placement.lines, score: scoreGrid(placement.grid, placement.lines, this.options.weights)});
+            }
+        }
+        if (placements.length == 0) {
+            return null;
+        }
+
+        // The sort is stable, so equal placements keep the order they were found in
+        placements.sort((a, b) => b.score - a.score);
+        if (this.#random() < difficulty) {
+            return placements[0];
+        }
+        return placements[Math.floor(this.#random() * Math.min(placements.length, QuadtrisBot.mistakeChoices))];
+    }
+}
+
+/**
+ * Reads which cells of the grid are filled.
+ *
+ * @param {BigUint64Array}  gridData    The game's grid (see {@link QuadtrisGame.gameState}).
+ * @param {number}          numRows     The number of rows in the grid.
+ * @returns {number[]} A 10-bit number for every row (bit x is set if column x is filled), from the bottom up.
+ */
+function readOccupancy(gridData, numRows) {
+    let grid = [];
+    for (let y = 0; y < numRows; y++) {
+        let row = 0;
+        for (let x = 0; x < 10; x++) {
+            if (getRowBlock(gridData[y], x) != 0) {
+                row |= 1 << x;
+            }
+        }
+        grid.push(row);
+    }
+    return grid;
+}
+
+/**
+ * Works out the blocks of a piece in each rotation of a rotation system,
+ * moved so the lowest and leftmost blocks are at 0.
+ *
+ * @param {string} shape            The piece's shape.
+ * @param {string} rotationSystem   The name of the rotation system (see {@link rotationSystems}).
+ * @returns {number[][][]} The 4 blocks for each rotation index (0-3).
+ */
+function getRotations(shape, rotationSystem) {
+    return getRotationSystem(rotationSystem).states[shape].map((blocks) => {
+        const minX = Math.min(...blocks.map((block) => block[0]));
+        const minY = Math.min(...blocks.map((block) => block[1]));
+        return blocks.map((block) => [block[0] - minX, block[1] - minY]);
+    });
+}
+
+/**
+ * Checks whether a piece's blocks fit in the grid at an offset.
+ *
+ * @param {number[]}    grid    The filled cells (see {@link readOccupancy}).
+ * @param {number[][]}  blocks  The piece's blocks.
+ * @param {number}      x       The column to move the blocks by.
+ * @param {number}      y       The row to move the blocks by.
+ * @returns {boolean} True if every block is inside the grid and on an empty cell.
+ */
+function fits(grid, blocks, x, y) {
+    return blocks.every((block) => {
+        const blockX = block[0] + x;
+        const blockY = block[1] + y;
+        return blockX >= 0 && blockX < 10 && blockY >= 0 && blockY < grid.length && (grid[blockY] & (1 << blockX)) == 0;
+    });
+}
+
+/**
+ * Lists every place a piece can be dropped straight down from the top of the grid.
+ *
+ * @param {number[]}    grid    The filled cells (see {@link readOccupancy}).
+ * @param {string}      shape   The piece's shape.
+ * @param {number}      numRows The number of rows in the grid.
+ * @param {string}      rotationSystem  The name of the rotation system the piece turns with.
+ * @returns {{rotationIndex: number, x: number, blocks: number[][], grid: number[], lines: number}[]}
+ *      For each placement: the rotation and leftmost column, the blocks' grid positions, and the grid after
+ *      the piece is placed and full lines are cleared.
+ */
+function findPlacements(grid, shape, numRows, rotationSystem) {
+    let placements = [];
+    let seen = new Set();
+    getRotations(shape, rotationSystem).forEach((blocks, rotationIndex) => {
+        const width = Math.max(...blocks.map((block) => block[0])) + 1;
+        const height = Math.max(...blocks.map((block) => block[1])) + 1;
+        for (let x = 0; x + width <= 10; x++) {
+            let y = numRows - height;
+            if (!fits(grid, blocks, x, y)) {
+                continue;
+            }
+            while (y > 0 && fits(grid, blocks, x, y - 1)) {
+                y--;
+            }
+
+            // Rotations that look the same land on the same cells
+            const landed = blocks.map((block) => [block[0] + x, block[1] + y]);
+            const key = landed.map((block) => block.join(",")).sort().join(";");
+            if (seen.has(key)) {
+                continue;
+            }
+            seen.add(key);
+
+            let after = [...grid];
+            for (const [blockX, blockY] of landed) {
+                after[blockY] |= 1 << blockX;
+            }
+            const remaining = after.filter((row) => row != 0b1111111111);
+            const lines = after.length - remaining.length;
+            while (remaining.length < after.length) {
+                remaining.push(0);
+            }
+            placements.push({rotationIndex: rotationIndex, x: x, blocks: landed, grid: remaining, lines: lines});
+        }
+    });
+    return placements;
+}
+
+/**
+ * Scores a grid with the bot's weights.
+ *
+ * @param {number[]}    grid    The filled cells after a placement (see {@link readOccupancy}).
+ * @param {number}      lines   The number of lines the placement cleared.
+ * @param {Object}      weights The weights (see {@link QuadtrisBot.defaultWeights}).
+ * @returns {number} The score (higher is better).
+ */
+function scoreGrid(grid, lines, weights) {
+    let heights = [];
+    let holes = 0;
+    for (let x = 0; x < 10; x++) {
+        let height = 0;
+        for (let y = grid.length - 1; y >= 0; y--) {
+            const filled = (grid[y] & (1 << x)) != 0;
+            if (filled && height == 0) {
+                height = y + 1;
+            } else if (!filled && height > 0) {
+                holes++;
+            }
+        }
+        heights.push(height);
+    }
+
+    let bumpiness = 0;
+    for (let x = 1; x < 10; x++) {
+        bumpiness += Math.abs(heights[x] - heights[x - 1]);
+    }
+    const totalHeight = heights.reduce((total, height) => total + height, 0);
+
+    return weights.height * totalHeight + weights.lines * lines + weights.holes * holes + weights.bumpiness * bumpiness;
+}
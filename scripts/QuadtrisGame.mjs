@@ -1,11 +1,49 @@
 /**
  * @fileoverview Contains 2 classes: QuadtrisGame and QuadPiece, for running a game of Quadtris.
  * 
- * Note: {@link QuadtrisGame.runTick()} is dependent on the QuadtrisInput class.
+ * This module does not use the DOM, so a game can be run headlessly (for example, from Node for tests).
+ * Set {@link QuadtrisGame.input} before each call to {@link QuadtrisGame.runTick()} to control the game.
  * 
  * @author Alex Wills
  * @version 1.1.0
  */
+import { createRandomizer, createRNG, generateSeed } from "./PieceRandomizer.mjs";
+import { getGravity, getLockDelay } from "./LevelCurves.mjs";
+import { baseShapes, getRotationSystem } from "./RotationSystems.mjs";
+
+/**
+ * The number of bits used for each block in a row of the grid.
+ * 
+ * Each row is a 64-bit integer (a BigInt) holding 10 4-bit block values. The leftmost block (x = 0)
+ * is in the highest bits (bits 36-39), and the rightmost block (x = 9) is in the lowest bits (bits 0-3).
+ * 
+ * @type {number}
+ */
+export const BITS_PER_BLOCK = 4;
+
+/**
+ * Reads a block from a row of the grid.
+ * 
+ * @param {bigint} row  A row of the grid (see {@link BITS_PER_BLOCK}).
+ * @param {number} x    The index of the block in the row (0 = left, 9 = right).
+ * @returns {number} The block's value (0 = no block, 1-7 = piece colors, 8 = garbage).
+ */
+export function getRowBlock(row, x) {
+    return Number((row >> BigInt(BITS_PER_BLOCK * (9 - x))) & 0xFn);
+}
+
+/**
+ * Changes a block in a row of the grid.
+ * 
+ * @param {bigint} row      A row of the grid (see {@link BITS_PER_BLOCK}).
+ * @param {number} x        The index of the block in the row (0 = left, 9 = right).
+ * @param {number} block    The block's new value (in range [0, 15]).
+ * @returns {bigint} The changed row.
+ */
+export function setRowBlock(row, x, block) {
+    const bitshift = BigInt(BITS_PER_BLOCK * (9 - x));
+    return (row & ~(0xFn << bitshift)) | (BigInt(block) << bitshift);
+}
 
 
 /**
@@ -36,16 +74,47 @@
  */
 export class QuadtrisGame {
 
+    /**
+     * The actions to take on the next tick. Cleared at the end of every tick.
+     * 
+     * moveLeft and moveRight are the number of cells to move (true counts as 1), so auto-repeat
+     * can move the piece several cells in one tick. The other actions are booleans.
+     */
     input = {
-        moveLeft: false,
-        moveRight: false,
+        moveLeft: 0,
+        moveRight: 0,
         hardDrop: false,
         softDrop: false,
         hold: false,
         rotateClockwise: false,
-        rotateAnticlockwise: false
+        rotateAnticlockwise: false,
+        rotate180: false
     }
 
+    /**
+     * Things that happened in the game since the events were last taken, oldest first, for visual effects
+     * (and anything else that reacts to the game rather than its state). Only the last
+     * {@link QuadtrisGame.maxEvents} are kept if nothing takes them.
+     * 
+     * - hardDrop   {type, shape, blockType, blocks, distance}: the piece was hard dropped `distance` rows to `blocks`.
+     * - lock       {type, shape, blockType, blocks}: the piece locked into the grid at `blocks`.
+     * - lineClear  {type, rows, cells, tSpin, perfectClear}: full rows were found, from the bottom up. `cells` holds the
+     *              block IDs of each row (see {@link QuadtrisGame.getBlockData}), since the rows may be gone by the time
+     *              the event is read.
+     * 
+     * @see {@link QuadtrisGame.takeEvents()}
+     * @type {Object[]}
+     */
+    events = [];
+
+    /**
+     * The most events to keep in {@link QuadtrisGame.events}.
+     * 
+     * @static
+     * @type {number}
+     */
+    static maxEvents = 64;
+
     /**
      * Number of rows in the grid.
      * 
@@ -56,6 +125,8 @@ export class QuadtrisGame {
     /**
      * Time (in seconds) for the grace timer to start with.
      * 
+     * Set from {@link QuadtrisGame.options}.lockDelay, and shortened at high speed levels.
+     * 
      * @see {@link QuadtrisGame.graceTimer}
      * @type {number}
      */
@@ -71,12 +142,159 @@ export class QuadtrisGame {
     gameTickTime = 1.0 / 30.0;
 
     /**
-     * Map between piece shapes (char) and their 3-bit ID (1-7).
+     * Map between piece shapes (char) and their block ID (1-7).
      * 
      * @type {Map<string, number>}
      */
     pieceMap = new Map();
 
+    /**
+     * Default values for {@link QuadtrisGame.options}.
+     * 
+     * @static
+     */
+    static defaultOptions = {
+        /**
+         * The seed for the piece randomizer, or null to pick a new seed for every game.
+         * @type {number | null}
+         */
+        seed: null,
+
+        /**
+         * The name of the strategy used to pick the order of pieces.
+         * @see {@link randomizers}
+         * @type {string}
+         */
+        randomizer: "bag7",
+
+        /**
+         * The name of the rotation system, which sets how pieces spawn, turn and kick.
+         * @see {@link rotationSystems}
+         * @type {string}
+         */
+        rotationSystem: "srs",
+
+        /**
+         * The name of the game mode being played. The mode's rules are set by the other options.
+         * @see {@link gameModes}
+         * @type {string}
+         */
+        mode: "marathon",
+
+        /**
+         * The number of lines to clear to finish the game, or null to play until the stack tops out.
+         * @type {number | null}
+         */
+        lineGoal: null,
+
+        /**
+         * The length of the game (in seconds), or null for no time limit.
+         * When time runs out, the game ends and the goal counts as reached.
+         * @type {number | null}
+         */
+        timeLimit: null,
+
+        /**
+         * The number of garbage rows the grid starts with.
+         * @see {@link QuadtrisGame.addGarbageRows}
+         * @type {number}
+         */
+        startingGarbage: 0,
+
+        /**
+         * The chance (0-1) that each row of starting or rising garbage has its hole in a different column
+         * than the row below it. 0 keeps every hole in one column, and 1 moves the hole every row.
+         * @type {number}
+         */
+        garbageMessiness: 0,
+
+        /**
+         * Time (in seconds) between new garbage rows rising from the bottom of the grid, or null for no rising garbage.
+         * @type {number | null}
+         */
+        garbageRiseInterval: null,
+
+        /**
+         * The number of garbage rows to clear to finish the game, or null for no garbage goal.
+         * @type {number | null}
+         */
+        garbageLineGoal: null,
+
+        /**
+         * The name of the gravity curve that sets how fast pieces fall at each speed level.
+         * @see {@link levelCurves}
+         * @type {string}
+         */
+        levelCurve: "classic",
+
+        /**
+         * The speed level the game starts on.
+         * @type {number}
+         */
+        startLevel: 1,
+
+        /**
+         * The number of lines to clear to advance to the next speed level.
+         * @type {number}
+         */
+        linesPerLevel: 10,
+
+        /**
+         * Time (in seconds) a landed piece waits before locking, at low speed levels.
+         * @see {@link getLockDelay}
+         * @type {number}
+         */
+        lockDelay: 0.5,
+
+        /**
+         * How moving a landed piece affects its lock delay:
+         * - "move": every move or rotation restarts the delay, up to {@link QuadtrisGame.options}.moveResetLimit times.
+         *   The count starts over when the piece falls lower than it has been before.
+         * - "step": the delay only restarts when the piece falls to a new row.
+         * - "infinite": every move or rotation restarts the delay, with no limit.
+         * @type {string}
+         */
+        lockResetMode: "move",
+
+        /**
+         * The number of times a move or rotation can restart the lock delay with the "move" reset mode.
+         * @type {number}
+         */
+        moveResetLimit: 30,
+
+        /**
+         * How many times faster than gravity the piece falls while soft dropping.
+         * @type {number}
+         */
+        softDropFactor: 20,
+
+        /**
+         * Whether a new piece immediately falls 1 cell when it appears (if there is room).
+         * @type {boolean}
+         */
+        spawnDrop: false,
+
+        /**
+         * The number of ticks between a piece locking and the next piece appearing (ARE).
+         * @type {number}
+         */
+        entryDelay: 0,
+
+        /**
+         * The number of extra ticks the next piece waits when the locked piece clears lines.
+         * The full rows stay in the grid until the delay is over (see {@link QuadtrisGame.gameState}.clearingRows).
+         * @type {number}
+         */
+        lineClearDelay: 0
+    }
+
+    /**
+     * Settings for how the game is played. Changes take effect when {@link QuadtrisGame.startNewGame()} is called.
+     * 
+     * @see {@link QuadtrisGame.defaultOptions}
+     */
+    options;
+
 
     /**
      * The data required to run and display the game.
@@ -93,11 +311,11 @@ export class QuadtrisGame {
         /**
          * The game's board.
          * 
-         * Each row is 10 3-bit values, with 2 extra bits at the end.
+         * Each row is 10 4-bit values (see {@link BITS_PER_BLOCK}).
          * 
-         * @type {Uint32Array}
+         * @type {BigUint64Array}
          */
-        gridData: new Uint32Array(this.numRows),
+        gridData: new BigUint64Array(this.numRows),
 
         /**
          * The player's currently moving and controllable piece.
@@ -140,6 +358,13 @@ export class QuadtrisGame {
          */
         linesCleared: 0,
 
+        /**
+         * The number of cleared lines that contained garbage.
+         * 
+         * @type {number}
+         */
+        garbageCleared: 0,
+
 
         /**
          * The level of speed the pieces fall at.
@@ -148,7 +373,121 @@ export class QuadtrisGame {
          */
         speedLevel: 1,
 
-        score: 0
+        /**
+         * The highest speed level reached during the current game.
+         * 
+         * @type {number}
+         */
+        maxSpeedLevel: 1,
+
+        /**
+         * The number of pieces locked into the grid during the current game.
+         * 
+         * @type {number}
+         */
+        piecesPlaced: 0,
+
+        /**
+         * The number of game ticks played during the current game (excluding pauses and the game over animation).
+         * 
+         * Multiply by {@link QuadtrisGame.gameTickTime} to get the duration in seconds.
+         * 
+         * @type {number}
+         */
+        ticksPlayed: 0,
+
+        score: 0,
+
+        /**
+         * Whether the last line clear was a Tetris or a T-spin, so the next one will earn a back-to-back bonus.
+         * 
+         * @type {boolean}
+         */
+        backToBack: false,
+
+        /**
+         * The number of consecutive placed pieces that have cleared lines (0 if the last piece did not clear any).
+         * 
+         * @type {number}
+         */
+        combo: 0,
+
+        /**
+         * The number of times the player has cleared every block from the grid.
+         * 
+         * @type {number}
+         */
+        perfectClears: 0,
+
+        /**
+         * A short description of the last scoring action, like "T-SPIN DOUBLE" or "B2B TETRIS".
+         * 
+         * @type {string}
+         */
+        actionLabel: "",
+
+        /**
+         * The number of scoring actions so far, used to tell when {@link QuadtrisGame.gameState.actionLabel} is new
+         * (even if the label is the same as the last one).
+         * 
+         * @type {number}
+         */
+        actionCount: 0,
+
+        /**
+         * What the last placed piece did, used to work out attacks in versus mode.
+         * 
+         * - lines          {number}    The number of lines it cleared.
+         * - tSpin          {string}    The type of T-spin ("full", "mini", or "none").
+         * - backToBack     {boolean}   Whether it earned a back-to-back bonus.
+         * - combo          {number}    The combo after it was placed (0 if it did not clear lines).
+         * - perfectClear   {boolean}   Whether it emptied the grid.
+         * 
+         * @type {{lines: number, tSpin: string, backToBack: boolean, combo: number, perfectClear: boolean}}
+         */
+        lastPlacement: {lines: 0, tSpin: "none", backToBack: false, combo: 0, perfectClear: false},
+
+        /**
+         * Whether the game ended by reaching the mode's goal or time limit (rather than topping out).
+         * 
+         * @see {@link QuadtrisGame.options}
+         * @type {boolean}
+         */
+        goalReached: false,
+
+        /**
+         * The value of {@link QuadtrisGame.gameState.ticksPlayed} when every 10th line was cleared.
+         * 
+         * The first split is the time to clear 10 lines, the second is the time to clear 20 lines, and so on.
+         * 
+         * @type {number[]}
+         */
+        splits: [],
+
+        /**
+         * The y indices of the full rows waiting to be cleared during the line clear delay, from the bottom up.
+         * The rows are still in {@link QuadtrisGame.gameState}.gridData, so they can be drawn clearing.
+         * 
+         * @see {@link QuadtrisGame.options}.lineClearDelay
+         * @type {number[]}
+         */
+        clearingRows: [],
+
+        /**
+         * How far through the line clear delay the game is, from 0 (the rows just filled) to 1 (the rows are cleared).
+         * 
+         * @type {number}
+         */
+        lineClearProgress: 0,
+
+        /**
+         * The seed the current game's pieces were generated from.
+         * 
+         * Starting a game with this seed and the same randomizer will produce the same pieces.
+         * 
+         * @type {number}
+         */
+        seed: 0
     }
 
     /**
@@ -163,30 +502,52 @@ export class QuadtrisGame {
         return value;
     }
 
-    static levels = {
-        1: 25,
-        2: 20,
-        3: 16,
-        4: 12,
-        5: 10,
-        6: 8,
-        7: 6,
-        8: 5,
-        9: 4,
-        10: 2,
-        11: 1,
-        max: 11
+    /**
+     * Whether the player has topped out, including while the game over animation plays.
+     * 
+     * @type {boolean}
+     */
+    get isToppedOut() {
+        return this.#gameOverAnimation || (this.gameState.gameOver && !this.gameState.goalReached);
+    }
+
+    /**
+     * The block ID used for garbage rows (after the piece IDs 1-7).
+     * 
+     * @static
+     * @type {number}
+     */
+    static garbageBlock = 8;
+
+    /**
+     * Points awarded for each action, before the level multiplier.
+     * 
+     * Line clears, T-spins, mini T-spins and perfect clears are indexed by the number of lines cleared.
+     * 
+     * @static
+     */
+    static scoring = {
+        lines: [0, 100, 300, 500, 800],
+        tSpin: [400, 800, 1200, 1600],
+        tSpinMini: [100, 200, 400],
+        perfectClear: [0, 800, 1200, 1800, 2000],
+        backToBackPerfectClear: 3200,   // Replaces the perfect clear bonus for a back-to-back Tetris
+        combo: 50,                      // Per piece in the combo, after the first
+        backToBackMultiplier: 1.5,
+        softDrop: 1,    // Per cell
+        hardDrop: 2     // Per cell
     }
 
     // Private properties
     /**
-     * The number of ticks between the game automatically moving the player's piece down.
+     * The number of cells the game automatically moves the player's piece down every tick.
      * 
-     * This number decreases to increase the falling speed of the pieces.
+     * Values below 1 move the piece every few ticks, and values above 1 move the piece several cells in one tick.
+     * This number increases with the speed level.
      * 
      * @type {number}
      */
-    #ticksPerGravity = 15;
+    #gravityPerTick = 1 / 15;
 
     /**
      * Whether the game's state has changed since the last time this flag was checked.
@@ -196,13 +557,61 @@ export class QuadtrisGame {
     #isStateChanged = true;
 
     /**
-     * How many ticks have passed since gravity was last applied.
+     * How far (in cells) gravity has pulled the piece since it last moved down.
+     * The piece falls 1 cell for every whole cell of progress.
+     * 
+     * @type {number}
+     */
+    #gravityProgress = 0;
+
+    /**
+     * How far (in cells) soft drop has pulled the piece since it last moved down.
+     * 
+     * @type {number}
+     */
+    #softDropProgress = 0;
+
+    /**
+     * Whether the last successful movement of the player's piece was a rotation, which is required for a T-spin.
+     * 
+     * @type {boolean}
+     */
+    #lastMoveWasRotation = false;
+
+    /**
+     * The index of the offset test that the last successful rotation used (0 = no kick).
      * 
+     * @see {@link QuadtrisGame.#resolveRotation}
      * @type {number}
      */
-    #gravityTickCounter = 0;
+    #lastKickIndex = 0;
+
+    /**
+     * Source of the shapes added to the piece queue.
+     * 
+     * @see {@link QuadtrisGame.#refillPieceQueue}
+     * @type {{nextPiece: function(): string}}
+     */
+    #randomizer;
+
+    /**
+     * The rotation system pieces spawn and turn with, chosen in {@link QuadtrisGame.options}.
+     * 
+     * @see {@link QuadtrisGame.#resolveRotation}
+     * @type {Object}
+     */
+    #rotationSystem;
+
+    /**
+     * Picks the holes in garbage rows. It is seeded from the game's seed, so a replayed game gets the same garbage.
+     * 
+     * @see {@link QuadtrisGame.addGarbageRows}
+     * @type {function(): number}
+     */
+    #garbageRandom;
 
-    #possibleTSpin = false;
+    /** The column of the hole in the last row of starting or rising garbage, or null if there has not been one. @type {number | null} */
+    #lastGarbageHole = null;
 
 
     /**
@@ -231,28 +640,73 @@ export class QuadtrisGame {
      */
     #timerRunning = false;
 
+    /**
+     * The lowest row the player's piece has landed on, used to give back the grace timer's boosts
+     * when the piece reaches a new lowest row.
+     * 
+     * @type {number}
+     */
+    #lowestLandingRow = Infinity;
+
     /**
      * Whether the game is playing its game over animation, before setting the game state's game over to true.
      */
     #gameOverAnimation = false;
 
+    /**
+     * The number of ticks left in the line clear delay, before the full rows are cleared.
+     * 
+     * @see {@link QuadtrisGame.options}.lineClearDelay
+     * @type {number}
+     */
+    #lineClearTicks = 0;
+
+    /**
+     * The number of ticks left in the entry delay (after any line clear delay), before the next piece appears.
+     * 
+     * @see {@link QuadtrisGame.options}.entryDelay
+     * @type {number}
+     */
+    #entryTicks = 0;
+
+    /**
+     * The rotation (in quarter turns, see {@link QuadtrisGame.#resolveRotation}) given while the next piece was waiting,
+     * applied as the piece appears (Initial Rotation System, or IRS). 0 if there is none.
+     * 
+     * @see {@link QuadtrisGame.#bufferInputs}
+     * @type {number}
+     */
+    #bufferedRotation = 0;
+
+    /**
+     * Whether hold was given while the next piece was waiting, so the piece is held as it appears (Initial Hold System, or IHS).
+     * 
+     * @see {@link QuadtrisGame.#bufferInputs}
+     * @type {boolean}
+     */
+    #bufferedHold = false;
+
 
     /**
      * Represents the data needed to run the game.
      * 
      * This constructor also sets up the color and piece maps, used
-     * to represent the different piece shapes as 3-bit integers with color values.
+     * to represent the different piece shapes as block IDs with color values.
      * 
+     * @param {Object} options Settings to override in {@link QuadtrisGame.defaultOptions}.
      * @constructor
      */
-    constructor() {
+    constructor(options = {}) {
+        this.options = {...QuadtrisGame.defaultOptions, ...options};
 
         // Set up the piece queue and initialize the first piece.
+        this.#resetRandomizer();
+        this.#rotationSystem = getRotationSystem(this.options.rotationSystem);
         this.#refillPieceQueue();
         this.#grabNextPiece();
         this.#updateGhostProjections();
         
-        this.#ticksPerGravity = 15;
+        this.#gravityPerTick = 1 / 15;
 
         this.pieceMap.set('Z', 1);
         this.pieceMap.set('S', 2);
@@ -297,8 +751,14 @@ export class QuadtrisGame {
             return;
         }
 
-        // Hard drop finishes user input by moving the piece to it's destination.
-        if (this.input.hardDrop) {
+        this.gameState.ticksPlayed++;
+
+        // While the next piece is on its way, there is no piece to control
+        if (this.isPieceWaiting) {
+            this.#bufferInputs();
+            pieceMoved = this.#runDelays();
+
+        } else if (this.input.hardDrop) { // Hard drop finishes user input by moving the piece to it's destination.
             this.hardDropPlayerPiece();// Do hard drop
             this.finishWithPiece();
             pieceMoved = true;
@@ -314,9 +774,17 @@ export class QuadtrisGame {
                 this.#updateGraceTimer(this.gameTickTime);
             }
 
-            // Then move down if soft drop is used
+            // Then move down faster if soft drop is used
             if (this.input.softDrop) {
-                pieceMoved = this.tryMovePiece(0, -1) || pieceMoved;
+                this.#softDropProgress += Math.min(this.#gravityPerTick * this.options.softDropFactor, this.numRows);
+                const softDropCells = Math.floor(this.#softDropProgress + 1e-9);
+                this.#softDropProgress = Math.max(this.#softDropProgress - softDropCells, 0);
+                for (let i = 0; i < softDropCells && this.tryMovePiece(0, -1); i++) {
+                    pieceMoved = true;
+                    this.gameState.score += QuadtrisGame.scoring.softDrop;
+                }
+            } else {
+                this.#softDropProgress = 0;
             }
 
             // Next, process rotation
@@ -325,24 +793,29 @@ export class QuadtrisGame {
                 rotation += 1;
             if (this.input.rotateAnticlockwise)
                 rotation -= 1;
-            if (rotation != 0)
+            if (this.input.rotate180)
+                pieceMoved = this.tryRotatePiece180() || pieceMoved;
+            else if (rotation != 0)
                 pieceMoved = this.tryRotatePiece(rotation == 1) || pieceMoved;
 
-            // Next, process horizontal input
-            let movement = 0;
-            if (this.input.moveLeft)
-                movement -= 1;
-            if (this.input.moveRight)
-                movement += 1;
-            if (movement != 0)
-                pieceMoved = this.tryMovePiece(movement, 0) || pieceMoved;
-
-            // Next, process gravity. Gravity does not always happen every tick, rather every so many ticks based on the level.
-            this.#gravityTickCounter++;
-            if (this.#gravityTickCounter >= this.#ticksPerGravity) {
-                let atBottom = !this.tryMovePiece(0, -1);
-                pieceMoved ||= !atBottom;
-                this.#gravityTickCounter = 0;
+            // Next, process horizontal input, moving 1 cell at a time until the piece is blocked
+            let movement = Number(this.input.moveRight) - Number(this.input.moveLeft);
+            for (let i = 0; i < Math.abs(movement) && this.tryMovePiece(Math.sign(movement), 0); i++) {
+                pieceMoved = true;
+            }
+
+            // Next, process gravity. At low levels the piece falls every few ticks, and at high levels
+            // it can fall several cells in one tick.
+            this.#gravityProgress += this.#gravityPerTick;
+            // Allow for rounding errors when adding up fractions of a cell
+            const gravityCells = Math.floor(this.#gravityProgress + 1e-9);
+            if (gravityCells > 0) {
+                let atBottom = false;
+                for (let i = 0; i < gravityCells && !atBottom; i++) {
+                    atBottom = !this.tryMovePiece(0, -1);
+                    pieceMoved ||= !atBottom;
+                }
+                this.#gravityProgress = Math.max(this.#gravityProgress - gravityCells, 0);
     
                 if (atBottom && !this.#timerRunning) {
                     this.#startGraceTimer();
@@ -368,6 +841,19 @@ export class QuadtrisGame {
             }    
         }
 
+        // End the game when the time limit runs out
+        if (this.options.timeLimit !== null && !this.gameState.gameOver
+            && this.gameState.ticksPlayed >= Math.round(this.options.timeLimit / this.gameTickTime)) {
+            this.gameState.goalReached = true;
+            this.endGame();
+        }
+
+        // Push up a new garbage row every interval
+        if (this.options.garbageRiseInterval !== null && !this.gameState.gameOver
+            && this.gameState.ticksPlayed % Math.max(Math.round(this.options.garbageRiseInterval / this.gameTickTime), 1) == 0) {
+            this.#riseGarbage();
+        }
+
         // Update visual dependencies if the piece moved.
         if (pieceMoved) {
             this.#updateGhostProjections();
@@ -376,13 +862,14 @@ export class QuadtrisGame {
 
         // Clear inputs for next tick.
         this.input = {
-            moveLeft: false,
-            moveRight: false,
+            moveLeft: 0,
+            moveRight: 0,
             hardDrop: false,
             softDrop: false,
             hold: false,
             rotateClockwise: false,
-            rotateAnticlockwise: false
+            rotateAnticlockwise: false,
+            rotate180: false
         };
     }    
 
@@ -390,6 +877,20 @@ export class QuadtrisGame {
         this.gameState.isPaused = pause;
     }
 
+    /**
+     * Immediately ends the current game, skipping the game over animation.
+     */
+    endGame() {
+        // Finish any line clear, so the final grid is shown without the full rows
+        this.#lineClearTicks = 0;
+        this.#entryTicks = 0;
+        this.#removeClearingRows();
+        this.gameState.playerPiece.active = false;
+        this.#gameOverAnimation = false;
+        this.gameState.gameOver = true;
+        this.#isStateChanged = true;
+    }
+
     /**
      * Resets the game's data and begins a new game.
      * 
@@ -405,19 +906,40 @@ export class QuadtrisGame {
         this.rowCount = null;
 
         // Reset grid
-        for (let i = 0; i < this.gameState.gridData.length; i++) {
-            this.gameState.gridData[i] = 0;
-        }
+        this.gameState.gridData.fill(0n);
 
         this.gameState.linesCleared = 0;
+        this.gameState.garbageCleared = 0;
         this.gameState.speedLevel = 0;
+        this.gameState.maxSpeedLevel = 0;
+        this.gameState.piecesPlaced = 0;
+        this.gameState.ticksPlayed = 0;
         this.gameState.score = 0;
+        this.gameState.backToBack = false;
+        this.gameState.combo = 0;
+        this.gameState.perfectClears = 0;
+        this.gameState.actionLabel = "";
+        this.gameState.actionCount = 0;
+        this.gameState.lastPlacement = {lines: 0, tSpin: "none", backToBack: false, combo: 0, perfectClear: false};
+        this.gameState.goalReached = false;
+        this.gameState.splits = [];
+        this.gameState.clearingRows = [];
+        this.gameState.lineClearProgress = 0;
+        this.#lineClearTicks = 0;
+        this.#entryTicks = 0;
+        this.#bufferedRotation = 0;
+        this.#bufferedHold = false;
+        this.events = [];
         this.gameState.pieceQueue = [];
         this.gameState.heldPiece = null;
+        this.#resetRandomizer();
+        this.#rotationSystem = getRotationSystem(this.options.rotationSystem);
         this.#refillPieceQueue();
         this.#grabNextPiece();
         this.#updateGhostProjections();
         this.#updateSpeedLevel();
+        this.#lastGarbageHole = this.addGarbageRows(this.options.startingGarbage,
+            {messiness: this.options.garbageMessiness}).at(-1) ?? null;
 
         // Reset inputs
         Object.keys(this.input).forEach((val, index, arr) => {
@@ -448,6 +970,7 @@ export class QuadtrisGame {
 
         if (canMove) {
             this.#movePlayerPiece(dx, dy);
+            this.#lastMoveWasRotation = false;
             if (dx != 0) {
                 this.#boostGraceTimer();
             }
@@ -464,11 +987,33 @@ export class QuadtrisGame {
      * 
      * The player's piece will land where the projected ghost blocks are.
      * The piece will also be locked into the board, preventing the player from moving the piece further.
+     * Every row the piece falls is worth {@link QuadtrisGame.scoring}.hardDrop points.
      * 
      * @see {@link QuadtrisGame.finishWithPiece}
      */
     hardDropPlayerPiece() {
-        while (this.tryMovePiece(0, -1)) {}
+        let distance = 0;
+        while (this.tryMovePiece(0, -1)) {
+            this.gameState.score += QuadtrisGame.scoring.hardDrop;
+            distance++;
+        }
+        this.#addPieceEvent("hardDrop", {distance: distance});
+    }
+
+    /**
+     * Collects the events since the last call, and clears them.
+     * 
+     * @example
+     * for (const event of game.takeEvents()) {
+     *     if (event.type == "lineClear") { ... }
+     * }
+     * 
+     * @returns {Object[]} The events, oldest first (see {@link QuadtrisGame.events}).
+     */
+    takeEvents() {
+        const events = this.events;
+        this.events = [];
+        return events;
     }
 
     /**
@@ -478,9 +1023,33 @@ export class QuadtrisGame {
      * @returns {boolean} Whether the rotation succeeded and the player's piece has been moved.
      */
     tryRotatePiece(clockwise) {
-        let rotated = this.#resolveRotation(clockwise);
+        return this.#applyRotation(clockwise ? 1 : -1);
+    }
+
+    /**
+     * Attempts to rotate the piece 180 degrees on the grid, using the rotation system's half turn kicks.
+     * 
+     * Like a 90 degree rotation, a successful half turn counts as a move for the lock delay reset rules.
+     * 
+     * @see {@link rotationSystems}
+     * 
+     * @returns {boolean} Whether the rotation succeeded and the player's piece has been moved.
+     */
+    tryRotatePiece180() {
+        return this.#applyRotation(2);
+    }
+
+    /**
+     * Rotates the piece if possible, boosting the grace timer and remembering the rotation for T-spins.
+     * 
+     * @param {number} quarterTurns The rotation to attempt (see {@link QuadtrisGame.#resolveRotation}).
+     * @returns {boolean} Whether the rotation succeeded.
+     */
+    #applyRotation(quarterTurns) {
+        let rotated = this.#resolveRotation(quarterTurns);
         if (rotated) {
             this.#boostGraceTimer();
+            this.#lastMoveWasRotation = true;
         }
         
         return rotated;
@@ -502,7 +1071,7 @@ export class QuadtrisGame {
             this.gameState.heldPiece = this.gameState.playerPiece.shape;
             this.#grabNextPiece();
             this.#isStateChanged = true;
-            this.#gravityTickCounter = 0;
+            this.#gravityProgress = 0;
 
             
             // Otherwise, we can only hold a piece that hasn't been held before (it came from the queue)
@@ -511,10 +1080,13 @@ export class QuadtrisGame {
             this.gameState.heldPiece = this.gameState.playerPiece.shape;
             
             // Construct the new piece from the held piece data, and prevent it from being held again
-            this.gameState.playerPiece = new QuadPiece(nextPiece);
+            this.gameState.playerPiece = new QuadPiece(nextPiece, this.#rotationSystem);
             this.gameState.playerPiece.wasHeld = true;
             this.#isStateChanged = true;
-            this.#gravityTickCounter = 0;
+            this.#gravityProgress = 0;
+            this.#lastMoveWasRotation = false;
+            this.#timerRunning = false;
+            this.#lowestLandingRow = Infinity;
             
 
             // Check if move is possible, otherwise game over
@@ -523,6 +1095,8 @@ export class QuadtrisGame {
             if (!this.isPlayerPieceValid()) {
                 this.gameState.playerPiece.active = false;
                 this.#gameOverAnimation = true;
+            } else if (this.options.spawnDrop) {
+                this.tryMovePiece(0, -1);
             }
 
         }
@@ -533,36 +1107,128 @@ export class QuadtrisGame {
      * 
      * 1. Places the player's piece on the grid.
      * 
-     * 2. Deletes the current player piece and replaces it with the next in the queue.
+     * 2. Stops the timer used for giving the player a small grace period to move the piece.
+     * 
+     * 3. Finds the full rows, and updates the score and level.
      * 
-     * 3. Stops the timer used for giving the player a small grace period to move the piece.
+     * 4. Replaces the player piece with the next in the queue and clears the full rows, or starts the
+     *    entry and line clear delays (see {@link QuadtrisGame.options}), which do this when they are over.
      * 
-     * 4. Resolves any line clears.
+     * 5. Ends the game if the line goal or garbage line goal has been reached.
      * 
      * @see {@link QuadtrisGame.#depositPlayerPiece}
      * @see {@link QuadtrisGame.#grabNextPiece}
-     * @see {@link QuadtrisGame.#resolveLineClears}
+     * @see {@link QuadtrisGame.#findFullRows}
+     * @see {@link QuadtrisGame.#scorePlacement}
      */
     finishWithPiece() {
-        const previousLinesCleared = this.gameState.linesCleared;
-        // Calculate score possibilities
-        // Check for T spins
-        if (this.gameState.playerPiece.shape == 'T') {
-            this.#possibleTSpin = true;
-        }
+        // T-spins depend on the blocks around the piece, so check before it is deposited
+        const tSpin = this.#detectTSpin();
         this.#depositPlayerPiece();
-        this.#grabNextPiece();
+        this.#addPieceEvent("lock");
+        this.gameState.piecesPlaced++;
         this.#timerRunning = false;
-        this.#resolveLineClears();
+        const lines = this.#findFullRows();
+
+        // Score the placement with the level it was made on, then update the level
+        this.#scorePlacement(lines, tSpin);
+        if (lines > 0) {
+            this.#addEvent({type: "lineClear", rows: [...this.gameState.clearingRows],
+                cells: this.gameState.clearingRows.map((y) => Array.from({length: 10}, (_, x) => this.getBlockData(x, y))),
+                tSpin: tSpin, perfectClear: this.gameState.lastPlacement.perfectClear});
+            this.#updateSpeedLevel();
+            this.#updateSplits();
+        }
 
-        // If lines are cleared, update score/level
+        const lineClearTicks = lines > 0 ? Math.max(this.options.lineClearDelay, 0) : 0;
+        const entryTicks = Math.max(this.options.entryDelay, 0);
+        if (lineClearTicks + entryTicks > 0) {
+            // The piece stays hidden in the grid until the delays are over
+            this.gameState.playerPiece.active = false;
+            this.#lineClearTicks = lineClearTicks;
+            this.#entryTicks = entryTicks;
+            if (lineClearTicks == 0) {
+                this.#removeClearingRows();
+            }
+        } else {
+            this.#grabNextPiece();
+            this.#removeClearingRows();
+        }
 
-        if (this.gameState.linesCleared != previousLinesCleared) {
-            this.#updateSpeedLevel();
-            this.gameState.score += Math.pow(this.gameState.linesCleared - previousLinesCleared, 2) * 100;
+        if ((this.options.lineGoal !== null && this.gameState.linesCleared >= this.options.lineGoal)
+            || (this.options.garbageLineGoal !== null && this.gameState.garbageCleared >= this.options.garbageLineGoal)) {
+            this.gameState.goalReached = true;
+            this.endGame();
         }
     }
 
+    /**
+     * Pushes rows of garbage up from the bottom of the grid, like the attacks sent in versus mode.
+     * 
+     * Every garbage row is full of garbage blocks except for 1 empty space (the hole). The stack moves up
+     * to make room, and the player's piece moves up with it if the garbage would overlap it. If blocks are
+     * pushed off the top of the grid, or the piece has nowhere to go, the player tops out.
+     * 
+     * @example
+     * // 4 rows with a hole in the leftmost column
+     * game.addGarbageRows(4, {holes: 0});
+     * // 6 rows where the hole moves about half of the time
+     * game.addGarbageRows(6, {messiness: 0.5});
+     * 
+     * @param {number}  count                   The number of rows to add.
+     * @param {Object}  options
+     * @param {number | number[] | null} options.holes
+     *      Where the holes go: an x index (0-9) for the first row, a list of x indices with one for every row
+     *      (from the bottom row up), or null for a random column.
+     * @param {number}  options.messiness       The chance (0-1) that each row's hole moves to a different column
+     *                                          than the row below it. Not used when every row's hole is listed.
+     * @returns {number[]} The x index of each new row's hole, from the bottom row up.
+     */
+    addGarbageRows(count, options = {}) {
+        const {holes = null, messiness = 0} = options;
+        if (count <= 0 || this.gameState.gameOver || this.#gameOverAnimation) {
+            return [];
+        }
+        count = Math.min(count, this.numRows);
+        const holeColumns = this.#pickGarbageHoles(count, holes, messiness);
+
+        // Blocks in the top rows have nowhere to go
+        let toppedOut = false;
+        for (let y = this.numRows - count; y < this.numRows; y++) {
+            toppedOut ||= this.gameState.gridData[y] != 0;
+        }
+
+        // Copy every row up, then fill in the garbage
+        for (let y = this.numRows - 1; y >= count; y--) {
+            this.gameState.gridData[y] = this.gameState.gridData[y - count];
+        }
+        for (let y = 0; y < count; y++) {
+            this.gameState.gridData[y] = 0n;
+            for (let x = 0; x < 10; x++) {
+                if (x != holeColumns[y]) {
+                    this.#placeBlockHere(x, y, QuadtrisGame.garbageBlock);
+                }
+            }
+        }
+
+        // Rows waiting to be cleared move up with the stack
+        this.gameState.clearingRows = this.gameState.clearingRows.map((y) => y + count);
+
+        // Lift the piece out of the garbage (a locked piece waiting for the next one is already in the grid)
+        const pieceInPlay = !this.isPieceWaiting;
+        for (let i = 0; i < count && pieceInPlay && !this.isPlayerPieceValid(); i++) {
+            this.#movePlayerPiece(0, 1);
+        }
+        if (toppedOut || (pieceInPlay && !this.isPlayerPieceValid())) {
+            this.gameState.playerPiece.active = false;
+            this.#gameOverAnimation = true;
+        }
+
+        this.#updateGhostProjections();
+        this.#isStateChanged = true;
+        return holeColumns;
+    }
+
     /**
      * Removes the blocks from a row, moving the above rows down.
      * 
@@ -574,7 +1240,7 @@ export class QuadtrisGame {
             this.gameState.gridData[y] = this.gameState.gridData[y + 1]
         }
         // Remove last row
-        this.gameState.gridData[this.numRows - 1] = 0;
+        this.gameState.gridData[this.numRows - 1] = 0n;
     }
 
     /**
@@ -589,27 +1255,22 @@ export class QuadtrisGame {
         if (x < 0 || y < 0 || x >= 10 || y >= this.numRows) {
             return true;
         }
-        const row = this.gameState.gridData[y];
-        const bitmask = 0b111 << (32 - (3 + 3 * x));
-        return (row & bitmask) != 0;
+        return getRowBlock(this.gameState.gridData[y], x) != 0;
     }
 
     /**
      * Accesses the value of a grid space.
      * 
-     * 0 represents an empty space, and 1-7 represent different block colors
-     * specified by {@link QuadtrisGame.colorMap}.
+     * 0 represents an empty space, 1-7 represent the pieces' block colors
+     * (see {@link QuadtrisGame.pieceMap}), and 8 represents garbage.
      *  
      * @param {number}  x The space's x index.
      * @param {number}  y The space's y index.
      * 
-     * @returns {number}    The 3-bit representation of the grid space (0 = no block, 1-7 = different block colors).
+     * @returns {number}    The block ID of the grid space (0 = no block, 1-7 = piece colors, 8 = garbage).
      */
     getBlockData(x, y) {
-        const row = this.gameState.gridData[y];
-        const bitshift = (32 - (3 + 3 * x));
-        const bitmask = 0b111 << bitshift;
-        return (row & bitmask) >>> bitshift;
+        return getRowBlock(this.gameState.gridData[y], x);
     }
 
     /**
@@ -635,23 +1296,16 @@ export class QuadtrisGame {
     /**
      * Sets a specific grid space to a block's colors.
      * 
-     * Note: the color must be a number in the range [0, 7].
-     * Since the colors are stored in 3-bit intervals, exceeding this range
+     * Note: the color must be a number in the range [0, 15].
+     * Since the colors are stored in 4-bit intervals, exceeding this range
      * may affect unintended parts of the grid.
      * 
      * @param {number} x        The space's x index.
      * @param {number} y        The space's y index.
-     * @param {number} color    The 3-bit representation of the color to set (in range [0, 7]). 
+     * @param {number} color    The block ID to set (0 = no block, 1-7 = piece colors, 8 = garbage). 
      */
     #placeBlockHere(x, y, color) {
-        const bitshift = 32 - (3 + 3 * x);
-        // Clear the old bits
-        const clearmask = ~(0b111 << bitshift);
-        this.gameState.gridData[y] &= clearmask;
-
-        // Set new bits
-        const newData = color << (32 - (3 + 3 * x));
-        this.gameState.gridData[y] |= newData;
+        this.gameState.gridData[y] = setRowBlock(this.gameState.gridData[y], x, color);
     }
 
     
@@ -675,110 +1329,32 @@ export class QuadtrisGame {
     
 
     /**
-     * Attempts to rotate the piece 90 degrees according to the SRS.
-     * 
-     * The SRS (Super Rotation System) is outlined here: {@link https://harddrop.com/wiki/SRS}.
-     * It performs a rotation around a designated center block, then calculates a number of
-     * offset translations to test in sequence. The piece will end up in the first position that
-     * is valid.
+     * Attempts to rotate the piece with the active rotation system.
      * 
-     * If the rotation succeeds, the grace timer will be boosted and the ghost projection will be updated.
+     * The system lists the positions to test in sequence (see {@link rotationSystems}), and the piece
+     * will end up in the first position that is valid. With the SRS (outlined here: {@link https://harddrop.com/wiki/SRS}),
+     * the piece is turned around its center block and then moved by each offset.
      * 
-     * @param {boolean} clockwise True for a clockwise rotation (-90 degrees), false for counterclockwise (+90 degrees).
+     * @param {number} quarterTurns 1 for a clockwise rotation (-90 degrees), -1 for counterclockwise (+90 degrees),
+     *                              or 2 for a 180 degree rotation.
      * 
      * @returns {boolean} Whether or not the rotation was successful and the piece moved.
      */
-    #resolveRotation(clockwise) {
-        let rotationTargetIndex =  (this.gameState.playerPiece.rotationIndex + 4 + (clockwise ? 1 : -1)) % 4;
-        let centerOffset = [...this.gameState.playerPiece.blocks[0]];
-
-        // Deeply copy the active blocks for location tests
-        let testBlocks = [];
-        for (let i = 0; i < 4; i++) {
-            testBlocks.push([...this.gameState.playerPiece.blocks[i]]);
-        }
-
-        let xMod = 1;
-        let yMod = 1;
-        if (clockwise) {
-            yMod = -1;
-        } else {
-            xMod = -1;
-        }
-        let temp;
-
-        // Mathematically rotate the blocks around the center
-        for (let i = 0; i < 4; i++) {
-            // Move block to sample space
-            testBlocks[i][0] -= centerOffset[0];
-            testBlocks[i][1] -= centerOffset[1];
-
-            // Rotate around the center piece
-            temp = testBlocks[i][0];
-            testBlocks[i][0] = xMod * testBlocks[i][1];
-            testBlocks[i][1] = yMod * temp;
-
-            // Move back to game space
-            testBlocks[i][0] += centerOffset[0];
-            testBlocks[i][1] += centerOffset[1];
-        }
-
-        // Get the offset table for the right piece
-        let offsetTable;
-        switch(this.gameState.playerPiece.shape) {
-            case 'O':
-                offsetTable = QuadPiece.offsets.O;
-                break;
-            case 'I':
-                offsetTable = QuadPiece.offsets.I;
-                break;
-            default:
-                offsetTable = QuadPiece.offsets.OTHER;
-                break;
-        }
-
-        // Test up to 5 offsets, stopping early if the test succeeds
-        let offsetRow;
-        let offset;
-        let canRotate = false;
-        for (let i = 0; i < 5 && !canRotate; i++) {
-            // Get offset from SRS table
-            offsetRow = offsetTable[i];
-            offset = [offsetRow[this.gameState.playerPiece.rotationIndex][0] - offsetRow[rotationTargetIndex][0],
-                        offsetRow[this.gameState.playerPiece.rotationIndex][1] - offsetRow[rotationTargetIndex][1]];
-
-            // Apply offset and test blocks
-            canRotate = true;
-            for (let j = 0; j < 4; j++) {
-                testBlocks[j][0] += offset[0];
-                testBlocks[j][1] += offset[1];
-                if (this.isBlockHere(testBlocks[j][0], testBlocks[j][1])) {
-                    canRotate = false;
-                }
-            }
-
-            // If any of the blocks failed, undo the offset for the next test
-            if (!canRotate) {
-                for (let j = 0; j < 4; j++) {
-                    testBlocks[j][0] -= offset[0];
-                    testBlocks[j][1] -= offset[1];
-                }
-            }
-            // If none of the blocks failed, canRotate will be true, testBlocks will be in the right location,
-            // and this test loop will stop
+    #resolveRotation(quarterTurns) {
+        const piece = this.gameState.playerPiece;
+        const tests = this.#rotationSystem.getRotationTests(piece, quarterTurns, (x, y) => this.isBlockHere(x, y));
+
+        // Test each position, stopping at the first one where none of the blocks are blocked
+        const kickIndex = tests.findIndex((testBlocks) => testBlocks.every(([x, y]) => !this.isBlockHere(x, y)));
+        if (kickIndex == -1) {
+            return false;
         }
 
-
-        // Rotate if one of the positions worked
-        if (canRotate) {
-            // Set block positions to the successful test
-            for (let i = 0; i < 4; i++) {
-                this.gameState.playerPiece.blocks[i] = [...testBlocks[i]];
-            }
-            this.gameState.playerPiece.rotationIndex = rotationTargetIndex;
-        }
-
-        return canRotate;
+        // Half turns have their own kicks, so they never count as the last 90 degree kick (which makes any T-spin a full one)
+        this.#lastKickIndex = quarterTurns == 2 ? 0 : kickIndex;
+        piece.blocks = tests[kickIndex].map((block) => [...block]);
+        piece.rotationIndex = (piece.rotationIndex + 4 + quarterTurns) % 4;
+        return true;
     }
 
     
@@ -799,19 +1375,28 @@ export class QuadtrisGame {
         }
     }
 
+    /**
+     * Picks the seed for a new game and creates the randomizer from the game's options.
+     * 
+     * @see {@link QuadtrisGame.options}
+     */
+    #resetRandomizer() {
+        this.gameState.seed = this.options.seed ?? generateSeed();
+        this.#randomizer = createRandomizer(this.options.randomizer, this.gameState.seed);
+        // A different sequence than the pieces, so the holes don't follow the piece order
+        this.#garbageRandom = createRNG(this.gameState.seed ^ 0x5bd1e995);
+    }
+
     /**
      * Adds the next 7 pieces to the piece queue.
      * 
-     * The piece queue is semi-random. The queue is always refilled with
+     * The pieces come from the randomizer chosen in {@link QuadtrisGame.options}.
+     * By default, this is a 7-bag: the queue is always refilled with
      * each of the 7 piece shapes, but in a random order.
      */
     #refillPieceQueue() {
-        let pieces = ['O', 'I', 'T', 'J', 'L', 'S', 'Z'];
-        let choice;
         for (let i = 0; i < 7; i++) {
-            choice = Math.floor(Math.random() * pieces.length);
-            this.gameState.pieceQueue.push(pieces[choice]);
-            pieces.splice(choice, 1);
+            this.gameState.pieceQueue.push(this.#randomizer.nextPiece());
         }
     }
 
@@ -829,15 +1414,19 @@ export class QuadtrisGame {
             this.#refillPieceQueue();
         }
         delete this.gameState.playerPiece;
-        this.gameState.playerPiece = new QuadPiece(nextPiece);
+        this.gameState.playerPiece = new QuadPiece(nextPiece, this.#rotationSystem);
         // Check if move is possible, otherwise game over
         if (!this.isPlayerPieceValid()) {
             this.gameState.playerPiece.active = false;
             this.#gameOverAnimation = true;
+        } else if (this.options.spawnDrop) {
+            this.tryMovePiece(0, -1);
         }
 
-        this.#gravityTickCounter = 0;
-
+        this.#gravityProgress = 0;
+        this.#lastMoveWasRotation = false;
+        this.#timerRunning = false;
+        this.#lowestLandingRow = Infinity;
     }
     
     
@@ -845,13 +1434,19 @@ export class QuadtrisGame {
     /**
      * Activates the grace timer.
      * 
-     * Also resets the boost count, used to limit the number of boosts the player is allowed.
+     * If the piece has landed lower than ever before, this also resets the boost count,
+     * used to limit the number of boosts the player is allowed.
      * Note: the timer's value must be manually updated every tick with {@link QuadtrisGame.#updateGraceTimer}.
      */
     #startGraceTimer() {
         this.#graceTimer = this.graceTimerDuration;
         this.#timerRunning = true;
-        this.#graceBoostCount = 0;
+
+        const landingRow = Math.min(...this.gameState.playerPiece.blocks.map((block) => block[1]));
+        if (landingRow < this.#lowestLandingRow) {
+            this.#lowestLandingRow = landingRow;
+            this.#graceBoostCount = 0;
+        }
     }
 
     /**
@@ -869,13 +1464,20 @@ export class QuadtrisGame {
      * Once the player's piece hits the ground, before locking into place, a grace timer is
      * started, and it must finish before locking the piece. If the player moves their piece, 
      * the timer is extended. The player is only allowed to extend this timer a certain
-     * number of times (to prevent infinite stalling).
+     * number of times (to prevent infinite stalling), unless the reset mode is "infinite".
+     * With the "step" reset mode, moving the piece does not extend the timer at all.
+     * 
+     * @see {@link QuadtrisGame.options}
      */    
     #boostGraceTimer() {
-        if (this.#timerRunning && this.#graceBoostCount < 30) {
+        if (!this.#timerRunning) {
+            return;
+        }
+        const mode = this.options.lockResetMode;
+        if (mode == "infinite" || (mode == "move" && this.#graceBoostCount < this.options.moveResetLimit)) {
             this.#graceTimer = this.graceTimerDuration;
             this.#graceBoostCount++;
-        } 
+        }
     }
 
     
@@ -883,14 +1485,14 @@ export class QuadtrisGame {
     
 
     /**
-     * Scans the game board, clearing full rows and updating score.
+     * Scans the game board for full rows, marking them to be cleared and counting the cleared lines.
      * 
-     * Also updates the ghost projections, since the board's data may have changed.
+     * The rows stay in the grid until {@link QuadtrisGame.#removeClearingRows} is called.
      * 
-     * @see {@link QuadtrisGame.clearRow}
+     * @returns {number} The number of full rows.
      */
-    #resolveLineClears() {
-        // Search from the bottom for full lines
+    #findFullRows() {
+        this.gameState.clearingRows = [];
         for (let y = 0; y < this.numRows; y++) {
             let fullRow = true;
             for (let x = 0; x < 10 && fullRow; x++) {
@@ -898,13 +1500,173 @@ export class QuadtrisGame {
                     fullRow = false;
                 }
             }
-            // If row is full, clear it
             if (fullRow) {
-                this.clearRow(y);
-                this.gameState.linesCleared++;
-                y--; // Decrease the row to stay at the same coordinate for the next iteration
+                if (this.#isGarbageRow(y)) {
+                    this.gameState.garbageCleared++;
+                }
+                this.gameState.clearingRows.push(y);
+            }
+        }
+        this.gameState.linesCleared += this.gameState.clearingRows.length;
+        return this.gameState.clearingRows.length;
+    }
+
+    /**
+     * Clears the full rows found by {@link QuadtrisGame.#findFullRows}, moving the rows above them down.
+     * 
+     * @see {@link QuadtrisGame.clearRow}
+     */
+    #removeClearingRows() {
+        // Clear from the top down, so the rows below keep their indices
+        for (let i = this.gameState.clearingRows.length - 1; i >= 0; i--) {
+            this.clearRow(this.gameState.clearingRows[i]);
+        }
+        this.gameState.clearingRows = [];
+        this.gameState.lineClearProgress = 0;
+    }
+
+    /**
+     * Adds an event to {@link QuadtrisGame.events}, dropping the oldest one if there are too many.
+     * 
+     * @param {Object} event The event, with its type.
+     */
+    #addEvent(event) {
+        this.events.push(event);
+        if (this.events.length > QuadtrisGame.maxEvents) {
+            this.events.shift();
+        }
+    }
+
+    /**
+     * Adds an event about the player's piece, with its shape and where its blocks are.
+     * 
+     * @param {string} type     The type of event ("hardDrop" or "lock").
+     * @param {Object} details  Any other values to add to the event.
+     */
+    #addPieceEvent(type, details = {}) {
+        const piece = this.gameState.playerPiece;
+        this.#addEvent({type: type, shape: piece.shape, blockType: this.pieceMap.get(piece.shape),
+            blocks: piece.blocks.map((block) => [...block]), ...details});
+    }
+
+    /**
+     * Whether the last piece has locked and the next one is waiting for the entry or line clear delay.
+     * Rotation and hold inputs given while a piece is waiting are applied as it appears.
+     * 
+     * @type {boolean}
+     */
+    get isPieceWaiting() {
+        return this.#lineClearTicks > 0 || this.#entryTicks > 0;
+    }
+
+    /**
+     * Counts down the line clear delay and then the entry delay, clearing the full rows and bringing
+     * in the next piece when they are over.
+     * 
+     * @returns {boolean} Whether the next piece appeared.
+     */
+    #runDelays() {
+        if (this.#lineClearTicks > 0) {
+            this.#lineClearTicks--;
+            const lineClearDelay = Math.max(this.options.lineClearDelay, 1);
+            this.gameState.lineClearProgress = 1 - this.#lineClearTicks / lineClearDelay;
+            if (this.#lineClearTicks == 0) {
+                this.#removeClearingRows();
+            }
+            this.#isStateChanged = true;
+        } else {
+            this.#entryTicks--;
+        }
+
+        if (this.isPieceWaiting) {
+            return false;
+        }
+        this.#grabNextPiece();
+        this.#applyBufferedInputs();
+        return true;
+    }
+
+    /**
+     * Remembers the rotation and hold inputs of a tick where the next piece is waiting.
+     * A later rotation replaces an earlier one, and a hold stays until the piece appears.
+     */
+    #bufferInputs() {
+        if (this.input.rotate180) {
+            this.#bufferedRotation = 2;
+        } else if (this.input.rotateClockwise != this.input.rotateAnticlockwise) {
+            this.#bufferedRotation = this.input.rotateClockwise ? 1 : -1;
+        }
+        this.#bufferedHold ||= this.input.hold;
+    }
+
+    /**
+     * Holds and rotates the piece that just appeared, with the inputs buffered while it was waiting.
+     * A spawn rotation is not a move towards a T-spin, and is skipped if the piece cannot turn.
+     */
+    #applyBufferedInputs() {
+        if (this.#bufferedHold && this.gameState.playerPiece.active) {
+            this.holdPiece();
+        }
+        if (this.#bufferedRotation != 0 && this.gameState.playerPiece.active) {
+            this.#resolveRotation(this.#bufferedRotation);
+        }
+        this.#bufferedRotation = 0;
+        this.#bufferedHold = false;
+    }
+
+    /**
+     * Checks whether a row contains any garbage blocks.
+     * 
+     * @param {number} y The y index of the row (0 = bottom row).
+     * @returns {boolean} True if at least 1 block in the row is garbage.
+     */
+    #isGarbageRow(y) {
+        for (let x = 0; x < 10; x++) {
+            if (getRowBlock(this.gameState.gridData[y], x) == QuadtrisGame.garbageBlock) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Pushes up 1 row of rising garbage, with its hole following on from the last garbage row's hole.
+     * 
+     * @see {@link QuadtrisGame.options}.garbageRiseInterval
+     */
+    #riseGarbage() {
+        // The first hole is the last one added, so the second may move away from it
+        const hole = this.#lastGarbageHole === null ? null
+            : this.#pickGarbageHoles(2, this.#lastGarbageHole, this.options.garbageMessiness)[1];
+        this.#lastGarbageHole = this.addGarbageRows(1, {holes: hole})[0] ?? this.#lastGarbageHole;
+    }
+
+    /**
+     * Chooses the hole of every garbage row.
+     * 
+     * @see {@link QuadtrisGame.addGarbageRows}
+     * 
+     * @param {number}                      count       The number of rows.
+     * @param {number | number[] | null}    holes       A column for the first row, a column for every row, or null for random.
+     * @param {number}                      messiness   The chance (0-1) of each row's hole moving from the row below.
+     * @returns {number[]} The x index of each row's hole, from the bottom row up.
+     */
+    #pickGarbageHoles(count, holes, messiness) {
+        if (Array.isArray(holes) && holes.length > 0) {
+            // Missing columns repeat the last listed one
+            return Array.from({length: count}, (_, i) => holes[Math.min(i, holes.length - 1)]);
+        }
+
+        let holeColumn = holes ?? Math.floor(this.#garbageRandom() * 10);
+        let holeColumns = [];
+        for (let y = 0; y < count; y++) {
+            if (y > 0 && this.#garbageRandom() < messiness) {
+                // Move to one of the other 9 columns
+                holeColumn = (holeColumn + 1 + Math.floor(this.#garbageRandom() * 9)) % 10;
             }
+            holeColumns.push(holeColumn);
         }
+        return holeColumns;
     }
 
     /**
@@ -939,9 +1701,132 @@ export class QuadtrisGame {
     }
 
     
+    /**
+     * Checks whether the player's piece is in a T-spin, using the 3-corner rule.
+     * 
+     * The piece must be a T piece, and its last movement must have been a rotation.
+     * If at least 3 of the 4 corners around the T's center are blocked (walls count), it is a T-spin.
+     * If only 1 of the 2 corners the T is pointing towards is blocked, it is a mini T-spin,
+     * unless the rotation used the last kick in the SRS table (which is always a full T-spin).
+     * The direction the T points is read from its blocks, since rotation systems spawn it facing different ways.
+     * 
+     * @returns {string} "full" for a T-spin, "mini" for a mini T-spin, or "none".
+     */
+    #detectTSpin() {
+        const piece = this.gameState.playerPiece;
+        if (piece.shape != 'T' || !this.#lastMoveWasRotation) {
+            return "none";
+        }
+
+        // Corners in clockwise order, starting at the top left
+        const corners = [[-1, 1], [1, 1], [1, -1], [-1, -1]];
+        const center = piece.blocks[0];
+        const blocked = corners.map(([dx, dy]) => this.isBlockHere(center[0] + dx, center[1] + dy));
+        const blockedCount = blocked.filter((isBlocked) => isBlocked).length;
+        if (blockedCount < 3) {
+            return "none";
+        }
+
+        // The T points towards the only block next to its center without a block opposite it,
+        // and its front corners are on that side
+        const sides = piece.blocks.slice(1).map(([x, y]) => [x - center[0], y - center[1]]);
+        const [pointX, pointY] = sides.find(([dx, dy]) => !sides.some(([otherX, otherY]) => otherX == -dx && otherY == -dy));
+        const frontBlocked = corners.every(([dx, dy], i) => blocked[i] || (dx != pointX && dy != pointY));
+        return (frontBlocked || this.#lastKickIndex == 4) ? "full" : "mini";
+    }
+
+    /**
+     * Awards points for a placed piece and updates the back-to-back status, combo, and action label.
+     * 
+     * Points are multiplied by the speed level. Tetrises and T-spins that clear lines are "difficult" clears,
+     * and consecutive difficult clears earn a back-to-back bonus. Any other line clear ends the back-to-back chain.
+     * 
+     * Every piece that clears lines adds to the combo, which earns a bonus from the second piece on.
+     * A piece that does not clear lines resets the combo. Emptying the grid earns a perfect clear bonus.
+     * The placement is recorded in {@link QuadtrisGame.gameState}.lastPlacement.
+     * 
+     * @see {@link QuadtrisGame.scoring}
+     * 
+     * @param {number} lines The number of lines the piece cleared.
+     * @param {string} tSpin The type of T-spin ("full", "mini", or "none").
+     */
+    #scorePlacement(lines, tSpin) {
+        let points;
+        let label;
+        const lineNames = ["", "SINGLE", "DOUBLE", "TRIPLE", "TETRIS"];
+        if (tSpin == "full") {
+            points = QuadtrisGame.scoring.tSpin[lines];
+            label = "T-SPIN " + lineNames[lines];
+        } else if (tSpin == "mini") {
+            points = QuadtrisGame.scoring.tSpinMini[lines];
+            label = "MINI T-SPIN " + lineNames[lines];
+        } else {
+            points = QuadtrisGame.scoring.lines[lines];
+            label = lineNames[lines];
+        }
+
+        label = label.trim();
+
+        let isBackToBack = false;
+        let isPerfectClear = false;
+        if (lines > 0) {
+            const isDifficult = lines == 4 || tSpin != "none";
+            isBackToBack = isDifficult && this.gameState.backToBack;
+            if (isBackToBack) {
+                points *= QuadtrisGame.scoring.backToBackMultiplier;
+                label = "B2B " + label;
+            }
+            this.gameState.backToBack = isDifficult;
+
+            this.gameState.combo++;
+            if (this.gameState.combo > 1) {
+                points += QuadtrisGame.scoring.combo * (this.gameState.combo - 1);
+                label += "\n" + this.gameState.combo + " COMBO";
+            }
+
+            // The full rows are still in the grid, waiting to be cleared
+            if (this.gameState.gridData.every((row, y) => row == 0 || this.gameState.clearingRows.includes(y))) {
+                isPerfectClear = true;
+                this.gameState.perfectClears++;
+                points += (isBackToBack && lines == 4) ? QuadtrisGame.scoring.backToBackPerfectClear : QuadtrisGame.scoring.perfectClear[lines];
+                label += "\nPERFECT CLEAR";
+            }
+        } else {
+            this.gameState.combo = 0;
+        }
+        this.gameState.lastPlacement = {lines: lines, tSpin: tSpin, backToBack: isBackToBack,
+            combo: this.gameState.combo, perfectClear: isPerfectClear};
+
+        if (points > 0) {
+            this.gameState.score += points * Math.max(this.gameState.speedLevel, 1);
+            this.gameState.actionLabel = label;
+            this.gameState.actionCount++;
+        }
+    }
+
+    /**
+     * Records the time of every 10-line split passed since the last update.
+     * 
+     * @see {@link QuadtrisGame.gameState.splits}
+     */
+    #updateSplits() {
+        while (this.gameState.splits.length < Math.floor(this.gameState.linesCleared / 10)) {
+            this.gameState.splits.push(this.gameState.ticksPlayed);
+        }
+    }
+
+    /**
+     * Sets the speed level from the number of lines cleared, and updates the gravity to match.
+     * 
+     * @see {@link QuadtrisGame.options}
+     */
     #updateSpeedLevel() {
-        this.gameState.speedLevel = Math.min(Math.floor(this.gameState.linesCleared / 10) + 1, QuadtrisGame.levels.max);
-        this.#ticksPerGravity = QuadtrisGame.levels[this.gameState.speedLevel];
+        const linesPerLevel = Math.max(this.options.linesPerLevel, 1);
+        this.gameState.speedLevel = this.options.startLevel + Math.floor(this.gameState.linesCleared / linesPerLevel);
+        // Infinite gravity (20G) is capped to the height of the grid
+        this.#gravityPerTick = Math.min(getGravity(this.options.levelCurve, this.gameState.speedLevel) * this.gameTickTime, this.numRows);
+        this.graceTimerDuration = getLockDelay(this.options.lockDelay, this.gameState.speedLevel);
+        this.gameState.maxSpeedLevel = Math.max(this.gameState.maxSpeedLevel, this.gameState.speedLevel);
     }
     
 }
@@ -953,20 +1838,21 @@ export class QuadtrisGame {
  * `shape` is a string, either O, I, T, J, L, S, or Z.
  * 
  * The base relative values for the shapes (fitting in a 4x2 grid with (0, 0) in the bottom left)
- * can be retrieved with `QuadPiece.getBaseShape(shape)`.
+ * can be retrieved with `QuadPiece.getBaseShape(shape)`. Where a piece spawns and how it turns
+ * depend on the rotation system it is created with.
  * 
- * This class also contains offset data for the SRS.
- * @see {@link QuadPiece.offsets}
+ * @see {@link rotationSystems}
  * @see {@link QuadPiece.getBaseShape()}
  */
 export class QuadPiece {
     /**
      * Represents a piece with 4 blocks, a shape, a rotation index, whether it is active, and where it came from.
      * 
-     * @param {string} shape Character representation of the player's shape (O, I, T, J, L, S, Z)
+     * @param {string} shape          Character representation of the player's shape (O, I, T, J, L, S, Z)
+     * @param {Object} rotationSystem The rotation system that sets the piece's spawn state (see {@link rotationSystems}).
      * @constructor
      */
-    constructor(shape) {
+    constructor(shape, rotationSystem = getRotationSystem("srs")) {
         /**
          * The positions (grid indices) of the piece's 4 blocks.
          * 
@@ -1006,68 +1892,28 @@ export class QuadPiece {
          */
         this.wasHeld = false;
 
-        let baseShape = QuadPiece.getBaseShape(shape);
+        let spawnState = rotationSystem.states[shape]?.[0] ?? QuadPiece.getBaseShape(shape);
 
-        // Create the block at the top/middle of the grid 5, 18
+        // Create the block at the top/middle of the grid
         for (let i = 0; i < 4; i++) {
-            this.blocks.push([...baseShape[i]]);
-            this.blocks[i][0] += 3;
-            this.blocks[i][1] += 19;
+            this.blocks.push([...spawnState[i]]);
+            this.blocks[i][0] += rotationSystem.spawnOffset[0];
+            this.blocks[i][1] += rotationSystem.spawnOffset[1];
         }
     }
 
 
     /**
-     * Offset data for rotating with the SRS.
-     * 
-     * Note: the offsets for the O piece should result in the piece not moving,
-     * so it should always pass the first test.
-     * 
-     * @see {@link QuadtrisGame.tryRotatePiece()}
-     * 
-     * @example
-     * // calculates the offset to apply to the I piece from rotation index 1 to 2 during the first test.
-     * let offsetTable = QuadPiece.offsets.I;
-     * let offsetTest = offsetTable[0];
-     * let offset = [offsetTest[1] - offsetTest[2]];
-     * 
-     * @static
-     */
-    static offsets = {
-        O: [[[0, 0],
-            [0, -1],
-            [-1, -1],
-            [-1, 0]]],
-        I: [[[0, 0], [-1, 0], [-1, 1], [0, 1]], 
-            [[-1, 0], [0, 0], [1, 1], [0, 1]],
-            [[2, 0], [0, 0], [-2, 1], [0, 1]],
-            [[-1, 0], [0, 1], [1, 0], [0, -1]],
-            [[2, 0], [0, -2], [-2, 0], [0, 2]]],
-        OTHER: [[[0, 0], [0, 0], [0, 0], [0, 0]],
-            [[0, 0], [1, 0], [0, 0], [-1, 0]],
-            [[0, 0], [1, -1], [0, 0], [-1, -1]],
-            [[0, 0], [0, 2], [0, 0], [0, 2]],
-            [[0, 0], [1, 2], [0, 0], [-1, 2]]]
-    }
-
-    /**
-     * Relative location for the different piece shapes.
+     * Relative location for the different piece shapes, as they spawn with the SRS.
      * 
      * Note: The "middle" block, to rotate the piece around, is in index 0 (always [1, 0]).
      * To access these positions from the shape's representation as a string, use
      * {@link QuadPiece.getBaseShape()}.
      * 
+     * @see {@link baseShapes}
      * @static
      */
-    static pieces = {
-        O: [[1, 0], [1, 1], [2, 1], [2, 0]],
-        I: [[1, 0], [0, 0], [2, 0], [3, 0]],
-        L: [[1, 0], [0, 0], [2, 0], [2, 1]],
-        J: [[1, 0], [0, 0], [0, 1], [2, 0]],
-        T: [[1, 0], [0, 0], [2, 0], [1, 1]],
-        S: [[1, 0], [0, 0], [1, 1], [2, 1]],
-        Z: [[1, 0], [2, 0], [1, 1], [0, 1]]
-    }
+    static pieces = baseShapes
 
     /**
      * Accesses a piece shape's relative positions from its chararacter representation.
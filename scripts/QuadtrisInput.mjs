@@ -2,7 +2,8 @@
  * @fileoverview Contains a class definition for QuadtrisInput.
  * 
  * QuadtrisInput abstracts from pure key inputs to input actions, allowing for easy remapping
- * of keybindings. Input actions can be accessed to get a boolean if the button is pressed,
+ * of keybindings. Each action can have several bindings, from the keyboard or from a gamepad.
+ * Input actions can be accessed to get a boolean if the button is pressed,
  * or a counter that is updated externally.
  * 
  * By calling `updateCounters()` every tick, when input is checked, the counters help
@@ -23,12 +24,17 @@
  * @example
  * let inputMod = new Input();
  * document.addEventListener('keydown', function(event) {
- *      inputMod.setInputState(event.key, true);
+ *      inputMod.setInputState(event.key, true, event.timeStamp);
  * });
  * document.addEventListener('keyup', function(event) {
- *      inputMod.setInputState(event.key, false);
+ *      inputMod.setInputState(event.key, false, event.timeStamp);
  * });
  * 
+ * 
+ * Gamepads (through the browser Gamepad API) are read by polling once every frame:
+ * @example
+ * inputMod.pollGamepads(performance.now());
+ * 
  * @example
  * let game = QuadtrisGame();
  * //...
@@ -36,6 +42,67 @@
  */
 export class QuadtrisInput {
 
+    /**
+     * The most bindings a single action can have.
+     * 
+     * @static
+     * @type {number}
+     */
+    static maxBindings = 3;
+
+    /**
+     * The prefix of every gamepad binding, to tell them apart from keyboard keys.
+     * 
+     * Gamepad bindings are named "Gamepad:Button<index>" for buttons, and "Gamepad:Axis<index>+"
+     * or "Gamepad:Axis<index>-" for an analog stick pushed past the deadzone in either direction.
+     * 
+     * @static
+     * @type {string}
+     */
+    static gamepadPrefix = "Gamepad:";
+
+    /**
+     * Short names for the buttons of a gamepad with the "standard" layout, by button index.
+     * 
+     * @see {@link https://w3c.github.io/gamepad/#remapping}
+     * @static
+     * @type {string[]}
+     */
+    static gamepadButtonNames = ["A", "B", "X", "Y", "LB", "RB", "LT", "RT", "Back", "Start",
+        "LS", "RS", "D-Up", "D-Down", "D-Left", "D-Right", "Home"];
+
+    /**
+     * Short names for the directions of the analog sticks of a gamepad with the "standard" layout.
+     * 
+     * @static
+     * @type {Object<string, string>}
+     */
+    static gamepadAxisNames = {
+        "Axis0-": "LS Left",
+        "Axis0+": "LS Right",
+        "Axis1-": "LS Up",
+        "Axis1+": "LS Down",
+        "Axis2-": "RS Left",
+        "Axis2+": "RS Right",
+        "Axis3-": "RS Up",
+        "Axis3+": "RS Down"
+    };
+
+    /**
+     * How far (0-1) an analog stick has to be pushed before it counts as pressed.
+     * 
+     * @type {number}
+     */
+    gamepadDeadzone = 0.5;
+
+    /**
+     * The index of the only gamepad to read, or null to read every connected gamepad.
+     * In versus mode, each player reads their own gamepad.
+     * 
+     * @type {number | null}
+     */
+    gamepadIndex = null;
+
     selectedKey = "";
     originalKeybind = "";
     selectedAction = "";
@@ -57,11 +124,16 @@ export class QuadtrisInput {
         this.actionStates.set("hold", false);
         this.actionStates.set("rotateClockwise", false);
         this.actionStates.set("rotateAnticlockwise", false);
+        this.actionStates.set("rotate180", false);
         this.actionStates.set("pause", false);
 
         /**
          * Key bindings from key representations to action states.
          * 
+         * Several keys can be bound to the same action (up to {@link QuadtrisInput.maxBindings}),
+         * but each key can only be bound to one action. Gamepad inputs are bound the same way,
+         * with names starting with {@link QuadtrisInput.gamepadPrefix}.
+         * 
          * Note: single character keys should be uppercase, or they will not be accessed properly.
          * 
          * 
@@ -69,13 +141,27 @@ export class QuadtrisInput {
          */
         this.inputKeys = new Map();
         this.inputKeys.set("A", "moveLeft");
+        this.inputKeys.set("Gamepad:Button14", "moveLeft");
+        this.inputKeys.set("Gamepad:Axis0-", "moveLeft");
         this.inputKeys.set("D", "moveRight");
+        this.inputKeys.set("Gamepad:Button15", "moveRight");
+        this.inputKeys.set("Gamepad:Axis0+", "moveRight");
         this.inputKeys.set("W", "hardDrop");
+        this.inputKeys.set("Gamepad:Button12", "hardDrop");
         this.inputKeys.set("S", "softDrop");
+        this.inputKeys.set("Gamepad:Button13", "softDrop");
+        this.inputKeys.set("Gamepad:Axis1+", "softDrop");
         this.inputKeys.set("E", "hold");
+        this.inputKeys.set("Gamepad:Button4", "hold");
+        this.inputKeys.set("Gamepad:Button5", "hold");
         this.inputKeys.set("ArrowLeft", "rotateAnticlockwise");
+        this.inputKeys.set("Gamepad:Button0", "rotateAnticlockwise");
         this.inputKeys.set("ArrowRight", "rotateClockwise");
+        this.inputKeys.set("Gamepad:Button1", "rotateClockwise");
+        this.inputKeys.set("ArrowUp", "rotate180");
+        this.inputKeys.set("Gamepad:Button3", "rotate180");
         this.inputKeys.set("Escape", "pause");
+        this.inputKeys.set("Gamepad:Button9", "pause");
         
         /**
          * Counters for connecting action states to tick counts.
@@ -98,9 +184,28 @@ export class QuadtrisInput {
         this.counters.set("moveRight", 0);
         this.counters.set("rotateClockwise", 0);
         this.counters.set("rotateAnticlockwise", 0);
+        this.counters.set("rotate180", 0);
         this.counters.set("hardDrop", 0);
         this.counters.set("hold", 0);
         this.counters.set("pause", 0);
+
+        /**
+         * The time each held action was pressed (in milliseconds, from the keyboard event), used for auto-repeat.
+         * 
+         * Actions that are not held have no entry.
+         * 
+         * @see {@link AutoRepeat}
+         * @type {Map<string, number>}
+         */
+        this.pressTimes = new Map();
+
+        /**
+         * The bindings (keys and gamepad inputs) that are currently held down.
+         * An action is held while any of its bindings are held.
+         * 
+         * @type {Set<string>}
+         */
+        this.heldKeys = new Set();
     }
 
     /**
@@ -120,61 +225,274 @@ export class QuadtrisInput {
         return this.inputKeys.get(key);
     }
 
-    actionToKey(action) {
-        let foundKey = "";
+    /**
+     * Finds every binding for an input action, in the order they were bound.
+     * 
+     * @param {string} action The input action.
+     * @returns {string[]} The keys (and gamepad inputs) bound to the action.
+     */
+    actionToKeys(action) {
+        let foundKeys = [];
         this.inputKeys.forEach(function(value, key, map) {
             if (value == action)
-                foundKey = key;
+                foundKeys.push(key);
         });
 
-        return foundKey;
+        return foundKeys;
     }
 
-    rebindControl(action, key) {
-        // Find existing control map and remove it
-        let rebindSuccessful = false;
-        let oldKey = "";
-        this.inputKeys.forEach(function(value, key, map) {
-            if (value == action) {
-                oldKey = key;
-            }
-        });
+    /**
+     * Finds the main binding for an input action (the first one bound).
+     * 
+     * @param {string} action The input action.
+     * @returns {string} The first key bound to the action, or "" if it has no bindings.
+     */
+    actionToKey(action) {
+        return this.actionToKeys(action)[0] ?? "";
+    }
+
+    /**
+     * Replaces one of an action's bindings with a new key.
+     * 
+     * The new binding takes the place of the old one, so the action's main binding can be changed.
+     * 
+     * @param {string} action   The input action to rebind.
+     * @param {string} key      The new key.
+     * @param {string} oldKey   The binding to replace (the action's main binding by default).
+     * @returns {boolean} Whether the rebind succeeded (it fails if the key is bound to another action,
+     *                    or the old key is not bound to this action).
+     */
+    rebindControl(action, key, oldKey = this.actionToKey(action)) {
+        // Can't have 1 key with 2 actions
+        if (this.inputKeys.get(oldKey) !== action || (this.inputKeys.has(key) && key != oldKey)) {
+            return false;
+        }
 
-        if (oldKey != "") {
+        // Rebuild the bindings in order, swapping out the old key
+        let keys = this.actionToKeys(action);
+        keys[keys.indexOf(oldKey)] = key;
+        this.setBindings(action, keys);
+        return true;
+    }
 
-            // If the key exists for another action, do not rebind (can't have 1 key with 2 values)
-            if (this.inputKeys.has(key) && key != oldKey) {
+    /**
+     * Adds another binding to an action.
+     * 
+     * @param {string} action   The input action.
+     * @param {string} key      The key to add.
+     * @returns {boolean} Whether the binding was added (it fails if the key is already bound,
+     *                    or the action already has {@link QuadtrisInput.maxBindings} bindings).
+     */
+    addBinding(action, key) {
+        if (this.inputKeys.has(key) || this.actionToKeys(action).length >= QuadtrisInput.maxBindings) {
+            return false;
+        }
 
-            } else {
-                // Key is either the same, or the key is not in the control scheme yet
-                this.inputKeys.delete(oldKey);
+        this.inputKeys.set(key, action);
+        return true;
+    }
+
+    /**
+     * Removes a binding from an action.
+     * 
+     * @param {string} action   The input action.
+     * @param {string} key      The key to unbind.
+     * @returns {boolean} Whether the key was bound to the action and has been removed.
+     */
+    removeBinding(action, key) {
+        if (this.inputKeys.get(key) !== action) {
+            return false;
+        }
 
-                // Add new key
-                this.inputKeys.set(key, action);
-                rebindSuccessful = true;
+        this.inputKeys.delete(key);
+        this.#releaseKey(key, action);
+        return true;
+    }
+
+    /**
+     * Replaces all of an action's bindings.
+     * 
+     * Keys that were bound to other actions are moved to this action. Only the first
+     * {@link QuadtrisInput.maxBindings} keys are used.
+     * 
+     * @param {string}      action  The input action.
+     * @param {string[]}    keys    The keys to bind, main binding first.
+     */
+    setBindings(action, keys) {
+        for (const oldKey of this.actionToKeys(action)) {
+            this.inputKeys.delete(oldKey);
+            this.#releaseKey(oldKey, action);
+        }
+        for (const key of keys.slice(0, QuadtrisInput.maxBindings)) {
+            const otherAction = this.inputKeys.get(key);
+            this.inputKeys.delete(key);
+            this.#releaseKey(key, otherAction);
+            this.inputKeys.set(key, action);
+        }
+    }
+
+    /**
+     * Creates a readable name for a binding.
+     * 
+     * @static
+     * 
+     * @example
+     * QuadtrisInput.bindingLabel(" "); // "Space"
+     * QuadtrisInput.bindingLabel("Gamepad:Button0"); // "Pad A"
+     * 
+     * @param {string} key The key or gamepad input.
+     * @returns {string} The name to show the player.
+     */
+    static bindingLabel(key) {
+        if (key == " ") {
+            return "Space";
+        }
+        if (!key.startsWith(QuadtrisInput.gamepadPrefix)) {
+            return key;
+        }
+
+        const input = key.substring(QuadtrisInput.gamepadPrefix.length);
+        const buttonIndex = input.startsWith("Button") ? Number(input.substring("Button".length)) : null;
+        const name = buttonIndex !== null ? QuadtrisInput.gamepadButtonNames[buttonIndex] : QuadtrisInput.gamepadAxisNames[input];
+        return "Pad " + (name ?? input);
+    }
+
+    /**
+     * Finds the gamepad inputs that are pressed, as binding names.
+     * 
+     * @static
+     * 
+     * @param {(Gamepad | null)[]}  gamepads    The connected gamepads, from navigator.getGamepads().
+     * @param {number}              deadzone    How far (0-1) an analog stick has to be pushed to count.
+     * @returns {Set<string>} The names of the pressed buttons and pushed stick directions (see {@link QuadtrisInput.gamepadPrefix}).
+     */
+    static readGamepads(gamepads, deadzone) {
+        let pressed = new Set();
+        for (const gamepad of gamepads) {
+            if (gamepad == null || gamepad.connected === false) {
+                continue;
             }
+            gamepad.buttons.forEach(function(button, index) {
+                if (button.pressed) {
+                    pressed.add(QuadtrisInput.gamepadPrefix + "Button" + index);
+                }
+            });
+            gamepad.axes.forEach(function(value, index) {
+                if (value > deadzone) {
+                    pressed.add(QuadtrisInput.gamepadPrefix + "Axis" + index + "+");
+                } else if (value < -deadzone) {
+                    pressed.add(QuadtrisInput.gamepadPrefix + "Axis" + index + "-");
+                }
+            });
+        }
+        return pressed;
+    }
 
+    /**
+     * Updates the input actions from the connected gamepads.
+     * 
+     * Gamepads do not fire events, so this should be called once every frame.
+     * 
+     * @param {number}              time        The current time (in milliseconds), used as the press time of new presses.
+     * @param {(Gamepad | null)[]}  gamepads    The connected gamepads (read from the browser by default).
+     */
+    pollGamepads(time = performance.now(), gamepads = QuadtrisInput.#getBrowserGamepads()) {
+        if (this.gamepadIndex !== null) {
+            gamepads = [gamepads[this.gamepadIndex] ?? null];
         }
+        const pressed = QuadtrisInput.readGamepads(gamepads, this.gamepadDeadzone);
 
-        return rebindSuccessful;
+        // Release the gamepad inputs that are no longer pressed, then press the new ones
+        for (const key of [...this.heldKeys]) {
+            if (key.startsWith(QuadtrisInput.gamepadPrefix) && !pressed.has(key)) {
+                this.setInputState(key, false, time);
+            }
+        }
+        for (const key of pressed) {
+            if (!this.heldKeys.has(key)) {
+                this.setInputState(key, true, time);
+            }
+        }
+    }
+
+    /**
+     * Reads the gamepads from the browser, if the Gamepad API is available.
+     * 
+     * @returns {(Gamepad | null)[]} The connected gamepads.
+     */
+    static #getBrowserGamepads() {
+        if (typeof navigator === "undefined" || navigator.getGamepads == null) {
+            return [];
+        }
+        return navigator.getGamepads();
+    }
+
+    /**
+     * Forgets that a key is held, and updates the action it was bound to.
+     * 
+     * @param {string}              key     The key that was unbound.
+     * @param {string | undefined}  action  The action the key was bound to.
+     */
+    #releaseKey(key, action) {
+        if (this.heldKeys.delete(key)) {
+            this.#updateActionState(action);
+        }
     }
 
     /**
      * Updates the state of an input action from a key.
      * 
-     * This will override the current value of the input action, so if you have multiple keys
-     * bound to the same action, the action's state will match the most recent keyboard event.
+     * If several keys are bound to the same action, the action stays held until all of them are released.
      * 
      * @see {@link QuadtrisInput.inputKeys}
      * 
-     * @param {string} key The key from a keyboard event.
-     * @param {boolean} value The new value for the input action (should be true for keydown, false for keyup).
+     * @param {string} key The key from a keyboard event (or a gamepad binding name).
+     * @param {boolean} value The new value for the key (should be true for keydown, false for keyup).
+     * @param {number} time The time of the keyboard event (its timeStamp). Repeated keydown events keep the first press time.
+     */
+    setInputState(key, value, time = performance.now()) {
+        if (key.length == 1) {
+            key = key.toUpperCase();
+        }
+
+        if (value) {
+            this.heldKeys.add(key);
+        } else {
+            this.heldKeys.delete(key);
+        }
+        this.#updateActionState(this.inputKeys.get(key), time);
+    }
+
+    /**
+     * Sets an action to held if any of its bindings are held, recording the time it was first pressed.
+     * 
+     * @param {string | undefined}  action  The input action to update (nothing happens if it is undefined).
+     * @param {number}              time    The time of the change (in milliseconds).
      */
-    setInputState(key, value) {
-        let action = this.keyToState(key);
-        if (action != null) {
-            this.actionStates.set(action, value);
+    #updateActionState(action, time = performance.now()) {
+        if (action == null) {
+            return;
         }
+
+        const held = this.actionToKeys(action).some((key) => this.heldKeys.has(key));
+        if (held && !this.actionStates.get(action)) {
+            this.pressTimes.set(action, time);
+        } else if (!held) {
+            this.pressTimes.delete(action);
+        }
+        this.actionStates.set(action, held);
+    }
+
+    /**
+     * Accesses the time an input action was pressed.
+     * 
+     * @see {@link QuadtrisInput.pressTimes}
+     * 
+     * @param {string} inputAction The input action to check.
+     * @returns {number | null} The time (in milliseconds) the action was pressed, or null if it is not held.
+     */
+    getPressTime(inputAction) {
+        return this.pressTimes.get(inputAction) ?? null;
     }
 
     /**
@@ -4,7 +4,9 @@
  * @author Alex Wills
  */
 import * as twgl from 'twgl.js/dist/5.x/twgl-full.js';
-import {QuadPiece} from './QuadtrisGame.mjs'
+import {QuadPiece, getRowBlock} from './QuadtrisGame.mjs'
+import { EffectsLayer } from './EffectsLayer.mjs';
+import { getTheme, piecePatterns } from './Themes.mjs';
 
 export class QuadtrisRenderer {
     
@@ -14,9 +16,18 @@ export class QuadtrisRenderer {
     /** WebGL context. @type {WebGLRenderingContext} */
     gl;
 
-    /** Map between block type (1-7) and block color. @type {Map<number, number[]>} */
+    /** Map between block type (1-7 for pieces, 8 for garbage) and block color, from the theme. @type {Map<number, number[]>} */
     #colorMap = new Map();
 
+    /** Map between block type and the pattern drawn on it (0 for none, see {@link piecePatterns}). @type {Map<number, number>} */
+    #patternMap = new Map();
+
+    /** The theme the boards are drawn with (see {@link themes}). @type {Object} */
+    #theme;
+
+    /** The block textures loaded so far, by image source (null for flat blocks). @type {Map<string | null, WebGLTexture>} */
+    #blockTextures = new Map();
+
     /** Map between shape (char) and block type (1-7) */
     #pieceMap = new Map();
     
@@ -27,26 +38,51 @@ export class QuadtrisRenderer {
     /** Base vertex information. @type {twgl.BufferInfo} */
     #vertexBufferInfo;
 
-    /** 10x20 texture containing the color of every block on the game board (0, 0, 0 = no block) @type {WebGLTexture | null} */
-    #gridDataTex;
+    /** Shaders for the particles drawn over the boards. @type {twgl.ProgramInfo} */
+    #particleShaderInfo;
+
+    /** Positions and colors of the particles, updated every frame. @type {twgl.BufferInfo} */
+    #particleBufferInfo;
 
-    /** RGB data for the gridDataTex. @type {Uint8Array} */
-    #gridRGBData = new Uint8Array(600);
+    /** The most particles drawn on 1 board. @type {number} */
+    static maxParticles = 200;
 
-    /** 
-     * 4x10 texture containing the held/next pieces.
+    /** The options for every board's effects (see {@link EffectsLayer.defaultOptions}). @type {Object} */
+    #effectOptions = {};
+
+    /**
+     * The boards drawn side by side (1 normally, 2 in versus mode), each with its own data textures:
+     * 
+     * - gridDataTex    10x20 texture containing the color of every block on the game board (0, 0, 0 = no block),
+     *                  with the alpha channel set to the block's style (see {@link QuadtrisRenderer.blockStyles}).
+     * - gridRGBData    RGBA data for the gridDataTex.
+     * - queueDataTex   4x10 texture containing the held/next pieces. (0, 0) to (4, 1) represents the held piece,
+     *                  (0, 1) to (4, 2) represents the next piece, and the following piece is above the previous.
+     * - queueRGBData   RGBA data for the queueDataTex, where the alpha channel holds the block's pattern like the grid.
+     * - effects        The board's {@link EffectsLayer}.
+     * - effectsDataTex 10x20 texture with the color of the effects over every block, and how strongly to draw them
+     *                  in the alpha channel.
+     * - effectsRGBData RGBA data for the effectsDataTex.
+     * - hasEffects     Whether the effectsDataTex had any effects when it was last updated.
      * 
-     * (0, 0) to (4, 1) represents the held piece.
-     * (0, 1) to (4, 2) representes the next piece.
-     * The following piece is above the previous.
-     * @type {WebGLTexture | null}
+     * @type {{gridDataTex: WebGLTexture, gridRGBData: Uint8Array, queueDataTex: WebGLTexture, queueRGBData: Uint8Array,
+     *      effects: EffectsLayer, effectsDataTex: WebGLTexture, effectsRGBData: Uint8Array, hasEffects: boolean}[]}
      */
-    #queueDataTex;
+    #boards = [];
 
-    /** RGB data for the queueDataTex. @type {Uint8Array} */
-    #queueRGBData = new Uint8Array(3 * 40);
+    /**
+     * The alpha values that tell the shader how to draw each block on the game board.
+     * 
+     * - solid  A block on the grid, or the player's piece. The block's pattern (0-7) is subtracted from the alpha.
+     * - ghost  An outline where the player's piece will land.
+     * - hint   An outline and faint fill where the suggested placement is.
+     * 
+     * @static
+     * @type {{solid: number, ghost: number, hint: number}}
+     */
+    static blockStyles = {solid: 255, ghost: 128, hint: 64};
 
-    /** Base texture for the individual blocks. @type {WebGLTexture} */
+    /** Base texture for the individual blocks, from the theme. @type {WebGLTexture} */
     #blockTex;
     
     /** Base texture for the outline of projected pieces. @type {WebGLTexture} */
@@ -57,21 +93,24 @@ export class QuadtrisRenderer {
 
     #speedLevelNode = document.createTextNode('1');
     #scoreNode = document.createTextNode("0");  
+    #comboNode = document.createTextNode("0");
+    #perfectClearNode = document.createTextNode("0");
+
+    /** Element that briefly shows the last scoring action (like "T-SPIN DOUBLE"). @type {HTMLElement} */
+    #actionLabelElement = document.querySelector("#actionLabel");
+
+    /** The game's action count when the action label was last shown. @type {number} */
+    #lastActionCount = 0;
 
     constructor() {
         // Attach the line clear count to the HTML
         document.querySelector("#linesCleared").appendChild(this.#lineClearNode);
         document.querySelector("#speedLevel").appendChild(this.#speedLevelNode);
         document.querySelector("#score").appendChild(this.#scoreNode);
+        document.querySelector("#combo").appendChild(this.#comboNode);
+        document.querySelector("#perfectClears").appendChild(this.#perfectClearNode);
 
-        // Create color map
-        this.#colorMap.set(1, [255, 0, 0]);
-        this.#colorMap.set(2, [0, 255, 0]);
-        this.#colorMap.set(3, [255, 255, 0]);
-        this.#colorMap.set(4, [0, 0, 255]);
-        this.#colorMap.set(5, [180, 90, 246]);
-        this.#colorMap.set(6, [0, 255, 255]);
-        this.#colorMap.set(7, [255, 140, 40]);
+        // Create piece map
         this.#pieceMap.set('Z', 1);
         this.#pieceMap.set('S', 2);
         this.#pieceMap.set('O', 3);
@@ -137,31 +176,22 @@ export class QuadtrisRenderer {
         let fsSource = document.querySelector("#fragment-shader-2d").text;
         this.#shaderInfo = twgl.createProgramInfo(gl, [vsSource, fsSource]);
 
-        // Create block image
-        let blockImg = {src: "textures/block.png", mag: gl.LINEAR};
-        this.#blockTex = twgl.createTexture(this.gl, blockImg);
+        // Create the particle shaders, with room in the buffers for every particle
+        this.#particleShaderInfo = twgl.createProgramInfo(gl, [document.querySelector("#particle-vertex-shader").text,
+            document.querySelector("#particle-fragment-shader").text]);
+        this.#particleBufferInfo = twgl.createBufferInfoFromArrays(gl, {
+            a_Position: {numComponents: 2, data: new Float32Array(2 * QuadtrisRenderer.maxParticles), drawType: gl.DYNAMIC_DRAW},
+            a_Color: {numComponents: 4, data: new Float32Array(4 * QuadtrisRenderer.maxParticles), drawType: gl.DYNAMIC_DRAW}
+        });
+
+        // Create the colors and block image
+        this.setTheme(getTheme("classic"));
 
         let outlineImg = {src: "textures/outline.png", mag: gl.LINEAR};
         this.#outlineTex = twgl.createTexture(this.gl, outlineImg);
 
         // Create data textures
-        this.#gridDataTex = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, this.#gridDataTex);
-        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1)
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGB, 10, 20, 0, gl.RGB, gl.UNSIGNED_BYTE, null);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-
-        this.#queueDataTex = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, this.#queueDataTex);
-        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGB, 4, 2 * 5, 0, gl.RGB, gl.UNSIGNED_BYTE, null);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        this.setBoardCount(1);
 
         // Bind the buffers to WebGL
         gl.useProgram(this.#shaderInfo.program);
@@ -169,23 +199,108 @@ export class QuadtrisRenderer {
 
         // Set initial uniform variables
         let uniforms = {
-            u_GridData: this.#gridDataTex,
-            u_QueueData: this.#queueDataTex,
+            u_GridData: this.#boards[0].gridDataTex,
+            u_QueueData: this.#boards[0].queueDataTex,
+            u_EffectsData: this.#boards[0].effectsDataTex,
             u_BlockTexture: this.#blockTex,
             u_OutlineTexture: this.#outlineTex,
+            u_Shake: [0, 0],
+            u_Background: this.#theme.background.map((value) => value / 255),
+            u_GhostFill: this.#theme.ghost.fill
         };
         twgl.setUniforms(this.#shaderInfo, uniforms);
         }
 
+    /**
+     * The number of boards drawn side by side.
+     * 
+     * @type {number}
+     */
+    get boardCount() {
+        return this.#boards.length;
+    }
+
+    /**
+     * Sets how many boards to draw side by side, splitting the canvas evenly between them.
+     * 
+     * @param {number} count The number of boards (1 for a normal game, 2 for versus mode).
+     */
+    setBoardCount(count) {
+        while (this.#boards.length < count) {
+            this.#boards.push({
+                gridDataTex: this.#createDataTexture(10, 20, this.gl.RGBA),
+                gridRGBData: new Uint8Array(4 * 10 * 20),
+                queueDataTex: this.#createDataTexture(4, 2 * 5, this.gl.RGBA),
+                queueRGBData: new Uint8Array(4 * 40),
+                effects: new EffectsLayer(this.#effectOptions),
+                effectsDataTex: this.#createDataTexture(10, 20, this.gl.RGBA),
+                effectsRGBData: new Uint8Array(4 * 10 * 20),
+                hasEffects: false
+            });
+        }
+        for (const board of this.#boards.splice(count)) {
+            this.gl.deleteTexture(board.gridDataTex);
+            this.gl.deleteTexture(board.queueDataTex);
+            this.gl.deleteTexture(board.effectsDataTex);
+        }
+    }
+
+    /**
+     * Changes the colors, ghost piece, background and block texture the boards are drawn with.
+     * The boards are redrawn in the new theme the next time their data is updated.
+     * 
+     * @param {Object}  theme       The theme (see {@link themes}).
+     * @param {boolean} patterns    Whether to draw a different pattern on each piece's blocks.
+     */
+    setTheme(theme, patterns = false) {
+        this.#theme = theme;
+        this.#colorMap.clear();
+        this.#patternMap.clear();
+        for (const [shape, blockType] of this.#pieceMap) {
+            this.#colorMap.set(blockType, theme.pieceColors[shape]);
+            this.#patternMap.set(blockType, patterns ? piecePatterns[shape] : 0);
+        }
+        this.#colorMap.set(8, theme.garbageColor);
+        this.#patternMap.set(8, 0);
+
+        if (!this.#blockTextures.has(theme.blockTexture)) {
+            this.#blockTextures.set(theme.blockTexture, this.#createBlockTexture(theme.blockTexture));
+        }
+        this.#blockTex = this.#blockTextures.get(theme.blockTexture);
+    }
+
+    /**
+     * Changes the options of every board's effects, like turning on reduced motion.
+     * 
+     * @param {Object} options Settings to override in {@link EffectsLayer.defaultOptions}.
+     */
+    setEffectOptions(options) {
+        this.#effectOptions = {...this.#effectOptions, ...options};
+        for (const board of this.#boards) {
+            Object.assign(board.effects.options, options);
+        }
+    }
+
+    /**
+     * Starts the effects for the events that happened in a board's game.
+     * 
+     * @param {Object[]}    events  The events, oldest first (see {@link QuadtrisGame.takeEvents()}).
+     * @param {number}      board   The index of the board (0 is the leftmost).
+     * @param {number}      time    The current time (in milliseconds), on the same clock as {@link QuadtrisRenderer.renderGame()}.
+     */
+    addEvents(events, board = 0, time = performance.now()) {
+        this.#boards[board].effects.addEvents(events, time);
+    }
+
     /**
      * Updates all of the necessary buffers with the data
      * from the game state.
      * 
      * @param {Object}      gameState               The data needed to render the game.
-     * @param {Uint32Array} gameState.gridData      The grid, where every row is a 32 bit integer.
-     *                                              From right to left, the bits are in groups of 3,
+     * @param {BigUint64Array} gameState.gridData   The grid, where every row is a 64 bit integer.
+     *                                              From left to right, the bits are in groups of 4,
      *                                              where each group is a block in the row. 0 = no block,
-     *                                              and 1-7 represent different colored blocks.
+     *                                              1-7 represent different colored blocks, and 8 is garbage.
      * @param {QuadPiece}   gameState.playerPiece   The player's currently active piece, with locations and a shape.
      * @param {string[]}    gameState.pieceQueue    The next pieces in the queue.
      * @param {string}      gameState.heldPiece     The piece shape currently on hold.
@@ -194,111 +309,255 @@ export class QuadtrisRenderer {
      * @param {number}      gameState.linesCleared  The number of lines the player has cleared.
      * @param {number}      gameState.speedLevel    The speed level the game is on.
      * @param {number}      gameState.score         The player's score.
+     * @param {number}      board                   The index of the board to update (0 is the leftmost).
+     *                                              Only the first board updates the HTML score display.
+     * @param {Object | null} hint                  A suggested placement to draw (see {@link QuadtrisBot.findBestPlacement()}),
+     *                                              or null for no hint.
      */
-    updateData(gameState) {
+    updateData(gameState, board = 0, hint = null) {
         // Update the grid texture
-        this.#updateGridDataTexture(gameState);
+        this.#updateGridDataTexture(gameState, this.#boards[board], hint);
         // Update the held/piece queue texture
-        this.#updatePieceOverlay(gameState);
+        this.#updatePieceOverlay(gameState, this.#boards[board]);
         // Update the GUI overlay
-        this.#updateGUIOverlay(gameState);
+        if (board == 0) {
+            this.#updateGUIOverlay(gameState);
+        }
     }
 
     /**
      * Renders the current data to the WebGL-enabled canvas.
+     * 
+     * @param {number} time The current time (in milliseconds), used to play the effects.
      */
-    renderGame() {
+    renderGame(time = performance.now()) {
         // Update HTML scale
         twgl.resizeCanvasToDisplaySize(this.gl.canvas);
-        this.gl.viewport(0, 0, this.gl.canvas.width, this.gl.canvas.height);
 
-        // Update dynamic uniforms
-        let uniforms = {
-            u_GridData: this.#gridDataTex,
-            u_QueueData: this.#queueDataTex,
-            u_BlockTexture: this.#blockTex,
-            u_OutlineTexture: this.#outlineTex,
-        };
+        // Every board is drawn into its own slice of the canvas
+        const boardWidth = this.gl.canvas.width / this.#boards.length;
+        this.#boards.forEach((board, index) => {
+            this.gl.viewport(Math.round(index * boardWidth), 0, Math.round(boardWidth), this.gl.canvas.height);
+            this.#updateEffectsTexture(board, time);
+            const shake = board.effects.getShake(time);
+
+            // Update dynamic uniforms
+            let uniforms = {
+                u_GridData: board.gridDataTex,
+                u_QueueData: board.queueDataTex,
+                u_EffectsData: board.effectsDataTex,
+                u_BlockTexture: this.#blockTex,
+                u_OutlineTexture: this.#outlineTex,
+                u_Shake: shake,
+                u_Background: this.#theme.background.map((value) => value / 255),
+                u_GhostFill: this.#theme.ghost.fill
+            };
+
+            this.gl.useProgram(this.#shaderInfo.program);
+            twgl.setBuffersAndAttributes(this.gl, this.#shaderInfo, this.#vertexBufferInfo);
+            twgl.setUniforms(this.#shaderInfo, uniforms);
+            twgl.drawBufferInfo(this.gl, this.#vertexBufferInfo);
+
+            if (board.effects.particles.length > 0) {
+                this.#drawParticles(board.effects.particles, shake);
+            }
+        });
+    }
 
-        twgl.setUniforms(this.#shaderInfo, uniforms);
-        twgl.drawBufferInfo(this.gl, this.#vertexBufferInfo);
+    /**
+     * Moves a board's effects on, and sends them to the GPU if there are any (or if the last ones just finished).
+     * 
+     * @param {Object} board    The board to update (see {@link QuadtrisRenderer.#boards}).
+     * @param {number} time     The current time (in milliseconds).
+     */
+    #updateEffectsTexture(board, time) {
+        board.effects.update(time);
+        if (!board.effects.isActive && !board.hasEffects) {
+            return;
+        }
+        board.effects.drawCells(board.effectsRGBData, time, this.#colorMap);
+        board.hasEffects = board.effects.isActive;
+
+        this.gl.bindTexture(this.gl.TEXTURE_2D, board.effectsDataTex);
+        this.gl.texSubImage2D(this.gl.TEXTURE_2D, 0, 0, 0, 10, 20, this.gl.RGBA, this.gl.UNSIGNED_BYTE, board.effectsRGBData);
+    }
+
+    /**
+     * Draws a board's particles over the board, blending them with what is already drawn.
+     * 
+     * @param {Object[]} particles  The particles, in grid cells (see {@link EffectsLayer.particles}).
+     * @param {number[]} shake      The board's screen shake offset (in canvas units).
+     */
+    #drawParticles(particles, shake) {
+        const gl = this.gl;
+        const count = Math.min(particles.length, QuadtrisRenderer.maxParticles);
+        const positions = new Float32Array(2 * count);
+        const colors = new Float32Array(4 * count);
+        for (let i = 0; i < count; i++) {
+            // Grid cells to canvas units: the 250x500 grid is centered, and its bottom row is at the bottom
+            positions[2 * i] = 75 + 25 * particles[i].x;
+            positions[2 * i + 1] = 500 - 25 * particles[i].y;
+            const color = this.#colorMap.get(particles[i].blockType) ?? [255, 255, 255];
+            colors.set([color[0] / 255, color[1] / 255, color[2] / 255, particles[i].alpha], 4 * i);
+        }
+        twgl.setAttribInfoBufferFromArray(gl, this.#particleBufferInfo.attribs.a_Position, positions);
+        twgl.setAttribInfoBufferFromArray(gl, this.#particleBufferInfo.attribs.a_Color, colors);
+
+        gl.useProgram(this.#particleShaderInfo.program);
+        twgl.setBuffersAndAttributes(gl, this.#particleShaderInfo, this.#particleBufferInfo);
+        twgl.setUniforms(this.#particleShaderInfo, {u_Shake: shake, u_PointSize: gl.canvas.height / 20 * 0.4});
+
+        // Blend the colors, but keep the canvas opaque
+        gl.enable(gl.BLEND);
+        gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ZERO, gl.ONE);
+        gl.drawArrays(gl.POINTS, 0, count);
+        gl.disable(gl.BLEND);
+    }
+
+    /**
+     * Loads the texture drawn on every block.
+     * 
+     * @param {string | null} src   The block image, or null to draw flat blocks with a darker border.
+     * @returns {WebGLTexture} The texture.
+     */
+    #createBlockTexture(src) {
+        if (src !== null) {
+            return twgl.createTexture(this.gl, {src: src, mag: this.gl.LINEAR});
+        }
+
+        const size = 16;
+        const pixels = new Uint8Array(4 * size * size);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const isBorder = Math.min(x, y, size - 1 - x, size - 1 - y) < 2;
+                pixels.set([isBorder ? 170 : 255, isBorder ? 170 : 255, isBorder ? 170 : 255, 255], 4 * (size * y + x));
+            }
+        }
+        return twgl.createTexture(this.gl, {src: pixels, width: size, height: size, mag: this.gl.NEAREST, min: this.gl.NEAREST});
+    }
+
+    /**
+     * Creates an empty RGB texture to send game data to the shaders.
+     * 
+     * @param {number} width    The width of the texture (in pixels).
+     * @param {number} height   The height of the texture (in pixels).
+     * @param {number} format   The texture's format (gl.RGB, or gl.RGBA for the block styles and patterns).
+     * @returns {WebGLTexture} The texture.
+     */
+    #createDataTexture(width, height, format = this.gl.RGB) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        gl.texImage2D(gl.TEXTURE_2D, 0, format, width, height, 0, format, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
     }
 
     /**
      * Updates the texture used to determine block placement on the game board.
      * 
      * @param {Object}      gameState               The data needed to render the game.
-     * @param {Uint32Array} gameState.gridData      The grid, where every row is a 32 bit integer.
-     *                                              From right to left, the bits are in groups of 3,
+     * @param {BigUint64Array} gameState.gridData   The grid, where every row is a 64 bit integer.
+     *                                              From left to right, the bits are in groups of 4,
      *                                              where each group is a block in the row. 0 = no block,
-     *                                              and 1-7 represent different colored blocks.
+     *                                              1-7 represent different colored blocks, and 8 is garbage.
      * @param {QuadPiece}   gameState.playerPiece   The player's currently active piece, with locations and a shape.
      * @param {number[][]}  gameState.ghostBlocks   The locations of the 4 ghost blocks, used to project the player piece's
      *                                              landing spot. 
+     * @param {number[]}    gameState.clearingRows  The full rows waiting to be cleared, drawn fading to white.
+     * @param {number}      gameState.lineClearProgress How far the full rows have faded (0-1).
+     * @param {Object}      board                   The board to draw to (see {@link QuadtrisRenderer.#boards}).
+     * @param {Object | null} hint                  A suggested placement with the shape and blocks of the piece, or null.
      */
-    #updateGridDataTexture(gameState) {
+    #updateGridDataTexture(gameState, board, hint) {
+        const rgbData = board.gridRGBData;
         // Draw the base grid data
         for (let y = 0; y < 20; y++) {
             let row = gameState.gridData[y];
             for (let x = 0; x < 10; x++) {
-                let blockData = this.#getBlockData(row, x);
-                let startIndex = 3 * (10 * y + x);
+                let blockData = getRowBlock(row, x);
                 if (blockData != 0) {
                     // Draw a filled block
-                    let color = this.#colorMap.get(blockData);
-                    this.#gridRGBData[startIndex] = color[0];
-                    this.#gridRGBData[startIndex + 1] = color[1];
-                    this.#gridRGBData[startIndex + 2] = color[2];
-
+                    this.#setGridBlock(rgbData, x, y, this.#colorMap.get(blockData), this.#getSolidStyle(blockData));
                 } else {
                     // Draw an empty space
-                    this.#gridRGBData[startIndex] = 0;
-                    this.#gridRGBData[startIndex + 1] = 0;
-                    this.#gridRGBData[startIndex + 2] = 0;
+                    this.#setGridBlock(rgbData, x, y, [0, 0, 0], 0);
                 }
             } // End of row
         } // End of grid
 
+        // Full rows waiting to be cleared fade to white over the line clear delay
+        for (const y of gameState.clearingRows ?? []) {
+            if (y >= 20) {
+                continue;
+            }
+            for (let x = 0; x < 10; x++) {
+                let blockData = getRowBlock(gameState.gridData[y], x);
+                let color = this.#colorMap.get(blockData) ?? [0, 0, 0];
+                let fade = color.map((value) => Math.round(value + (255 - value) * gameState.lineClearProgress));
+                this.#setGridBlock(rgbData, x, y, fade, this.#getSolidStyle(blockData));
+            }
+        }
+
         // If the player piece is active, draw it
         if (gameState.playerPiece.active) {
-            // Start with the ghost projections, since the piece may be on top
-            let grey = 170;
-            for (let i = 0; i < 4; i++) {
-                let ghostStartIndex = 3 * (10 * gameState.ghostBlocks[i][1] + gameState.ghostBlocks[i][0]);
-                this.#gridRGBData[ghostStartIndex] = grey;
-                this.#gridRGBData[ghostStartIndex + 1] = grey;
-                this.#gridRGBData[ghostStartIndex + 2] = grey;
+            // Start with the suggested placement and the ghost projections, since the piece may be on top
+            if (hint !== null) {
+                let hintColor = this.#colorMap.get(this.#pieceMap.get(hint.shape));
+                for (const [x, y] of hint.blocks) {
+                    this.#setGridBlock(rgbData, x, y, hintColor, QuadtrisRenderer.blockStyles.hint);
+                }
+            }
+            let blockType = this.#pieceMap.get(gameState.playerPiece.shape);
+            let color = this.#colorMap.get(blockType);
+            let ghostColor = this.#theme.ghost.color ?? color;
+            for (const [x, y] of gameState.ghostBlocks) {
+                this.#setGridBlock(rgbData, x, y, ghostColor, QuadtrisRenderer.blockStyles.ghost);
             }
 
             // Draw the player blocks, overwriting any overlapping ghost blocks
-            let shape = gameState.playerPiece.shape;
-            for (let i = 0; i < 4; i++) {
-                let color = this.#colorMap.get(this.#pieceMap.get(shape));
-                let startIndex = 3 * (10 * gameState.playerPiece.blocks[i][1] + gameState.playerPiece.blocks[i][0]);
-                this.#gridRGBData[startIndex] = color[0];
-                this.#gridRGBData[startIndex + 1] = color[1];
-                this.#gridRGBData[startIndex + 2] = color[2];
+            for (const [x, y] of gameState.playerPiece.blocks) {
+                this.#setGridBlock(rgbData, x, y, color, this.#getSolidStyle(blockType));
             }
         }
 
         // Update the texture on the GPU
-        this.gl.bindTexture(this.gl.TEXTURE_2D, this.#gridDataTex);
-        this.gl.texSubImage2D(this.gl.TEXTURE_2D, 0, 0, 0, 10, 20, this.gl.RGB, this.gl.UNSIGNED_BYTE, this.#gridRGBData);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, board.gridDataTex);
+        this.gl.texSubImage2D(this.gl.TEXTURE_2D, 0, 0, 0, 10, 20, this.gl.RGBA, this.gl.UNSIGNED_BYTE, rgbData);
     }
 
     /**
-     * Reads into a row of the grid.
+     * Finds the alpha value for a solid block, with its pattern.
      * 
-     * For the row, represented as a 32-bit integer, the leftmost bits are at index 0.
+     * @param {number} blockType The block type (1-7 for pieces, 8 for garbage).
+     * @returns {number} The alpha value (see {@link QuadtrisRenderer.blockStyles}).
+     */
+    #getSolidStyle(blockType) {
+        return QuadtrisRenderer.blockStyles.solid - (this.#patternMap.get(blockType) ?? 0);
+    }
+
+    /**
+     * Sets the color and style of 1 space in a board's grid data. Spaces above the visible grid are ignored.
      * 
-     * @param {number} row  32-bit representation of a row in the grid.
-     * @param {number} x    index of the block in the row (0 = left, 9 = right).
-     * @returns {number}    3-bit number (0-7) representing the data at this position.
+     * @param {Uint8Array}  rgbData The RGBA data of the board's grid texture.
+     * @param {number}      x       The x index of the space.
+     * @param {number}      y       The y index of the space.
+     * @param {number[]}    color   The red, green, and blue values (0-255).
+     * @param {number}      style   The alpha value (see {@link QuadtrisRenderer.blockStyles}).
      */
-    #getBlockData(row, x) {
-        const bitshift = (32 - (3 + 3 * x));
-        const bitmask = 0b111 << bitshift;
-        return (row & bitmask) >>> bitshift;
+    #setGridBlock(rgbData, x, y, color, style) {
+        if (y >= 20) {
+            return;
+        }
+        let startIndex = 4 * (10 * y + x);
+        rgbData[startIndex] = color[0];
+        rgbData[startIndex + 1] = color[1];
+        rgbData[startIndex + 2] = color[2];
+        rgbData[startIndex + 3] = style;
     }
 
     /**
@@ -307,50 +566,52 @@ export class QuadtrisRenderer {
      * @param {Object}          gameState               The data needed to render the game.
      * @param {string[]}        gameState.pieceQueue    The next pieces in the queue.
      * @param {string | null}   gameState.heldPiece     The piece shape currently on hold.
+     * @param {Object}          board                   The board to draw to (see {@link QuadtrisRenderer.#boards}).
      */
-    #updatePieceOverlay(gameState) {
+    #updatePieceOverlay(gameState, board) {
         // Erase old rgb data
-        for (let i = 0; i < this.#queueRGBData.length; i++) {
-            this.#queueRGBData[i] = 0;
-        }
+        board.queueRGBData.fill(0);
 
-        // Overwrite the RGB array
+        // Overwrite the RGBA array
         if (gameState.heldPiece != null) {
-            this.#encodePieceToQueueTex(gameState.heldPiece, 0);
+            this.#encodePieceToQueueTex(gameState.heldPiece, 0, board.queueRGBData);
         }
 
         for (let i = 0; i < 4; i++) {
-            this.#encodePieceToQueueTex(gameState.pieceQueue[i], 24 * (1 + i));
+            this.#encodePieceToQueueTex(gameState.pieceQueue[i], 32 * (1 + i), board.queueRGBData);
         }
 
         // Update the texture on the GPU
-        this.gl.bindTexture(this.gl.TEXTURE_2D, this.#queueDataTex);
-        this.gl.texSubImage2D(this.gl.TEXTURE_2D, 0, 0, 0, 4, 10, this.gl.RGB, this.gl.UNSIGNED_BYTE, this.#queueRGBData);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, board.queueDataTex);
+        this.gl.texSubImage2D(this.gl.TEXTURE_2D, 0, 0, 0, 4, 10, this.gl.RGBA, this.gl.UNSIGNED_BYTE, board.queueRGBData);
     }
 
     /**
      * 
      * @param {string} piece 
      * @param {number} startingIndex 
+     * @param {Uint8Array} queueRGBData The RGBA data of the board's queue texture.
      */
-    #encodePieceToQueueTex(piece, startingIndex) {
+    #encodePieceToQueueTex(piece, startingIndex, queueRGBData) {
         
         let locations = QuadPiece.getBaseShape(piece);
-        let color = this.#colorMap.get(this.#pieceMap.get(piece));
+        let blockType = this.#pieceMap.get(piece);
+        let color = this.#colorMap.get(blockType);
         for (let i = 0; i < 4; i++) {
             let relativeBlock = locations[i];
-            let texStartIndex = startingIndex + 3 * (relativeBlock[1] * 4 + relativeBlock[0]);
-            this.#queueRGBData[texStartIndex] = color[0];
-            this.#queueRGBData[texStartIndex + 1] = color[1];
-            this.#queueRGBData[texStartIndex + 2] = color[2];
+            let texStartIndex = startingIndex + 4 * (relativeBlock[1] * 4 + relativeBlock[0]);
+            queueRGBData[texStartIndex] = color[0];
+            queueRGBData[texStartIndex + 1] = color[1];
+            queueRGBData[texStartIndex + 2] = color[2];
+            queueRGBData[texStartIndex + 3] = this.#getSolidStyle(blockType);
         }
 
         // Encode the top right pixel to indicate a 3-wide piece (we will want to move it to the right to center it)
         if (piece != 'I' && piece != 'O') {
-            let texStartIndex = startingIndex + 21;
-            this.#queueRGBData[texStartIndex] = 255;
+            let texStartIndex = startingIndex + 28;
+            queueRGBData[texStartIndex] = 255;
         } else if (piece == 'I') { // Encode the top right pixel to indicate an I piece (we will want to move it up to center it)
-            this.#queueRGBData[startingIndex + 21 + 1] = 255;
+            queueRGBData[startingIndex + 28 + 1] = 255;
         }
     }
 
@@ -361,10 +622,27 @@ export class QuadtrisRenderer {
      * @param {number}  gameState.linesCleared  The number of lines the player has cleared.
      * @param {number}  gameState.speedLevel    The speed level the game is on.
      * @param {number}  gameState.score         The player's score.
+     * @param {number}  gameState.combo         The number of consecutive pieces that have cleared lines.
+     * @param {number}  gameState.perfectClears The number of times the player has emptied the grid.
+     * @param {string}  gameState.actionLabel   A description of the last scoring action.
+     * @param {number}  gameState.actionCount   The number of scoring actions so far.
      */
     #updateGUIOverlay(gameState) {
         this.#lineClearNode.nodeValue = gameState.linesCleared;
-        this.#speedLevelNode.nodeValue = gameState.speedLevel == 11 ? "MAX" : gameState.speedLevel;
+        this.#speedLevelNode.nodeValue = gameState.speedLevel;
         this.#scoreNode.nodeValue = gameState.score;
+        this.#comboNode.nodeValue = gameState.combo;
+        this.#perfectClearNode.nodeValue = gameState.perfectClears;
+
+        // Show the action label when there is a new action, restarting its fade-out animation
+        if (gameState.actionCount != this.#lastActionCount) {
+            this.#lastActionCount = gameState.actionCount;
+            this.#actionLabelElement.textContent = gameState.actionLabel;
+            this.#actionLabelElement.classList.remove("show");
+            if (gameState.actionCount > 0) {
+                void this.#actionLabelElement.offsetWidth;  // Force a reflow so the animation plays again
+                this.#actionLabelElement.classList.add("show");
+            }
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Contains classes to record and play back a game of Quadtris, tick by tick.
+ *
+ * A replay is the game's options (including the randomizer's seed) plus the
+ * {@link QuadtrisGame.input} used for every tick. Since the game is deterministic,
+ * running a new game with the same options and inputs reproduces the original game exactly.
+ *
+ * @author Alex Wills
+ */
+import { QuadtrisGame } from "./QuadtrisGame.mjs";
+import { randomizers } from "./PieceRandomizer.mjs";
+import { rotationSystems } from "./RotationSystems.mjs";
+import { levelCurves } from "./LevelCurves.mjs";
+import { gameModes } from "./GameModes.mjs";
+
+/**
+ * The format name written into every replay file, used to recognize replays when importing.
+ *
+ * @type {string}
+ */
+const REPLAY_FORMAT = "quadtris-replay";
+
+/**
+ * The version of the replay encoding. Increase this when {@link inputFields} changes.
+ *
+ * @type {number}
+ */
+export const REPLAY_VERSION = 3;
+
+/**
+ * The names each option with a fixed set of choices can take, as the keys of an object.
+ *
+ * @see {@link QuadtrisGame.defaultOptions}
+ * @type {Object<string, Object>}
+ */
+const optionChoices = {
+    randomizer: randomizers,
+    rotationSystem: rotationSystems,
+    levelCurve: levelCurves,
+    mode: gameModes,
+    lockResetMode: {move: true, step: true, infinite: true}
+};
+
+/**
+ * The inputs stored for every tick, in the order they are packed into a frame.
+ *
+ * Each input takes up a number of bits in the frame's integer value,
+ * starting from the least significant bit.
+ *
+ * @type {{name: string, bits: number}[]}
+ */
+export const inputFields = [
+    {name: "moveLeft", bits: 4},
+    {name: "moveRight", bits: 4},
+    {name: "hardDrop", bits: 1},
+    {name: "softDrop", bits: 1},
+    {name: "hold", bits: 1},
+    {name: "rotateClockwise", bits: 1},
+    {name: "rotateAnticlockwise", bits: 1},
+    {name: "rotate180", bits: 1}
+];
+
+/**
+ * Packs a tick's input into an integer.
+ *
+ * @param {Object} input The game's input for a tick (see {@link QuadtrisGame.input}).
+ * @returns {number} The packed input.
+ */
+export function encodeFrame(input) {
+    let frame = 0;
+    let shift = 0;
+    for (const field of inputFields) {
+        const max = (1 << field.bits) - 1;
+        const value = Math.min(Number(input[field.name] ?? 0), max);
+        frame |= value << shift;
+        shift += field.bits;
+    }
+    return frame;
+}
+
+/**
+ * Unpacks an integer into a tick's input.
+ *
+ * Single-bit inputs are unpacked as booleans, and wider inputs as numbers.
+ *
+ * @param {number} frame The packed input.
+ * @returns {Object} The game's input for a tick (see {@link QuadtrisGame.input}).
+ */
+export function decodeFrame(frame) {
+    let input = {};
+    let shift = 0;
+    for (const field of inputFields) {
+        const value = (frame >>> shift) & ((1 << field.bits) - 1);
+        input[field.name] = field.bits == 1 ? value == 1 : value;
+        shift += field.bits;
+    }
+    return input;
+}
+
+/**
+ * Records the inputs of a game as it is played.
+ *
+ * @example
+ * let recorder = new ReplayRecorder();
+ * game.startNewGame();
+ * recorder.start(game);
+ * // Every tick, right before the game uses its input
+ * recorder.recordFrame(game.input);
+ * game.runTick();
+ * // When the game is over
+ * let replay = recorder.finish(game.gameState);
+ */
+export class ReplayRecorder {
+
+    /**
+     * Whether frames are being recorded.
+     *
+     * @type {boolean}
+     */
+    isRecording = false;
+
+    /** The game's options when the recording started. @type {Object} */
+    #options = {};
+
+    /**
+     * Consecutive runs of identical frames, stored as [frame, count] pairs to keep replays small.
+     *
+     * @type {number[][]}
+     */
+    #runs = [];
+
+    /**
+     * Starts a new recording for a game that has just been started.
+     *
+     * @param {QuadtrisGame} game The game to record. Its seed is read from the game's state,
+     *                            so the recording will match even if the seed was picked randomly.
+     */
+    start(game) {
+        this.#options = {...game.options, seed: game.gameState.seed};
+        this.#runs = [];
+        this.isRecording = true;
+    }
+
+    /**
+     * Stores the input for one tick.
+     *
+     * @param {Object} input The input the game is about to use (see {@link QuadtrisGame.input}).
+     */
+    recordFrame(input) {
+        if (!this.isRecording) {
+            return;
+        }
+
+        const frame = encodeFrame(input);
+        const lastRun = this.#runs[this.#runs.length - 1];
+        if (lastRun !== undefined && lastRun[0] == frame) {
+            lastRun[1]++;
+        } else {
+            this.#runs.push([frame, 1]);
+        }
+    }
+
+    /**
+     * Stops recording and creates the replay.
+     *
+     * @param {Object} gameState The game's final state, used to summarize the replay.
+     * @returns {Object} The replay, which can be saved with {@link serializeReplay()}.
+     */
+    finish(gameState) {
+        this.isRecording = false;
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            date: Date.now(),
+            options: this.#options,
+            score: gameState.score,
+            lines: gameState.linesCleared,
+            frames: this.#runs.map(([frame, count]) => frame.toString(36) + (count > 1 ? "*" + count.toString(36) : "")).join(".")
+        };
+    }
+}
+
+/**
+ * Feeds a replay's inputs back into a game, one tick at a time.
+ *
+ * @example
+ * let player = new ReplayPlayer(replay);
+ * player.startGame(game);
+ * // Every tick
+ * if (!player.isFinished) {
+ *      game.input = player.nextInput();
+ *      game.runTick();
+ * }
+ */
+export class ReplayPlayer {
+
+    /**
+     * The replay being played.
+     *
+     * @type {Object}
+     */
+    replay;
+
+    /**
+     * The index of the next frame to play.
+     *
+     * @type {number}
+     */
+    frameIndex = 0;
+
+    /**
+     * The total number of frames in the replay.
+     *
+     * @type {number}
+     */
+    length = 0;
+
+    /** Every frame of the replay, expanded from the replay's runs. @type {number[]} */
+    #frames = [];
+
+    /**
+     * @param {Object} replay A replay created by {@link ReplayRecorder.finish()} or {@link parseReplay()}.
+     */
+    constructor(replay) {
+        this.replay = replay;
+        if (replay.frames !== "") {
+            for (const token of replay.frames.split(".")) {
+                const [frame, count] = token.split("*");
+                const value = parseInt(frame, 36);
+                const repeat = count === undefined ? 1 : parseInt(count, 36);
+                for (let i = 0; i < repeat; i++) {
+                    this.#frames.push(value);
+                }
+            }
+        }
+        this.length = this.#frames.length;
+    }
+
+    /**
+     * Whether every frame of the replay has been played.
+     *
+     * @type {boolean}
+     */
+    get isFinished() {
+        return this.frameIndex >= this.length;
+    }
+
+    /**
+     * Applies the replay's options to a game and starts it from the beginning.
+     *
+     * Options missing from the replay (added after it was recorded) are set to their defaults.
+     *
+     * @param {QuadtrisGame} game The game to play the replay on.
+     */
+    startGame(game) {
+        Object.assign(game.options, game.constructor.defaultOptions, this.replay.options);
+        game.startNewGame();
+        this.frameIndex = 0;
+    }
+
+    /**
+     * Reads the input for the next tick.
+     *
+     * @returns {Object | null} The game's input for the tick, or null if the replay is finished.
+     */
+    nextInput() {
+        if (this.isFinished) {
+            return null;
+        }
+        return decodeFrame(this.#frames[this.frameIndex++]);
+    }
+}
+
+/**
+ * Converts a replay into text, to be saved as a file.
+ *
+ * @param {Object} replay The replay to save.
+ * @returns {string} The replay as JSON.
+ */
+export function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+/**
+ * Reads a replay from text, checking that it is a replay this version of the game can play.
+ *
+ * @param {string} text The contents of a replay file.
+ * @returns {Object} The replay.
+ * @throws {Error} If the text is not a valid replay.
+ */
+export function parseReplay(text) {
+    let replay;
+    try {
+        replay = JSON.parse(text);
+    } catch (e) {
+        throw new Error("The file is not a Quadtris replay.");
+    }
+
+    if (replay === null || replay.format !== REPLAY_FORMAT) {
+        throw new Error("The file is not a Quadtris replay.");
+    }
+    if (replay.version !== REPLAY_VERSION) {
+        throw new Error("This replay was made with a different version of Quadtris (replay version " + replay.version + ").");
+    }
+    const framesPattern = /^([0-9a-z]+(\*[0-9a-z]+)?(\.[0-9a-z]+(\*[0-9a-z]+)?)*)?$/;
+    if (typeof replay.frames !== "string" || !framesPattern.test(replay.frames)
+        || typeof replay.options !== "object" || replay.options === null
+        || !Object.entries(replay.options).every(([name, value]) => isValidOption(name, value))) {
+        throw new Error("The replay file is damaged.");
+    }
+
+    return replay;
+}
+
+/**
+ * Checks that a replay's option is one the game has, with a value it can play.
+ *
+ * Options that are null by default (like the line goal) can also be numbers, and options with
+ * a fixed set of choices (like the randomizer) must name one of them.
+ *
+ * @param {string}  name    The name of the option (a key of {@link QuadtrisGame.defaultOptions}).
+ * @param {*}       value   The saved value.
+ * @returns {boolean} True if the value can be used.
+ */
+function isValidOption(name, value) {
+    if (!Object.hasOwn(QuadtrisGame.defaultOptions, name)) {
+        return false;
+    }
+    const defaultValue = QuadtrisGame.defaultOptions[name];
+    if (typeof value === "number") {
+        return Number.isFinite(value) && (defaultValue === null || typeof defaultValue === "number");
+    }
+    if (name in optionChoices) {
+        return typeof value === "string" && Object.hasOwn(optionChoices[name], value);
+    }
+    return value === null ? defaultValue === null : typeof value === typeof defaultValue;
+}
@@ -1,9 +1,10 @@
 /**
- * @fileoverview Contains the logic for connecting the input module to custom settings saved in Local Storage.
+ * @fileoverview Contains the logic for connecting the input module to the rebind settings and the player's control profiles.
  * 
  * @author ALex Wills
  */
 import {QuadtrisInput} from "./QuadtrisInput.mjs"
+import {ControlProfiles} from "./ControlProfiles.mjs"
 
 /** @type {Text | null} */
 let outputText = null;
@@ -14,174 +15,273 @@ let controlLabels = new Map();
 /** @type {HTMLElement} */
 let settingsScreen;
 
+/** @type {ControlProfiles | null} */
+let controlProfiles = null;
+
+/** @type {Map<string, HTMLElement>} */
+let bindingAreas = new Map();
+
+/**
+ * The gamepad inputs that were held when the current rebind started (they are not used for the rebind).
+ * 
+ * @type {Set<string>}
+ */
+let gamepadsAtStart = new Set();
+
+/** Removes the keyboard listener of the current rebind. */
+let stopListening = function() {};
+
 /**
+ * Saves every action's bindings into the active control profile.
+ * 
+ * @see {@link ControlProfiles}
  * 
  * @param {QuadtrisInput} inputModule 
  */
 export function saveInputSettings(inputModule) {
-    const toSave = inputModule.inputKeys;
-    
-    toSave.forEach(function(action, key, map) {
-        localStorage.setItem(action, key);
-    });
-    
+    if (controlProfiles !== null) {
+        controlProfiles.updateActive({bindings: ControlProfiles.readBindings(inputModule)});
+    }
 }
 
 /**
+ * Binds the keys from the active control profile, and remembers the profiles to save later changes into.
  * 
- * @param {QuadtrisInput} inputModule 
+ * @param {QuadtrisInput}       inputModule 
+ * @param {ControlProfiles}     profiles    The player's control profiles.
  */
-export function loadInputSettings(inputModule) {
-    let overrides = [];
-
-    // Search through all of the input module's actions,
-    // recording any pairs to override.
-    inputModule.inputKeys.forEach(function(action, key, map) {
-        const savedKey = localStorage.getItem(action);
-        if (savedKey != null) {
-            // If there is a saved replacement, prepare to swap it out!
-            overrides.push({action: action,
-                            oldKey: key,
-                            newKey: savedKey});
-        }
+export function loadInputSettings(inputModule, profiles) {
+    controlProfiles = profiles;
+    profiles.applyBindings(inputModule);
+}
+
+/**
+ * Updates every rebind button and control label, after the bindings were changed outside the settings
+ * (like when switching control profiles).
+ * 
+ * @param {QuadtrisInput} inputMod The game's input module.
+ */
+export function refreshBindingLabels(inputMod) {
+    cancelRebind(inputMod);
+    inputMod.actionStates.forEach(function(state, action, map) {
+        updateBindingLabels(action, inputMod);
     });
+}
+
+/**
+ * Shows the bindings for an action in its rebind area, with buttons to change, remove, and add bindings.
+ * 
+ * @param {HTMLElement}     bindingArea The element to show the bindings in (its id is "c_<action>").
+ * @param {QuadtrisInput}   inputMod    The game's input module.
+ */
+function renderBindings(bindingArea, inputMod) {
+    const action = bindingArea.id.substring(2);
+    const keys = inputMod.actionToKeys(action);
+    bindingArea.replaceChildren();
+
+    for (const key of keys) {
+        let rebindButton = document.createElement("span");
+        rebindButton.classList.add("controlRebind", "ready");
+        rebindButton.innerText = QuadtrisInput.bindingLabel(key);
+        rebindButton.addEventListener("click", function() {
+            startRebind(inputMod, rebindButton, action, key);
+        });
 
-    // Delete the old bindings
-    for (let i = 0; i < overrides.length; i++) {
-        inputModule.inputKeys.delete(overrides[i].oldKey);
+        let removeButton = document.createElement("span");
+        removeButton.classList.add("removeBinding");
+        removeButton.innerText = "×";
+        removeButton.title = "Remove this binding";
+        removeButton.addEventListener("click", function(event) {
+            event.stopPropagation();
+            cancelRebind(inputMod);
+            if (inputMod.removeBinding(action, key)) {
+                saveInputSettings(inputMod);
+                updateBindingLabels(action, inputMod);
+                outputText.textContent = "Removed " + QuadtrisInput.bindingLabel(key) + " from " + action + ".";
+            }
+        });
+        rebindButton.appendChild(removeButton);
+        bindingArea.appendChild(rebindButton);
     }
 
-    // Add new bindings
-    for (let i = 0; i < overrides.length; i++) {
-        inputModule.inputKeys.set(overrides[i].newKey, overrides[i].action);
+    // New bindings can be added until the action is full
+    if (keys.length < QuadtrisInput.maxBindings) {
+        let addButton = document.createElement("span");
+        addButton.classList.add("controlRebind", "addBinding", "ready");
+        addButton.innerText = "+";
+        addButton.title = "Add a binding";
+        addButton.addEventListener("click", function() {
+            startRebind(inputMod, addButton, action, "");
+        });
+        bindingArea.appendChild(addButton);
     }
 }
 
 /**
+ * Starts waiting for a key or gamepad input to bind to an action.
  * 
- * @param {string}          selectorText    The shared selector for the button elements.
- * @param {QuadtrisInput}   inputMod        The game's input module.
+ * @param {QuadtrisInput}   inputMod    The game's input module.
+ * @param {HTMLElement}     button      The button that was clicked.
+ * @param {string}          action      The action to bind.
+ * @param {string}          oldKey      The binding to replace, or "" to add a new binding.
  */
-function connectAllRebindButtons(selectorText, inputMod){
-    const controlRebindElements = document.querySelectorAll(selectorText);
+function startRebind(inputMod, button, action, oldKey) {
+    // If rebind is in progress, cancel the old one
+    cancelRebind(inputMod);
 
-    // Add click events and set starting text for each button
-    for (let i = 0; i < controlRebindElements.length; i++) {
-        let rebindButton = controlRebindElements[i];
-        rebindButton.classList.add("ready");
-        rebindButton.addEventListener("click", function() {
+    // Start rebind process - save the starting parameters
+    inputMod.originalKeybind = oldKey;
+    inputMod.selectedSpan = button;
+    inputMod.selectedAction = action;
+    outputText.textContent = "Rebinding " + action + " action (press a key or gamepad button to rebind)...";
 
-            // If rebind is in progress, cancel the old one
-            if (inputMod.selectedSpan != null) {
-                inputMod.selectedKey = "Escape";
-                resolveRebind();
-            } 
-
-            // Start rebind process - save the starting parameters
-            inputMod.originalKeybind = rebindButton.innerText;
-            inputMod.selectedSpan = rebindButton;
-            inputMod.selectedAction = rebindButton.id.substring(2);
-            outputText.textContent = "Rebinding " + inputMod.selectedAction + " action (press key to rebind)...";
-
-            // Prime the document to read and store the next keypress
-            document.addEventListener("keydown", rebindControlKeypress);
-
-            // Change the visual state of the button
-            rebindButton.classList.remove("ready");
-            rebindButton.classList.add("waiting");
-            rebindButton.innerText = "...";
-        });
+    // Prime the document to read and store the next keypress, and watch the gamepads for a new input
+    document.addEventListener("keydown", rebindControlKeypress);
+    gamepadsAtStart = QuadtrisInput.readGamepads(navigator.getGamepads?.() ?? [], inputMod.gamepadDeadzone);
+    requestAnimationFrame(watchGamepads);
 
-        // Also update the button's text with the correct key
-        rebindButton.innerText = inputMod.actionToKey(rebindButton.id.substring(2));
-        if (rebindButton.innerText == " ")
-            rebindButton.innerText = "Space";
-    }
+    // Change the visual state of the button
+    button.classList.remove("ready");
+    button.classList.add("waiting");
+    button.innerText = "...";
 
-    // Keypress event functions
     /**
      * Saves the selected key and resolves the rebind.
      * 
-     * @param {*} event 
+     * @param {KeyboardEvent} event 
      */
     function rebindControlKeypress(event) {
         inputMod.selectedKey = event.key.length > 1 ? event.key : event.key.toUpperCase();
-        resolveRebind();
+        resolveRebind(inputMod);
     }
 
     /**
-     * Processes the rebind request, removing the keydown event listener if successful.
+     * Checks the gamepads every frame for an input that was not already held when the rebind started.
      */
-    function resolveRebind() {
-
-        // If escape is pressed or the settings were closed, cancel the rebinding process
-        if (inputMod.selectedKey == "Escape" || settingsScreen.classList.contains("hide")) {
-            inputMod.selectedKey = inputMod.originalKeybind;
-            endRebindProcess();
-            // console.log("Rebind canceled.");
-            outputText.textContent = "Rebind canceled.";
-            // Prevent the counter from thinking escape was pressed on the next frame
-            inputMod.updateCounters();
-
-            // Otherwise, try to rebind key
-        } else if (inputMod.rebindControl(inputMod.selectedAction, inputMod.selectedKey)){
-                // Rebind was successful!
-                outputText.textContent = "Rebind successful!";
-                endRebindProcess();
-                saveInputSettings(inputMod);
-                // console.log("Rebind complete!");
+    function watchGamepads() {
+        if (inputMod.selectedSpan !== button) {
+            return;
+        }
 
+        const pressed = QuadtrisInput.readGamepads(navigator.getGamepads?.() ?? [], inputMod.gamepadDeadzone);
+        const newInput = [...pressed].find((key) => !gamepadsAtStart.has(key));
+        // Inputs that were held at the start can be used once they have been let go
+        gamepadsAtStart = new Set([...gamepadsAtStart].filter((key) => pressed.has(key)));
+
+        if (newInput !== undefined) {
+            // If the input is already in use, it will not be tried again until it is let go
+            gamepadsAtStart.add(newInput);
+            inputMod.selectedKey = newInput;
+            resolveRebind(inputMod);
+        } else if (settingsScreen.classList.contains("hide")) {
+            inputMod.selectedKey = "Escape";
+            resolveRebind(inputMod);
         } else {
-            // Rebind did not succeed - key is already bound to another action
-            // console.log("Rebind failed...");
-            outputText.textContent = '\'' + inputMod.selectedKey + "\' is already in use (press another key)..."
+            requestAnimationFrame(watchGamepads);
         }
+    }
 
-        function endRebindProcess() {
-            // Remove listener to prevent further calls
-            document.removeEventListener("keydown", rebindControlKeypress);
-            
-            // Update text for control
-            const newKeyLabel = inputMod.selectedKey == " " ? "Space" : inputMod.selectedKey;
-            inputMod.selectedSpan.innerText = newKeyLabel;
-            controlLabels.get(inputMod.selectedAction).forEach(function(element, key, parent) {
-                element.innerText = newKeyLabel;
-            });
-    
-            // Deselect everything
-            inputMod.selectedAction = "";
-            inputMod.selectedKey = "";
-            inputMod.selectedSpan.classList.remove("waiting");
-            inputMod.selectedSpan.classList.add("ready");
-            inputMod.selectedSpan = null;
-        }
+    stopListening = function() {
+        document.removeEventListener("keydown", rebindControlKeypress);
+    };
+}
+
+/**
+ * Cancels the rebind in progress, if there is one.
+ * 
+ * @param {QuadtrisInput} inputMod The game's input module.
+ */
+function cancelRebind(inputMod) {
+    if (inputMod.selectedSpan != null) {
+        inputMod.selectedKey = "Escape";
+        resolveRebind(inputMod);
     }
 }
 
 /**
+ * Processes the rebind request, removing the keydown event listener if successful.
  * 
+ * @param {QuadtrisInput} inputMod The game's input module.
+ */
+function resolveRebind(inputMod) {
+    const action = inputMod.selectedAction;
+    const isNewBinding = inputMod.originalKeybind == "";
+
+    // If escape is pressed or the settings were closed, cancel the rebinding process
+    if (inputMod.selectedKey == "Escape" || settingsScreen.classList.contains("hide")) {
+        endRebindProcess();
+        outputText.textContent = "Rebind canceled.";
+        // Prevent the counter from thinking escape was pressed on the next frame
+        inputMod.updateCounters();
+
+        // Otherwise, try to rebind key
+    } else if (isNewBinding ? inputMod.addBinding(action, inputMod.selectedKey)
+                            : inputMod.rebindControl(action, inputMod.selectedKey, inputMod.originalKeybind)) {
+        // Rebind was successful!
+        outputText.textContent = "Rebind successful!";
+        endRebindProcess();
+        saveInputSettings(inputMod);
+
+    } else {
+        // Rebind did not succeed - key is already bound to another action
+        outputText.textContent = '\'' + QuadtrisInput.bindingLabel(inputMod.selectedKey) + "\' is already in use (press another key)...";
+    }
+
+    function endRebindProcess() {
+        // Remove listener to prevent further calls
+        stopListening();
+
+        // Deselect everything (the buttons are rebuilt with the new bindings)
+        inputMod.selectedAction = "";
+        inputMod.selectedKey = "";
+        inputMod.originalKeybind = "";
+        inputMod.selectedSpan = null;
+        updateBindingLabels(action, inputMod);
+    }
+}
+
+/**
+ * Updates the rebind buttons and every "cd_<action>" label for an action after its bindings change.
  * 
- * Any span elements in the HTML with the class "cd_<Action>" (replace <Action> with an input action)
- * will be connected to the input and rebind module, displaying only the key the input is bound to.
+ * @param {string}          action      The action that changed.
+ * @param {QuadtrisInput}   inputMod    The game's input module.
+ */
+function updateBindingLabels(action, inputMod) {
+    const bindingArea = bindingAreas.get(action);
+    if (bindingArea != null) {
+        renderBindings(bindingArea, inputMod);
+    }
+    controlLabels.get(action)?.forEach(function(element, key, parent) {
+        element.innerText = QuadtrisInput.bindingLabel(inputMod.actionToKey(action));
+    });
+}
+
+/**
+ * Connects the rebind areas and control labels in the settings to the input module.
+ * 
+ * Every rebind area should have the id "c_<Action>" (replace <Action> with an input action),
+ * and will be filled with a button for each binding.
  * 
- * @param {string}          rebindSelectorText 
+ * Any span elements in the HTML with the class "cd_<Action>"
+ * will be connected to the input and rebind module, displaying only the main binding of the input.
+ * 
+ * @param {string}          rebindSelectorText  The shared selector for the rebind areas.
  * @param {QuadtrisInput}   inputMod 
  * @param {Text}            rebindOutputTextNode 
+ * @param {HTMLElement}     settingsScreenElement
  */
 export function connectHTMLElements(rebindSelectorText, inputMod, rebindOutputTextNode, settingsScreenElement) {
     settingsScreen = settingsScreenElement;
     outputText = rebindOutputTextNode;
-    connectAllRebindButtons(rebindSelectorText, inputMod);
+    document.querySelectorAll(rebindSelectorText).forEach(function(element, key, parent) {
+        bindingAreas.set(element.id.substring(2), element);
+    });
 
     // Store every span element with the class "cd_<action>" under its matching action
     inputMod.actionStates.forEach(function(state, action, map) {
         controlLabels.set(action, document.querySelectorAll("span.cd_" + action));
 
         // Update the text with the initial controls
-        controlLabels.get(action).forEach(function(element, key, parent) {
-            const keyLabel = inputMod.actionToKey(action);
-            element.innerText = keyLabel == " " ? "Space" : keyLabel;
-            
-        });
+        updateBindingLabels(action, inputMod);
     });
 }
@@ -0,0 +1,307 @@
+/**
+ * @fileoverview The rotation systems that decide which way pieces face when they appear, and how they turn and kick.
+ *
+ * Each system gives every shape 4 rotation states (indexed by {@link QuadPiece}.rotationIndex), measured from the
+ * piece's spawn position. When the player turns a piece, the system lists the positions to try in order, and the
+ * piece ends up in the first one that is not blocked. Shapes with fewer than 4 different states repeat them.
+ *
+ * - SRS turns the piece around its center block and tests the kicks from the SRS offset tables.
+ * - Classic turns the piece without kicking, like the NES game.
+ * - ARS spawns pieces flat side up and tests 1 cell right then 1 cell left, like the arcade games.
+ *
+ * @author Alex Wills
+ */
+
+/**
+ * Relative locations of the blocks in each shape's spawn state for SRS, which are also used to draw the
+ * piece previews (fitting in a 4x2 grid with (0, 0) in the bottom left).
+ *
+ * Note: the "middle" block, to rotate the piece around, is in index 0 (always [1, 0]).
+ *
+ * @type {Object<string, number[][]>}
+ */
+export const baseShapes = {
+    O: [[1, 0], [1, 1], [2, 1], [2, 0]],
+    I: [[1, 0], [0, 0], [2, 0], [3, 0]],
+    L: [[1, 0], [0, 0], [2, 0], [2, 1]],
+    J: [[1, 0], [0, 0], [0, 1], [2, 0]],
+    T: [[1, 0], [0, 0], [2, 0], [1, 1]],
+    S: [[1, 0], [0, 0], [1, 1], [2, 1]],
+    Z: [[1, 0], [2, 0], [1, 1], [0, 1]]
+};
+
+/**
+ * Offset data for rotating with the SRS, indexed by the offset test and then the rotation index.
+ *
+ * The translation for a test is the offset for the starting rotation index minus the offset for the target index.
+ * Note: the offsets for the O piece should result in the piece not moving, so it should always pass the first test.
+ *
+ * @example
+ * // calculates the offset to apply to the I piece from rotation index 1 to 2 during the first test.
+ * let offsetTest = SRS_OFFSETS.I[0];
+ * let offset = [offsetTest[1][0] - offsetTest[2][0], offsetTest[1][1] - offsetTest[2][1]];
+ *
+ * @type {Object<string, number[][][]>}
+ */
+const SRS_OFFSETS = {
+    O: [[[0, 0], [0, -1], [-1, -1], [-1, 0]]],
+    I: [[[0, 0], [-1, 0], [-1, 1], [0, 1]],
+        [[-1, 0], [0, 0], [1, 1], [0, 1]],
+        [[2, 0], [0, 0], [-2, 1], [0, 1]],
+        [[-1, 0], [0, 1], [1, 0], [0, -1]],
+        [[2, 0], [0, -2], [-2, 0], [0, 2]]],
+    OTHER: [[[0, 0], [0, 0], [0, 0], [0, 0]],
+        [[0, 0], [1, 0], [0, 0], [-1, 0]],
+        [[0, 0], [1, -1], [0, 0], [-1, -1]],
+        [[0, 0], [0, 2], [0, 0], [0, 2]],
+        [[0, 0], [1, 2], [0, 0], [-1, 2]]]
+};
+
+/**
+ * Kick translations for rotating 180 degrees with the SRS, indexed by the rotation index the piece starts in.
+ *
+ * These are the 180 degree kicks from SRS+ ({@link https://tetris.wiki/SRS}), tested in order
+ * after the piece has been turned around its true center. They are shared by every piece except
+ * the O piece, which does not need to kick.
+ *
+ * @type {number[][][]}
+ */
+const SRS_KICKS_180 = [
+    [[0, 0], [0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]],
+    [[0, 0], [1, 0], [1, 2], [1, 1], [0, 2], [0, 1]],
+    [[0, 0], [0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]],
+    [[0, 0], [-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1]]
+];
+
+/**
+ * Turns blocks around their first block.
+ *
+ * @param {number[][]}  blocks          The blocks to turn.
+ * @param {number}      quarterTurns    1 for clockwise, -1 for anticlockwise, or 2 for a half turn.
+ * @returns {number[][]} The turned blocks, with the first block in the same place.
+ */
+function turnBlocks(blocks, quarterTurns) {
+    const [centerX, centerY] = blocks[0];
+    return blocks.map(([x, y]) => {
+        const dx = x - centerX;
+        const dy = y - centerY;
+        // A clockwise turn maps (x, y) to (y, -x), an anticlockwise turn to (-y, x),
+        // and a half turn to (-x, -y)
+        if (quarterTurns == 2) {
+            return [centerX - dx, centerY - dy];
+        } else if (quarterTurns == 1) {
+            return [centerX + dy, centerY - dx];
+        }
+        return [centerX - dy, centerY + dx];
+    });
+}
+
+/**
+ * Moves blocks by a translation.
+ *
+ * @param {number[][]}  blocks  The blocks to move.
+ * @param {number}      dx      The number of columns to move right.
+ * @param {number}      dy      The number of rows to move up.
+ * @returns {number[][]} The moved blocks.
+ */
+function moveBlocks(blocks, dx, dy) {
+    return blocks.map(([x, y]) => [x + dx, y + dy]);
+}
+
+/**
+ * Lists the 4 rotation states of a shape that turns around its first block, starting from its spawn state.
+ *
+ * @param {number[][]} spawnState The blocks of the spawn state.
+ * @returns {number[][][]} The blocks for each rotation index.
+ */
+function turnStates(spawnState) {
+    return [0, 1, 2, -1].map((quarterTurns) => quarterTurns == 0 ? spawnState : turnBlocks(spawnState, quarterTurns));
+}
+
+/**
+ * Converts blocks drawn in a box (measured from the top left, with y going down) to the game's coordinates,
+ * where the second row of the box is the piece's spawn row.
+ *
+ * @param {number[][]} boxBlocks The blocks' [column, row] in the box.
+ * @returns {number[][]} The blocks, with y going up.
+ */
+function fromBox(boxBlocks) {
+    return boxBlocks.map(([x, y]) => [x, 2 - y]);
+}
+
+/**
+ * Lists the rotation states of a shape from its different states, repeating them to fill all 4 rotation indices.
+ *
+ * @param {...number[][]} boxStates The blocks of each different state, drawn in a box (see {@link fromBox()}).
+ * @returns {number[][][]} The blocks for each rotation index.
+ */
+function repeatStates(...boxStates) {
+    return [0, 1, 2, 3].map((rotationIndex) => fromBox(boxStates[rotationIndex % boxStates.length]));
+}
+
+/**
+ * The SRS rotation states. Only the spawn states are used to place pieces; turns are worked out by
+ * {@link getSrsTests()}, which keeps the piece on its true center.
+ *
+ * @type {Object<string, number[][][]>}
+ */
+const SRS_STATES = Object.fromEntries(Object.entries(baseShapes).map(([shape, blocks]) => [shape, turnStates(blocks)]));
+
+/**
+ * The classic rotation states. T, J and L turn around their center block, starting flat side up,
+ * while I, S and Z flip between 2 states and O does not turn.
+ *
+ * @type {Object<string, number[][][]>}
+ */
+const CLASSIC_STATES = {
+    O: repeatStates([[1, 1], [2, 1], [1, 2], [2, 2]]),
+    I: repeatStates([[0, 2], [1, 2], [2, 2], [3, 2]], [[2, 0], [2, 1], [2, 2], [2, 3]]),
+    L: turnStates(fromBox([[1, 1], [0, 1], [2, 1], [0, 2]])),
+    J: turnStates(fromBox([[1, 1], [0, 1], [2, 1], [2, 2]])),
+    T: turnStates(fromBox([[1, 1], [0, 1], [2, 1], [1, 2]])),
+    S: repeatStates([[1, 1], [2, 1], [0, 2], [1, 2]], [[1, 0], [1, 1], [2, 1], [2, 2]]),
+    Z: repeatStates([[0, 1], [1, 1], [1, 2], [2, 2]], [[2, 0], [1, 1], [2, 1], [1, 2]])
+};
+
+/**
+ * The ARS rotation states. Every state rests on the bottom of its 3x3 box, so pieces turn
+ * without rising off the floor. The T's center block comes first, for T-spin detection.
+ *
+ * @type {Object<string, number[][][]>}
+ */
+const ARS_STATES = {
+    O: repeatStates([[1, 1], [2, 1], [1, 2], [2, 2]]),
+    I: repeatStates([[0, 1], [1, 1], [2, 1], [3, 1]], [[2, 0], [2, 1], [2, 2], [2, 3]]),
+    L: repeatStates([[0, 1], [1, 1], [2, 1], [0, 2]], [[0, 0], [1, 0], [1, 1], [1, 2]],
+                    [[2, 1], [0, 2], [1, 2], [2, 2]], [[1, 0], [1, 1], [1, 2], [2, 2]]),
+    J: repeatStates([[0, 1], [1, 1], [2, 1], [2, 2]], [[1, 0], [1, 1], [0, 2], [1, 2]],
+                    [[0, 1], [0, 2], [1, 2], [2, 2]], [[1, 0], [2, 0], [1, 1], [1, 2]]),
+    T: repeatStates([[1, 1], [0, 1], [2, 1], [1, 2]], [[1, 1], [1, 0], [0, 1], [1, 2]],
+                    [[1, 2], [0, 2], [2, 2], [1, 1]], [[1, 1], [1, 0], [2, 1], [1, 2]]),
+    S: repeatStates([[1, 1], [2, 1], [0, 2], [1, 2]], [[0, 0], [0, 1], [1, 1], [1, 2]]),
+    Z: repeatStates([[0, 1], [1, 1], [1, 2], [2, 2]], [[2, 0], [1, 1], [2, 1], [1, 2]])
+};
+
+/**
+ * Lists the SRS positions for a turn: the piece is turned around its center block, then moved by each offset test.
+ *
+ * 90 degree turns use the offsets in {@link SRS_OFFSETS}. 180 degree turns first apply the offset that keeps
+ * the piece on its true center (the first row of the offset table), then the kicks in {@link SRS_KICKS_180}.
+ *
+ * @param {QuadPiece}   piece           The piece to turn.
+ * @param {number}      quarterTurns    1 for clockwise, -1 for anticlockwise, or 2 for a half turn.
+ * @returns {number[][][]} The blocks for each test, in order.
+ */
+function getSrsTests(piece, quarterTurns) {
+    const rotationIndex = piece.rotationIndex;
+    const rotationTargetIndex = (rotationIndex + 4 + quarterTurns) % 4;
+    const turned = turnBlocks(piece.blocks, quarterTurns);
+    const offsetTable = SRS_OFFSETS[piece.shape] ?? SRS_OFFSETS.OTHER;
+
+    let offsets = [];
+    if (quarterTurns == 2) {
+        const centerRow = offsetTable[0];
+        const centerFix = [centerRow[rotationIndex][0] - centerRow[rotationTargetIndex][0],
+                            centerRow[rotationIndex][1] - centerRow[rotationTargetIndex][1]];
+        // The O piece looks the same after a half turn, so it never needs a kick
+        const kicks = piece.shape == 'O' ? [[0, 0]] : SRS_KICKS_180[rotationIndex];
+        for (const kick of kicks) {
+            offsets.push([centerFix[0] + kick[0], centerFix[1] + kick[1]]);
+        }
+    } else {
+        for (const offsetRow of offsetTable) {
+            offsets.push([offsetRow[rotationIndex][0] - offsetRow[rotationTargetIndex][0],
+                            offsetRow[rotationIndex][1] - offsetRow[rotationTargetIndex][1]]);
+        }
+    }
+    return offsets.map(([dx, dy]) => moveBlocks(turned, dx, dy));
+}
+
+/**
+ * Finds where a piece's next rotation state would be, without moving the piece's box.
+ *
+ * @param {Object<string, number[][][]>}    states          The system's rotation states.
+ * @param {QuadPiece}                       piece           The piece to turn.
+ * @param {number}                          quarterTurns    1 for clockwise, -1 for anticlockwise, or 2 for a half turn.
+ * @returns {{blocks: number[][], boxX: number}} The turned blocks, and the grid column of the left of the piece's box.
+ */
+function getTurnedState(states, piece, quarterTurns) {
+    const shapeStates = states[piece.shape];
+    const rotationTargetIndex = (piece.rotationIndex + 4 + quarterTurns) % 4;
+    // The first block always comes first, so it shows where the piece's box is
+    const boxX = piece.blocks[0][0] - shapeStates[piece.rotationIndex][0][0];
+    const boxY = piece.blocks[0][1] - shapeStates[piece.rotationIndex][0][1];
+    return {blocks: moveBlocks(shapeStates[rotationTargetIndex], boxX, boxY), boxX: boxX};
+}
+
+/**
+ * Lists the ARS positions for a turn: the turn in place, then 1 cell right, then 1 cell left.
+ *
+ * The I and O pieces never kick. The L, J and T pieces do not kick if the first blocked cell of the turned
+ * piece (reading across each row from the top) is in the middle column of their box, so they can't
+ * climb over a block by turning around it.
+ *
+ * @param {QuadPiece}               piece           The piece to turn.
+ * @param {number}                  quarterTurns    1 for clockwise, -1 for anticlockwise, or 2 for a half turn.
+ * @param {function(number, number): boolean} isBlocked Checks whether a grid cell is blocked.
+ * @returns {number[][][]} The blocks for each test, in order.
+ */
+function getArsTests(piece, quarterTurns, isBlocked) {
+    const {blocks, boxX} = getTurnedState(ARS_STATES, piece, quarterTurns);
+    if (piece.shape == 'I' || piece.shape == 'O') {
+        return [blocks];
+    }
+    if ("LJT".includes(piece.shape)) {
+        const readingOrder = [...blocks].sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+        const firstBlocked = readingOrder.find(([x, y]) => isBlocked(x, y));
+        if (firstBlocked !== undefined && firstBlocked[0] - boxX == 1) {
+            return [blocks];
+        }
+    }
+    return [blocks, moveBlocks(blocks, 1, 0), moveBlocks(blocks, -1, 0)];
+}
+
+/**
+ * The available rotation systems, by name.
+ *
+ * Each system has:
+ * - label              {string} The name shown to the player.
+ * - spawnOffset        {number[]} Where the rotation states are moved to when a piece appears.
+ * - states             {Object<string, number[][][]>} The blocks of each shape, for each rotation index.
+ * - getRotationTests   {function(QuadPiece, number, function(number, number): boolean): number[][][]}
+ *                      Lists the positions to try when a piece turns (1 for clockwise, -1 for anticlockwise,
+ *                      or 2 for a half turn), given a check for blocked grid cells.
+ *
+ * @type {Object<string, {label: string, spawnOffset: number[], states: Object<string, number[][][]>, getRotationTests: function}>}
+ */
+export const rotationSystems = {
+    srs: {
+        label: "SRS",
+        spawnOffset: [3, 19],
+        states: SRS_STATES,
+        getRotationTests: getSrsTests
+    },
+    classic: {
+        label: "Classic (no kicks)",
+        // The states reach 1 row above the spawn row, so pieces appear 1 row lower to turn right away
+        spawnOffset: [3, 18],
+        states: CLASSIC_STATES,
+        getRotationTests: (piece, quarterTurns) => [getTurnedState(CLASSIC_STATES, piece, quarterTurns).blocks]
+    },
+    ars: {
+        label: "ARS (arcade)",
+        spawnOffset: [3, 18],
+        states: ARS_STATES,
+        getRotationTests: getArsTests
+    }
+};
+
+/**
+ * Finds a rotation system by name.
+ *
+ * @param {string} name The name of the system (a key of {@link rotationSystems}). Unknown names fall back to SRS.
+ * @returns {Object} The rotation system.
+ */
+export function getRotationSystem(name) {
+    return rotationSystems[name] ?? rotationSystems.srs;
+}
@@ -4,28 +4,58 @@
  * @author Alex Wills
  */
 import { TouchInput } from "./TouchInput.mjs";
+import { storage, isPlainObject, isValidSetting } from "./Storage.mjs";
 export class SettingsModule {
 
     // Divs to show/hide the different settings categories
     #keyboardMenu;
     #gestureMenu;
     #buttonMenu;
+    #gameMenu;
 
     #defaultSettingsValues = {
         gestureEnable: false,
         buttonEnable: true,
-        keyboardRepeatDelay: 5,         // Frames
+        keyboardDas: 167,               // Milliseconds before held movement repeats
+        keyboardArr: 33,                // Milliseconds between repeats (0 = instant)
         gestureGridIncrement: 40,       // Pixels
         gestureDirectionSwapAssist: 0,  // Percent
         gestureHardDropDistance: 150,   // Pixels
         gestureHardDropTimer: 200,      // Milliseconds
-        buttonRepeatDelay: 5,           // Frames
+        buttonDas: 167,                 // Milliseconds
+        buttonArr: 33,                  // Milliseconds
+        softDropFactor: 20,             // Times faster than gravity
+        randomizer: "bag7",             // Name of the piece randomizer strategy
+        levelCurve: "classic",          // Name of the gravity curve
+        startLevel: 1,                  // Speed level
+        linesPerLevel: 10,              // Lines
+        lockDelay: 500,                 // Milliseconds
+        lockResetMode: "move",          // Name of the lock delay reset mode
+        moveResetLimit: 30,             // Moves
+        spawnDrop: "false",             // Whether new pieces fall 1 cell when they appear ("true" or "false")
+        entryDelay: 0,                  // Ticks between a piece locking and the next piece appearing
+        lineClearDelay: 0,              // Extra ticks the next piece waits after a line clear
+        showHints: "false",             // Whether to show a suggested placement in unranked modes ("true" or "false")
+        tetrisEffects: "true",          // Whether Tetrises burst into particles and shake the board ("true" or "false")
+        reducedMotion: "false",         // Whether to leave out moving effects ("true" or "false")
+        theme: "classic",               // Name of the color theme (see Themes.mjs)
+        blockPatterns: "false",         // Whether to draw a different pattern on each piece ("true" or "false")
+        digGarbageRows: 10,             // Rows of garbage at the start of dig mode
+        digGarbageMessiness: "0",       // Chance of each garbage row's hole moving ("0" - "1")
+        digRiseInterval: "off",         // Seconds between rising garbage rows in dig mode ("off" for none)
     }
     /**
      * The currently selected settings.
      */
     settingsValues;
 
+    /**
+     * Called with the settings values whenever they change (for example, to save them in a control profile).
+     * 
+     * @type {function(Object): void | null}
+     */
+    onValuesChanged = null;
+
     /**
      * The module managing gesture controls.
      * @type { TouchInput }
@@ -44,19 +74,24 @@ export class SettingsModule {
      * @param {string} keyboardClass 
      * @param {string} gestureClass 
      * @param {string} buttonClass 
+     * @param {string} gameClass 
      * @param {TouchInput} gestureModule 
      */
-    constructor(keyboardClass, gestureClass, buttonClass, gestureModule) {
+    constructor(keyboardClass, gestureClass, buttonClass, gameClass, gestureModule) {
 
         // Enable touchscreen buttons by default if there is a coarse pointer; disable them otherwise
         this.#defaultSettingsValues.buttonEnable = window.matchMedia('(pointer: coarse)').matches;
+        // Follow the system's reduced motion setting by default
+        this.#defaultSettingsValues.reducedMotion = String(window.matchMedia('(prefers-reduced-motion: reduce)').matches);
 
         this.#keyboardMenu = document.querySelector("div." + keyboardClass);
         this.#gestureMenu = document.querySelector("div." + gestureClass);
         this.#buttonMenu = document.querySelector("div." + buttonClass);
+        this.#gameMenu = document.querySelector("div." + gameClass);
         document.querySelector("button." + keyboardClass).addEventListener("click", (e) => {toggleElement(this.#keyboardMenu);});
         document.querySelector("button." + gestureClass).addEventListener("click", (e) => {toggleElement(this.#gestureMenu);});
         document.querySelector("button." + buttonClass).addEventListener("click", (e) => {toggleElement(this.#buttonMenu);});
+        document.querySelector("button." + gameClass).addEventListener("click", (e) => {toggleElement(this.#gameMenu);});
 
         // Load default/found values
         this.settingsValues = {...this.#defaultSettingsValues};
@@ -82,7 +117,7 @@ export class SettingsModule {
      * @param {string} inputClass The unique class shared by the input element and a span to dispaly the input value.
      */
     linkInput(inputClass) {
-        let inputElement = document.querySelector("input." + inputClass);
+        let inputElement = document.querySelector("input." + inputClass + ", select." + inputClass);
         if (inputElement === null) {
             console.log("Could not find input element for the \'" + inputClass + "\' setting.");
             return;
@@ -110,6 +145,17 @@ export class SettingsModule {
             
             return;
         }
+
+        // Use dropdowns to choose between named options
+        if (inputElement.tagName === "SELECT") {
+            inputElement.value = this.settingsValues[inputClass];
+            inputElement.addEventListener("change", (e) => {
+                this.settingsValues[inputClass] = inputElement.value;
+                this.updateValues();
+            });
+
+            return;
+        }
         
         // Use sliders for other settings
 
@@ -147,25 +193,37 @@ export class SettingsModule {
         }
 
         this.saveValues();
+        if (this.onValuesChanged !== null) {
+            this.onValuesChanged(this.settingsValues);
+        }
     }
 
     /**
-     * Stores the current settings in local storage.
+     * Stores the current settings.
+     * 
+     * @see {@link QuadtrisStorage}
      */
     saveValues() {
-        localStorage.setItem("settings", JSON.stringify(this.settingsValues));
+        storage.write("settings", this.settingsValues);
     }
 
     /**
-     * Retrieves and parses the settings stored in local storage.
+     * Retrieves the stored settings.
+     * 
+     * Only known settings are used, and a setting with the wrong type of value keeps its default (the problem is reported).
      */
     loadValues() {
-        let foundSettings = JSON.parse(localStorage.getItem("settings"));
-        if (foundSettings === null) {
-            return;
-        }
+        const foundSettings = storage.read("settings", {}, isPlainObject);
+
         Object.keys(foundSettings).forEach((val, index, arr) => {
-            this.settingsValues[val] = foundSettings[val];
+            if (!(val in this.#defaultSettingsValues)) {
+                return;
+            }
+            if (isValidSetting(this.#defaultSettingsValues[val], foundSettings[val])) {
+                this.settingsValues[val] = foundSettings[val];
+            } else {
+                storage.report("settings", "The saved value of \'" + val + "\' is not valid. Using the default instead.");
+            }
         });
     }
 
@@ -173,17 +231,26 @@ export class SettingsModule {
      * Resets all settings to their default values.
      */
     resetToDefault() {
-        this.settingsValues = {...this.#defaultSettingsValues};
+        this.applyValues(this.#defaultSettingsValues);
+    }
+
+    /**
+     * Changes some of the settings, updating the HTML elements to match.
+     * 
+     * @param {Object} values The settings to change, by name. Other settings keep their current values.
+     */
+    applyValues(values) {
+        Object.assign(this.settingsValues, values);
         this.updateValues();
 
         // Update the HTML elements to reflect the new settings.
-        Object.keys(this.#defaultSettingsValues).forEach((val, index, arr) => {
-            let inputElement = document.querySelector("input." + val);
+        Object.keys(values).forEach((val, index, arr) => {
+            let inputElement = document.querySelector("input." + val + ", select." + val);
             if (inputElement === null) {
                 return;
             }
             if (inputElement.getAttribute("type") === "checkbox") {
-                inputElement.checked = this.#defaultSettingsValues[val]; 
+                inputElement.checked = this.settingsValues[val]; 
                 let menu = inputElement.closest(".menu");
                 if (inputElement.checked) {
                     menu.classList.remove("disabled");
@@ -191,7 +258,7 @@ export class SettingsModule {
                     menu.classList.add("disabled");
                 }
             } else {
-                inputElement.value = this.#defaultSettingsValues[val];
+                inputElement.value = this.settingsValues[val];
             }
             
             let inputText = document.querySelector("span." + val);
@@ -0,0 +1,333 @@
+/**
+ * @fileoverview Contains a class definition for QuadtrisStorage, the one place the game reads and writes Local Storage.
+ *
+ * Every key is saved under the "quadtris:" namespace, and the layout of the saved data has a version number.
+ * When the game loads data saved by an older version, the migrations in {@link QuadtrisStorage.migrations}
+ * update it one version at a time. Data that can't be read (broken JSON, or values of the wrong type) is
+ * reported and replaced with defaults, so a bad save never stops the game from starting.
+ *
+ * @author Alex Wills
+ */
+
+/**
+ * The version of the saved data layout. Increase this and add a migration when the layout changes.
+ *
+ * @type {number}
+ */
+export const STORAGE_VERSION = 1;
+
+/**
+ * The input actions that older versions saved as their own top-level keys.
+ *
+ * @type {string[]}
+ */
+const LEGACY_ACTION_KEYS = ["moveLeft", "moveRight", "hardDrop", "softDrop", "hold",
+    "rotateClockwise", "rotateAnticlockwise", "rotate180", "pause"];
+
+/**
+ * The other top-level keys written before the data had a namespace.
+ *
+ * @type {string[]}
+ */
+const LEGACY_KEYS = ["settings", "controlProfiles", "highScores", "highScores_sprint", "highScores_ultra"];
+
+/**
+ * Saves JSON values in Local Storage under a namespace, with a versioned layout.
+ *
+ * @example
+ * storage.migrate();
+ * let settings = storage.read("settings", {}, (value) => typeof value === "object");
+ * storage.write("settings", settings);
+ */
+export class QuadtrisStorage {
+
+    /**
+     * Functions that update the saved data by one version, indexed by the version they start from.
+     *
+     * Each migration works directly on the storage backend, so it can read keys from any version.
+     *
+     * @static
+     * @type {function(QuadtrisStorage): void[]}
+     */
+    static migrations = [
+        // 0 -> 1: move the keys into the namespace, collect the per-action key bindings into one value,
+        // and convert the repeat delays from 30 Hz frames to milliseconds
+        (storage) => {
+            for (const key of LEGACY_KEYS) {
+                const value = storage.backend.getItem(key);
+                if (value !== null) {
+                    storage.backend.setItem(storage.namespacedKey(key), value);
+                    storage.backend.removeItem(key);
+                }
+            }
+
+            let bindings = {};
+            for (const action of LEGACY_ACTION_KEYS) {
+                const value = storage.backend.getItem(action);
+                if (value !== null) {
+                    bindings[action] = parseLegacyKeys(value);
+                    storage.backend.removeItem(action);
+                }
+            }
+            if (Object.keys(bindings).length > 0) {
+                storage.write("legacyBindings", bindings);
+            }
+
+            const settings = storage.read("settings", null, isPlainObject);
+            if (settings !== null) {
+                const legacyDelays = {keyboardRepeatDelay: "keyboardDas", buttonRepeatDelay: "buttonDas"};
+                for (const [legacyName, newName] of Object.entries(legacyDelays)) {
+                    if (legacyName in settings) {
+                        settings[newName] ??= Math.round(Number(settings[legacyName]) * 1000 / 30);
+                        delete settings[legacyName];
+                    }
+                }
+                storage.write("settings", settings);
+            }
+        }
+    ];
+
+    /**
+     * The prefix added to every key.
+     *
+     * @type {string}
+     */
+    namespace;
+
+    /**
+     * Every problem found while reading the saved data, in the order they were found.
+     *
+     * @type {{key: string, message: string}[]}
+     */
+    problems = [];
+
+    /**
+     * Called with every problem as it is found (for example, to tell the player). Problems are logged to the console by default.
+     *
+     * @type {function({key: string, message: string}): void}
+     */
+    onProblem = (problem) => console.log("Storage problem (" + problem.key + "): " + problem.message);
+
+    /** The storage to use instead of the browser's Local Storage, if any. @type {Storage | null} */
+    #backend;
+
+    /**
+     * Creates a storage layer.
+     *
+     * @param {string}          namespace   The prefix added to every key (followed by a colon).
+     * @param {Storage | null}  backend     Where to save the data. Defaults to the browser's Local Storage (looked up when used).
+     */
+    constructor(namespace = "quadtris", backend = null) {
+        this.namespace = namespace;
+        this.#backend = backend;
+    }
+
+    /**
+     * Where the data is saved.
+     *
+     * @type {Storage}
+     */
+    get backend() {
+        return this.#backend ?? globalThis.localStorage;
+    }
+
+    /**
+     * The version of the saved data layout (0 if nothing has been saved with a version yet).
+     *
+     * @type {number}
+     */
+    get version() {
+        const version = Number(this.backend.getItem(this.namespacedKey("version")) ?? 0);
+        return Number.isInteger(version) && version >= 0 ? version : 0;
+    }
+
+    /**
+     * Finds the full key a value is saved under.
+     *
+     * @param {string} key The key without the namespace.
+     * @returns {string} The key with the namespace.
+     */
+    namespacedKey(key) {
+        return this.namespace + ":" + key;
+    }
+
+    /**
+     * Updates the saved data to the current version, one migration at a time.
+     *
+     * Data saved by a newer version of the game is left alone (and reported), since it can't be converted back.
+     *
+     * @returns {boolean} Whether the data is now at the current version.
+     */
+    migrate() {
+        let version;
+        try {
+            version = this.version;
+        } catch (e) {
+            this.report("version", "Local Storage can't be used (" + e.message + ").");
+            return false;
+        }
+
+        if (version > STORAGE_VERSION) {
+            this.report("version", "The saved data is from a newer version of Quadtris (version " + version + ").");
+            return false;
+        }
+
+        for (; version < STORAGE_VERSION; version++) {
+            try {
+                QuadtrisStorage.migrations[version](this);
+                this.backend.setItem(this.namespacedKey("version"), String(version + 1));
+            } catch (e) {
+                this.report("version", "The saved data can't be updated to version " + (version + 1) + " (" + e.message + ").");
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Reads a saved value.
+     *
+     * If the value can't be read or fails the check, it is reported, moved to a "corrupt:" key
+     * (so it can still be recovered by hand), and the fallback is returned.
+     *
+     * @param {string}                  key         The key (without the namespace).
+     * @param {*}                       fallback    The value to use if nothing valid is saved.
+     * @param {function(*): boolean}    isValid     Checks the parsed value.
+     * @returns {*} The saved value, or the fallback.
+     */
+    read(key, fallback, isValid = () => true) {
+        let text;
+        try {
+            text = this.backend.getItem(this.namespacedKey(key));
+        } catch (e) {
+            this.report(key, "Local Storage can't be read (" + e.message + ").");
+            return fallback;
+        }
+        if (text === null) {
+            return fallback;
+        }
+
+        let value;
+        try {
+            value = JSON.parse(text);
+        } catch (e) {
+            this.#setAside(key, text, "The saved data is not valid JSON.");
+            return fallback;
+        }
+        if (!isValid(value)) {
+            this.#setAside(key, text, "The saved data does not have the expected layout.");
+            return fallback;
+        }
+        return value;
+    }
+
+    /**
+     * Saves a value as JSON.
+     *
+     * @param {string}  key     The key (without the namespace).
+     * @param {*}       value   The value to save.
+     * @returns {boolean} Whether the value was saved (it fails if Local Storage is full or unavailable).
+     */
+    write(key, value) {
+        try {
+            this.backend.setItem(this.namespacedKey(key), JSON.stringify(value));
+            return true;
+        } catch (e) {
+            this.report(key, "The data could not be saved (" + e.message + ").");
+            return false;
+        }
+    }
+
+    /**
+     * Deletes a saved value.
+     *
+     * @param {string} key The key (without the namespace).
+     */
+    remove(key) {
+        try {
+            this.backend.removeItem(this.namespacedKey(key));
+        } catch (e) {
+            this.report(key, "The data could not be deleted (" + e.message + ").");
+        }
+    }
+
+    /**
+     * Records a problem with the saved data.
+     *
+     * @param {string} key      The key (without the namespace) that has the problem.
+     * @param {string} message  What went wrong.
+     */
+    report(key, message) {
+        const problem = {key: key, message: message};
+        this.problems.push(problem);
+        this.onProblem(problem);
+    }
+
+    /**
+     * Moves unreadable data out of the way and reports it.
+     *
+     * @param {string} key      The key (without the namespace).
+     * @param {string} text     The saved text.
+     * @param {string} message  What is wrong with it.
+     */
+    #setAside(key, text, message) {
+        try {
+            this.backend.setItem(this.namespacedKey("corrupt:" + key), text);
+            this.backend.removeItem(this.namespacedKey(key));
+        } catch (e) {
+            // The report below is all that can be done
+        }
+        this.report(key, message + " Using the defaults instead.");
+    }
+}
+
+/**
+ * Checks whether a value is a plain object (not null or an array).
+ *
+ * @param {*} value The value to check.
+ * @returns {boolean} True for objects like {a: 1}.
+ */
+export function isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Checks whether a saved setting has the same kind of value as its default.
+ * 
+ * Sliders save their values as text, so numbers can be saved as numeric strings.
+ * 
+ * @param {*} defaultValue  The setting's default value.
+ * @param {*} value         The saved value.
+ * @returns {boolean} True if the value can be used.
+ */
+export function isValidSetting(defaultValue, value) {
+    if (typeof defaultValue === "number") {
+        return (typeof value === "number" || (typeof value === "string" && value.trim() != "")) && Number.isFinite(Number(value));
+    }
+    return typeof value === typeof defaultValue;
+}
+
+/**
+ * Reads an action's bindings as saved by older versions.
+ *
+ * @param {string} savedValue A JSON list of keys, or a single key from before actions had several bindings.
+ * @returns {string[]} The keys.
+ */
+function parseLegacyKeys(savedValue) {
+    try {
+        const keys = JSON.parse(savedValue);
+        if (Array.isArray(keys)) {
+            return keys.filter((key) => typeof key === "string");
+        }
+    } catch (e) {
+        // Not JSON, so it is a single key
+    }
+    return [savedValue];
+}
+
+/**
+ * The storage shared by the whole game.
+ *
+ * @type {QuadtrisStorage}
+ */
+export const storage = new QuadtrisStorage();
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview The color themes for the game board: the piece colors, the ghost piece, the background,
+ * and the texture drawn on every block. Some themes use palettes that stay distinct with common kinds of color blindness.
+ *
+ * Colors are red, green and blue values (0-255).
+ *
+ * @author Alex Wills
+ */
+
+/**
+ * The piece colors of the original theme.
+ *
+ * @type {Object<string, number[]>}
+ */
+const CLASSIC_COLORS = {
+    Z: [255, 0, 0],
+    S: [0, 255, 0],
+    O: [255, 255, 0],
+    J: [0, 0, 255],
+    T: [180, 90, 246],
+    I: [0, 255, 255],
+    L: [255, 140, 40]
+};
+
+/**
+ * The available themes, by name.
+ *
+ * Each theme has a label to show the player, and:
+ * - pieceColors    The color of each piece shape's blocks.
+ * - garbageColor   The color of garbage blocks.
+ * - ghost          How to draw the ghost piece: its outline color (or null to use the piece's color), and how strongly
+ *                  to fill the inside with that color (0 = background only, 1 = solid).
+ * - background     The color of the empty grid.
+ * - blockTexture   The image drawn on every block (tinted with its color), or null for flat blocks with a border.
+ *
+ * @type {Object<string, {label: string, pieceColors: Object<string, number[]>, garbageColor: number[],
+ *      ghost: {color: number[] | null, fill: number}, background: number[], blockTexture: string | null}>}
+ */
+export const themes = {
+    classic: {
+        label: "Classic",
+        pieceColors: CLASSIC_COLORS,
+        garbageColor: [110, 110, 110],
+        ghost: {color: [170, 170, 170], fill: 0},
+        background: [102, 102, 102],
+        blockTexture: "textures/block.png"
+    },
+    okabeIto: {
+        label: "Colorblind safe (Okabe-Ito)",
+        // The Okabe-Ito palette stays distinct with red-green and blue-yellow color blindness
+        pieceColors: {
+            Z: [213, 94, 0],
+            S: [0, 158, 115],
+            O: [240, 228, 66],
+            J: [0, 114, 178],
+            T: [204, 121, 167],
+            I: [86, 180, 233],
+            L: [230, 159, 0]
+        },
+        garbageColor: [120, 120, 120],
+        ghost: {color: null, fill: 0.2},
+        background: [50, 50, 50],
+        blockTexture: "textures/block.png"
+    },
+    tolBright: {
+        label: "Colorblind safe (Tol bright)",
+        // Paul Tol's bright palette, designed to stay distinct with color blindness
+        pieceColors: {
+            Z: [238, 102, 119],
+            S: [34, 136, 51],
+            O: [204, 187, 68],
+            J: [68, 119, 170],
+            T: [170, 51, 119],
+            I: [102, 204, 238],
+            L: [187, 187, 187]
+        },
+        garbageColor: [85, 85, 85],
+        ghost: {color: null, fill: 0.2},
+        background: [40, 40, 40],
+        blockTexture: null
+    },
+    highContrast: {
+        label: "High contrast",
+        pieceColors: CLASSIC_COLORS,
+        garbageColor: [150, 150, 150],
+        ghost: {color: [255, 255, 255], fill: 0.15},
+        background: [0, 0, 0],
+        blockTexture: null
+    },
+    monochrome: {
+        label: "Monochrome (use with patterns)",
+        // Shades of grey, from light to dark, so the pieces differ by brightness
+        pieceColors: {
+            Z: [120, 120, 120],
+            S: [165, 165, 165],
+            O: [245, 245, 245],
+            J: [95, 95, 95],
+            T: [145, 145, 145],
+            I: [220, 220, 220],
+            L: [190, 190, 190]
+        },
+        garbageColor: [70, 70, 70],
+        ghost: {color: [200, 200, 200], fill: 0},
+        background: [30, 30, 30],
+        blockTexture: "textures/block.png"
+    }
+};
+
+/**
+ * The pattern drawn on each piece shape's blocks when patterns are turned on, so the pieces can be told apart
+ * without color: 1 = dot, 2 = horizontal bar, 3 = vertical bar, 4 = diagonal, 5 = cross, 6 = ring, 7 = square.
+ * Garbage has no pattern (0).
+ *
+ * @type {Object<string, number>}
+ */
+export const piecePatterns = {T: 1, I: 2, Z: 3, S: 4, L: 5, J: 6, O: 7};
+
+/**
+ * Finds a theme by name.
+ *
+ * @param {string} name The name of the theme (a key of {@link themes}). Unknown names fall back to classic.
+ * @returns {Object} The theme.
+ */
+export function getTheme(name) {
+    return themes[name] ?? themes.classic;
+}
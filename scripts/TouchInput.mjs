@@ -9,10 +9,12 @@ export class TouchInput {
     leftQueue = 0;  // How many "left" inputs the user has activated (resets on touch release or change in swipe direction)
     rightQueue = 0; // How many "right" inputs the user has activated (resets on touch release or change in swipe direction)
     moveDown = false;   // True if the user has swiped down (resets on touch release or change in swipe direction (including upwards))
-    // Whether the left or right half of the screen has been "tapped" (does not reset! manually reset after processing the rotation)
+    // Whether the left or right half of the screen has been "tapped", or tapped with 2 fingers for a 180 degree turn
+    // (does not reset! manually reset after processing the rotation)
     rotate = {
         left: false,
-        right: false
+        right: false,
+        half: false
     }
     hardDrop = false;   // True if the user has flicked down (hard drop) and released (does not reset! reset manually after processing)
     hold = false;       // True if the user has tapped the area to hold a piece.
@@ -36,6 +38,7 @@ export class TouchInput {
     };
     #tapStart;
     #tapIsLeft = false;
+    #tapIsTwoFingers = false;
     
     /**
      * Creates and sets up an object to manage touch inputs.
@@ -59,6 +62,11 @@ export class TouchInput {
      * @param {TouchEvent} event 
      */
     touchStart(event) {
+        // A second finger landing during a tap turns it into a 2 finger tap
+        if (this.#currentTouchId !== null && event.touches.length > 1) {
+            this.#tapIsTwoFingers = true;
+        }
+
         if (this.#currentTouchId === null && event.target.closest(".blockGestures") === null) {
             let mainTouch = event.touches.item(0);
             this.#currentTouchId = mainTouch.identifier;
@@ -66,6 +74,7 @@ export class TouchInput {
             this.#prevAnchorY = mainTouch.pageY;
             this.#prevPageX = mainTouch.pageX;
             this.#tapStart = Date.now();
+            this.#tapIsTwoFingers = event.touches.length > 1;
             
             // Get which half the tap is on (used for rotating clockwise/anticlockwise)
             this.#tapIsLeft = (mainTouch.clientX < this.#parent.getBoundingClientRect().x + this.#parent.getBoundingClientRect().width * 0.5); 
@@ -84,8 +93,8 @@ export class TouchInput {
      * @param {TouchEvent} event 
      */
     touchEnd(event) {
-        // See if our main touch has been released
-        let released = true;
+        // See if our main touch has been released (other fingers, like the second finger of a 2 finger tap, are ignored)
+        let released = this.#currentTouchId !== null;
         for (let i = 0; i < event.touches.length && released; i++) {
             if (event.touches.item(i).identifier === this.#currentTouchId) {
                 released = false;
@@ -96,7 +105,9 @@ export class TouchInput {
             // Process a tap for detecting rotation
             if (Date.now() - this.#tapStart < 300 && this.leftQueue == 0 && this.rightQueue == 0) {
                 // Rotate event
-                if (this.#tapIsLeft) {
+                if (this.#tapIsTwoFingers) {
+                    this.rotate.half = true;
+                } else if (this.#tapIsLeft) {
                     this.rotate.left = true;
                 } else {
                     this.rotate.right = true;
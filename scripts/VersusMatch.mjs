@@ -0,0 +1,262 @@
+/**
+ * @fileoverview Contains a class definition for VersusMatch, which plays 2 games against each other,
+ * and the attack table that decides how many garbage rows a placement sends.
+ *
+ * @author Alex Wills
+ */
+import { createRNG, generateSeed } from './PieceRandomizer.mjs';
+
+/**
+ * The number of garbage rows sent for each kind of placement.
+ *
+ * Line clears, T-spins and mini T-spins are indexed by the number of lines cleared,
+ * and combos are indexed by the combo count (using the last value for longer combos).
+ *
+ * @type {{lines: number[], tSpin: number[], tSpinMini: number[], backToBack: number, combo: number[], perfectClear: number}}
+ */
+export const attackTable = {
+    lines: [0, 0, 1, 2, 4],
+    tSpin: [0, 2, 4, 6],
+    tSpinMini: [0, 0, 1],
+    backToBack: 1,      // Added to a back-to-back Tetris or T-spin
+    combo: [0, 0, 1, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5],
+    perfectClear: 10    // Added to the rest of the attack
+};
+
+/**
+ * Works out how many garbage rows a placement sends to the opponent.
+ *
+ * @param {Object} placement A placement, as recorded in {@link QuadtrisGame.gameState}.lastPlacement.
+ * @returns {number} The number of garbage rows to send.
+ */
+export function calculateAttack(placement) {
+    if (placement.lines == 0) {
+        return 0;
+    }
+
+    let attack;
+    if (placement.tSpin == "full") {
+        attack = attackTable.tSpin[placement.lines];
+    } else if (placement.tSpin == "mini") {
+        attack = attackTable.tSpinMini[placement.lines];
+    } else {
+        attack = attackTable.lines[placement.lines];
+    }
+    attack ??= 0;
+
+    if (placement.backToBack) {
+        attack += attackTable.backToBack;
+    }
+    attack += attackTable.combo[Math.min(placement.combo, attackTable.combo.length - 1)];
+    if (placement.perfectClear) {
+        attack += attackTable.perfectClear;
+    }
+    return attack;
+}
+
+/**
+ * Runs a local versus match between 2 games.
+ *
+ * Both players get the same pieces. Clearing lines sends garbage rows to the opponent, which wait in the
+ * opponent's incoming garbage meter. Clearing lines with garbage waiting cancels it out first, and any garbage
+ * still waiting rises into the grid when the player places a piece without clearing lines.
+ * The first player to top out loses.
+ *
+ * @example
+ * let match = new VersusMatch([new QuadtrisGame(), new QuadtrisGame()]);
+ * match.start();
+ * // Every tick
+ * match.games[0].input.hardDrop = true;
+ * match.runTick();
+ */
+export class VersusMatch {
+
+    /**
+     * Default values for {@link VersusMatch.options}.
+     *
+     * @static
+     */
+    static defaultOptions = {
+        /**
+         * The seed for the pieces and the garbage holes, or null to pick a new seed for every match.
+         * @type {number | null}
+         */
+        seed: null,
+
+        /**
+         * The most garbage rows that can rise into the grid after a single placement.
+         * The rest stays in the meter for the next placement.
+         * @type {number}
+         */
+        garbageCap: 8
+    }
+
+    /**
+     * Settings for the match. Changes take effect when {@link VersusMatch.start()} is called.
+     *
+     * @see {@link VersusMatch.defaultOptions}
+     */
+    options;
+
+    /**
+     * The 2 players' games.
+     *
+     * @type {QuadtrisGame[]}
+     */
+    games;
+
+    /**
+     * The garbage waiting to rise into each player's grid, oldest first.
+     * Each attack's rows share the same hole.
+     *
+     * @type {{rows: number, holeColumn: number}[][]}
+     */
+    incomingGarbage = [[], []];
+
+    /**
+     * The total number of garbage rows each player has sent.
+     *
+     * @type {number[]}
+     */
+    linesSent = [0, 0];
+
+    /**
+     * The index of the player who won (0 or 1), -1 if both players topped out on the same tick,
+     * or null while the match is being played.
+     *
+     * @type {number | null}
+     */
+    winner = null;
+
+    /** Picks the column of the hole in each attack. @type {function(): number} */
+    #random = Math.random;
+
+    /** The number of pieces each player had placed at the end of the last tick. @type {number[]} */
+    #piecesPlaced = [0, 0];
+
+    /**
+     * @param {QuadtrisGame[]}  games   The 2 players' games. Their options are kept, except for the seed.
+     * @param {Object}          options Settings to override in {@link VersusMatch.defaultOptions}.
+     */
+    constructor(games, options = {}) {
+        this.games = games;
+        this.options = {...VersusMatch.defaultOptions, ...options};
+    }
+
+    /**
+     * Whether the match has been decided and the loser's game over animation has finished.
+     *
+     * @type {boolean}
+     */
+    get isFinished() {
+        return this.winner !== null && this.games.every((game, player) => player == this.winner || game.gameState.gameOver);
+    }
+
+    /**
+     * Starts a new game for both players, with the same pieces.
+     */
+    start() {
+        const seed = this.options.seed ?? generateSeed();
+        this.#random = createRNG(seed);
+        for (const game of this.games) {
+            game.options.seed = seed;
+            game.startNewGame();
+        }
+        this.incomingGarbage = [[], []];
+        this.linesSent = [0, 0];
+        this.winner = null;
+        this.#piecesPlaced = [0, 0];
+    }
+
+    /**
+     * Pauses or resumes both games.
+     *
+     * @param {boolean} pause Whether the games should be paused.
+     */
+    pause(pause) {
+        for (const game of this.games) {
+            game.pauseGame(pause);
+        }
+    }
+
+    /**
+     * Runs 1 tick of both games with their inputs, then trades the garbage from any placed pieces.
+     *
+     * Once a player has won, their game stops so the loser's game over animation can finish.
+     */
+    runTick() {
+        this.games.forEach((game, player) => {
+            if (player !== this.winner) {
+                game.runTick();
+            }
+        });
+        if (this.winner !== null) {
+            return;
+        }
+
+        this.games.forEach((game, player) => {
+            if (game.gameState.piecesPlaced != this.#piecesPlaced[player]) {
+                this.#piecesPlaced[player] = game.gameState.piecesPlaced;
+                this.#resolvePlacement(player);
+            }
+        });
+
+        const toppedOut = this.games.map((game) => game.isToppedOut);
+        if (toppedOut[0] && toppedOut[1]) {
+            this.winner = -1;
+        } else if (toppedOut[0] || toppedOut[1]) {
+            this.winner = toppedOut[0] ? 1 : 0;
+        }
+    }
+
+    /**
+     * Counts the garbage rows waiting to rise into a player's grid.
+     *
+     * @param {number} player The player's index (0 or 1).
+     * @returns {number} The number of rows.
+     */
+    getIncomingRows(player) {
+        return this.incomingGarbage[player].reduce((total, attack) => total + attack.rows, 0);
+    }
+
+    /**
+     * Sends or receives garbage after a player places a piece.
+     *
+     * A piece that clears lines cancels the player's incoming garbage with its attack, and sends the rest
+     * to the opponent. A piece that does not clear lines lets the incoming garbage rise, up to the cap.
+     *
+     * @param {number} player The index of the player who placed the piece.
+     */
+    #resolvePlacement(player) {
+        const game = this.games[player];
+        const incoming = this.incomingGarbage[player];
+
+        if (game.gameState.lastPlacement.lines > 0) {
+            let attack = calculateAttack(game.gameState.lastPlacement);
+            while (attack > 0 && incoming.length > 0) {
+                const cancelled = Math.min(attack, incoming[0].rows);
+                attack -= cancelled;
+                incoming[0].rows -= cancelled;
+                if (incoming[0].rows == 0) {
+                    incoming.shift();
+                }
+            }
+            if (attack > 0) {
+                this.incomingGarbage[1 - player].push({rows: attack, holeColumn: Math.floor(this.#random() * 10)});
+                this.linesSent[player] += attack;
+            }
+            return;
+        }
+
+        let risingRows = this.options.garbageCap;
+        while (risingRows > 0 && incoming.length > 0 && !game.isToppedOut) {
+            const rows = Math.min(risingRows, incoming[0].rows);
+            game.addGarbageRows(rows, {holes: incoming[0].holeColumn});
+            risingRows -= rows;
+            incoming[0].rows -= rows;
+            if (incoming[0].rows == 0) {
+                incoming.shift();
+            }
+        }
+    }
+}
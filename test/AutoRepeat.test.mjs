@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Tests for the DAS/ARR timing of held buttons.
+ *
+ * @author Alex Wills
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { AutoRepeat } from "../scripts/AutoRepeat.mjs";
+
+describe("auto-repeat", () => {
+    it("acts once on press, then waits for the DAS", () => {
+        const repeat = new AutoRepeat(100, 20);
+        repeat.press(1000);
+        assert.equal(repeat.update(1000), 1);
+        assert.equal(repeat.update(1050), 0);
+        assert.equal(repeat.update(1099), 0);
+        assert.equal(repeat.update(1100), 1);
+    });
+
+    it("repeats every ARR, several times per update if needed", () => {
+        const repeat = new AutoRepeat(100, 10);
+        repeat.press(0);
+        repeat.update(0);
+        repeat.update(100);
+        // 33 ms later, 3 more repeats are due
+        assert.equal(repeat.update(133), 3);
+        assert.equal(repeat.update(140), 1);
+    });
+
+    it("uses the press time rather than the update time", () => {
+        const repeat = new AutoRepeat(100, 50);
+        // Pressed partway between two updates
+        repeat.press(1010);
+        assert.equal(repeat.update(1033), 1);
+        assert.equal(repeat.update(1100), 0);
+        assert.equal(repeat.update(1133), 1);
+    });
+
+    it("moves as far as possible with an ARR of 0", () => {
+        const repeat = new AutoRepeat(50, 0, 10);
+        repeat.press(0);
+        assert.equal(repeat.update(0), 1);
+        assert.equal(repeat.update(50), 10);
+        assert.equal(repeat.update(60), 10);
+    });
+
+    it("stops when released, and restarts on a new press", () => {
+        const repeat = new AutoRepeat(100, 20);
+        repeat.setPressTime(0);
+        repeat.update(0);
+        repeat.setPressTime(null);
+        assert.equal(repeat.isHeld, false);
+        assert.equal(repeat.update(500), 0);
+
+        repeat.setPressTime(600);
+        assert.equal(repeat.update(600), 1);
+        // The same press time does not count as a new press
+        repeat.setPressTime(600);
+        assert.equal(repeat.update(610), 0);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Tests for saving, switching, migrating, and sharing control profiles.
+ *
+ * @author Alex Wills
+ */
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ControlProfiles, builtInProfiles } from "../scripts/ControlProfiles.mjs";
+import { QuadtrisInput } from "../scripts/QuadtrisInput.mjs";
+import { storage } from "../scripts/Storage.mjs";
+import { MemoryStorage } from "./helpers.mjs";
+
+describe("control profiles", () => {
+    beforeEach(() => {
+        globalThis.localStorage = new MemoryStorage();
+        storage.onProblem = () => {};
+    });
+
+    it("starts with the built-in profiles", () => {
+        const profiles = new ControlProfiles("Arrows");
+        assert.deepEqual(profiles.names, Object.keys(builtInProfiles));
+        assert.equal(profiles.activeName, "Arrows");
+
+        const input = new QuadtrisInput();
+        profiles.applyBindings(input);
+        assert.equal(input.keyToState("ArrowLeft"), "moveLeft");
+        assert.equal(input.keyToState(" "), "hardDrop");
+    });
+
+    it("saves changes to the active profile between sessions", () => {
+        const profiles = new ControlProfiles();
+        profiles.create("Mine");
+        profiles.updateActive({bindings: {hold: ["C"]}, settings: {keyboardDas: 100, lockDelay: 900}});
+
+        const reloaded = new ControlProfiles();
+        assert.equal(reloaded.activeName, "Mine");
+        assert.deepEqual(reloaded.active.bindings.hold, ["C"]);
+        assert.equal(reloaded.active.settings.keyboardDas, 100);
+        // Gameplay settings are not part of a profile
+        assert.equal("lockDelay" in reloaded.active.settings, false);
+        assert.deepEqual(reloaded.profiles["Keyboard WASD"].bindings.hold, builtInProfiles["Keyboard WASD"].bindings.hold);
+    });
+
+    it("resets built-in profiles instead of deleting them", () => {
+        const profiles = new ControlProfiles();
+        profiles.updateActive({settings: {buttonArr: 0}});
+        assert.equal(profiles.remove("Keyboard WASD"), true);
+        assert.equal(profiles.active.settings.buttonArr, builtInProfiles["Keyboard WASD"].settings.buttonArr);
+
+        profiles.create("Extra");
+        assert.equal(profiles.remove("Extra"), true);
+        assert.equal("Extra" in profiles.profiles, false);
+        assert.equal(profiles.activeName, "Keyboard WASD");
+    });
+
+    it("keeps a separate profile for each versus player", () => {
+        const profiles = new ControlProfiles();
+        const left = new QuadtrisInput();
+        const right = new QuadtrisInput();
+        profiles.applyBindings(left, profiles.versusNames[0]);
+        profiles.applyBindings(right, profiles.versusNames[1]);
+        // Both players can share a keyboard
+        for (const key of ["A", "D", "W", "S", "Q", "F", "G", "R"]) {
+            assert.notEqual(left.keyToState(key), undefined);
+            assert.equal(right.keyToState(key), undefined);
+        }
+        assert.equal(right.keyToState("ArrowLeft"), "moveLeft");
+
+        profiles.create("Mine");
+        profiles.selectVersus(1, "Mine");
+        assert.deepEqual(new ControlProfiles().versusNames, ["Versus Left", "Mine"]);
+
+        profiles.remove("Mine");
+        assert.deepEqual(profiles.versusNames, ["Versus Left", "Versus Right"]);
+    });
+
+    it("moves controls saved by older versions into a profile", () => {
+        localStorage.setItem("moveLeft", "J");
+        localStorage.setItem("hardDrop", JSON.stringify(["I", "Gamepad:Button12"]));
+        localStorage.setItem("settings", JSON.stringify({keyboardDas: 120, keyboardArr: "abc", startLevel: 5}));
+        storage.migrate();
+
+        const profiles = new ControlProfiles();
+        assert.equal(profiles.activeName, "My Controls");
+        assert.deepEqual(profiles.active.bindings.moveLeft, ["J"]);
+        assert.deepEqual(profiles.active.bindings.hardDrop, ["I", "Gamepad:Button12"]);
+        assert.equal(profiles.active.settings.keyboardDas, 120);
+        // Settings that are not valid use the default straight away
+        assert.equal(profiles.active.settings.keyboardArr, builtInProfiles["Keyboard WASD"].settings.keyboardArr);
+        assert.equal(localStorage.getItem("moveLeft"), null);
+        assert.equal(localStorage.getItem("quadtris:legacyBindings"), null);
+        // The other settings stay where they were
+        assert.notEqual(localStorage.getItem("quadtris:settings"), null);
+    });
+
+    it("exports and imports profiles as JSON", () => {
+        const profiles = new ControlProfiles();
+        profiles.updateActive({bindings: {rotate180: ["Q"]}});
+        const text = profiles.exportProfile("Keyboard WASD");
+
+        const name = profiles.importProfile(text);
+        assert.equal(name, "Keyboard WASD (2)");
+        assert.equal(profiles.activeName, name);
+        assert.deepEqual(profiles.active.bindings.rotate180, ["Q"]);
+
+        assert.throws(() => profiles.importProfile("not json"), /not a Quadtris control profile/);
+        assert.throws(() => profiles.importProfile(JSON.stringify({format: "quadtris-controls", version: 99})), /different version/);
+    });
+
+    it("uses the defaults for imported settings that are not valid", () => {
+        const profiles = new ControlProfiles();
+        const exported = JSON.parse(profiles.exportProfile("Keyboard WASD"));
+        exported.settings.keyboardDas = "fast";
+        exported.settings.keyboardArr = 50;
+        exported.settings.gestureEnable = "yes";
+
+        const name = profiles.importProfile(JSON.stringify(exported));
+        const defaults = builtInProfiles["Keyboard WASD"].settings;
+        assert.equal(profiles.profiles[name].settings.keyboardDas, defaults.keyboardDas);
+        assert.equal(profiles.profiles[name].settings.gestureEnable, defaults.gestureEnable);
+        assert.equal(profiles.profiles[name].settings.keyboardArr, 50);
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Tests for the effects drawn over the board from a game's events.
+ *
+ * @author Alex Wills
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { EffectsLayer } from "../scripts/EffectsLayer.mjs";
+
+/** Every block ID drawn in its own color. @type {Map<number, number[]>} */
+const colorMap = new Map([[1, [255, 0, 0]], [6, [0, 255, 255]], [8, [110, 110, 110]]]);
+
+/**
+ * Makes a line clear event for full rows of garbage.
+ *
+ * @param {number[]} rows The y indices of the rows.
+ * @returns {Object} The event (see {@link QuadtrisGame.events}).
+ */
+function lineClear(rows) {
+    return {type: "lineClear", rows: rows, cells: rows.map(() => new Array(10).fill(8)), tSpin: "none", perfectClear: false};
+}
+
+/**
+ * Reads the overlay alpha (0-255) of a cell.
+ *
+ * @param {Uint8Array}  rgbaData    The overlay.
+ * @param {number}      x           The x index of the cell.
+ * @param {number}      y           The y index of the cell.
+ * @returns {number} The alpha.
+ */
+function alphaAt(rgbaData, x, y) {
+    return rgbaData[4 * (10 * y + x) + 3];
+}
+
+/**
+ * Draws a layer's effects into a new overlay.
+ *
+ * @param {EffectsLayer}    effects The effects to draw.
+ * @param {number}          time    The time to draw them at.
+ * @returns {Uint8Array} The overlay.
+ */
+function draw(effects, time) {
+    const rgbaData = new Uint8Array(4 * 10 * 20);
+    effects.update(time);
+    effects.drawCells(rgbaData, time, colorMap);
+    return rgbaData;
+}
+
+describe("line clear effects", () => {
+    it("flashes the cleared rows white, then dissolves them", () => {
+        const effects = new EffectsLayer({random: () => 0.5});
+        effects.addEvents([lineClear([0])], 0);
+
+        const flash = draw(effects, 10);
+        assert.deepEqual([...flash.slice(0, 4)], [255, 255, 255, 255]);
+        assert.equal(alphaAt(flash, 0, 1), 0);
+
+        const end = EffectsLayer.durations.lineClear;
+        assert.ok(alphaAt(draw(effects, end - 10), 0, 0) < 50);
+        draw(effects, end);
+        assert.equal(effects.isActive, false);
+    });
+
+    it("dissolves cells at different times", () => {
+        let next = 0;
+        const effects = new EffectsLayer({random: () => (next++ % 10) / 10});
+        effects.addEvents([lineClear([0])], 0);
+
+        const middle = draw(effects, EffectsLayer.durations.lineClear * 0.6);
+        assert.ok(alphaAt(middle, 9, 0) > alphaAt(middle, 0, 0));
+    });
+
+    it("fades every cell together with reduced motion", () => {
+        let next = 0;
+        const effects = new EffectsLayer({reducedMotion: true, random: () => (next++ % 10) / 10});
+        effects.addEvents([lineClear([0])], 0);
+
+        const middle = draw(effects, EffectsLayer.durations.lineClear * 0.6);
+        assert.ok(alphaAt(middle, 0, 0) > 0);
+        assert.equal(alphaAt(middle, 0, 0), alphaAt(middle, 9, 0));
+    });
+});
+
+describe("piece effects", () => {
+    const blocks = [[4, 0], [5, 0], [4, 1], [5, 1]];
+
+    it("brightens a piece when it locks", () => {
+        const effects = new EffectsLayer();
+        effects.addEvents([{type: "lock", shape: 'O', blockType: 3, blocks: blocks}], 0);
+        const overlay = draw(effects, 0);
+        assert.ok(blocks.every(([x, y]) => alphaAt(overlay, x, y) > 0));
+        assert.equal(alphaAt(overlay, 4, 2), 0);
+    });
+
+    it("leaves a trail above a hard dropped piece that fades upwards", () => {
+        const effects = new EffectsLayer();
+        effects.addEvents([{type: "hardDrop", shape: 'I', blockType: 6, blocks: blocks, distance: 5}], 0);
+        const overlay = draw(effects, 0);
+
+        assert.equal(alphaAt(overlay, 4, 0), 0);
+        assert.ok(alphaAt(overlay, 4, 2) > alphaAt(overlay, 4, 6));
+        assert.equal(alphaAt(overlay, 4, 7), 0);
+        assert.deepEqual([...overlay.slice(4 * 24, 4 * 24 + 3)], [0, 255, 255]);
+    });
+
+    it("leaves out trails with reduced motion", () => {
+        const effects = new EffectsLayer({reducedMotion: true});
+        effects.addEvents([{type: "hardDrop", shape: 'I', blockType: 6, blocks: blocks, distance: 5}], 0);
+        assert.equal(effects.isActive, false);
+    });
+});
+
+describe("Tetris effects", () => {
+    it("bursts into particles that fall and fade", () => {
+        const effects = new EffectsLayer({random: () => 0.5});
+        effects.addEvents([lineClear([0, 1, 2, 3])], 0);
+        assert.equal(effects.particles.length, 40 * EffectsLayer.particlesPerCell);
+
+        effects.update(0);
+        effects.update(100);
+        assert.ok(effects.particles[0].alpha < 1);
+        assert.ok(effects.particles[0].vy < 9);
+        effects.update(EffectsLayer.durations.particle);
+        assert.equal(effects.particles.length, 0);
+    });
+
+    it("shakes the board, settling over time", () => {
+        const effects = new EffectsLayer();
+        effects.addEvents([lineClear([0, 1, 2, 3])], 0);
+        const [x, y] = effects.getShake(20);
+        assert.ok(Math.hypot(x, y) > 0);
+
+        effects.update(EffectsLayer.durations.shake);
+        assert.deepEqual(effects.getShake(EffectsLayer.durations.shake), [0, 0]);
+    });
+
+    it("only shakes and bursts for a Tetris, when they are turned on", () => {
+        const small = new EffectsLayer();
+        small.addEvents([lineClear([0, 1, 2])], 0);
+        assert.equal(small.particles.length, 0);
+        assert.deepEqual(small.getShake(20), [0, 0]);
+
+        for (const options of [{particles: false, screenShake: false}, {reducedMotion: true}]) {
+            const effects = new EffectsLayer(options);
+            effects.addEvents([lineClear([0, 1, 2, 3])], 0);
+            assert.equal(effects.particles.length, 0);
+            assert.deepEqual(effects.getShake(20), [0, 0]);
+        }
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Tests for the goals and timing of the game modes.
+ *
+ * @author Alex Wills
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { QuadtrisGame } from "../scripts/QuadtrisGame.mjs";
+import { gameModes, applyGameMode, applyDigSetup, getHighScoreKey, isRankedMode } from "../scripts/GameModes.mjs";
+import { setGrid, readGrid, givePiece, runTicks } from "./helpers.mjs";
+
+/**
+ * Starts a game in a mode.
+ *
+ * @param {string} modeName The name of the mode to play.
+ * @returns {QuadtrisGame} The running game.
+ */
+function createModeGame(modeName) {
+    const game = new QuadtrisGame({seed: 1});
+    applyGameMode(game, modeName);
+    game.startNewGame();
+    return game;
+}
+
+/**
+ * Waits for a number of ticks, then clears 4 lines with a vertical I piece in the rightmost column.
+ *
+ * @param {QuadtrisGame}    game    The game to play.
+ * @param {number}          ticks   The number of ticks to wait before the piece is dropped.
+ */
+function waitAndScoreTetris(game, ticks) {
+    setGrid(game, [
+        "X.........",
+        "XXXXXXXXX.",
+        "XXXXXXXXX.",
+        "XXXXXXXXX.",
+        "XXXXXXXXX."
+    ]);
+    givePiece(game, 'I');
+    game.tryRotatePiece(true);
+    game.tryMovePiece(4, 0);
+    runTicks(game, {}, ticks - 1);
+    runTicks(game, {hardDrop: true});
+}
+
+describe("game modes", () => {
+    it("sets the mode's rules as game options", () => {
+        const game = new QuadtrisGame();
+        applyGameMode(game, "sprint");
+        assert.equal(game.options.mode, "sprint");
+        assert.equal(game.options.lineGoal, gameModes.sprint.options.lineGoal);
+
+        applyGameMode(game, "not a mode");
+        assert.equal(game.options.mode, "marathon");
+        assert.equal(game.options.lineGoal, null);
+    });
+
+    it("finishes a sprint when the line goal is reached", () => {
+        const game = createModeGame("sprint");
+        for (let i = 0; i < 9; i++) {
+            waitAndScoreTetris(game, 10);
+        }
+        assert.equal(game.gameState.gameOver, false);
+
+        waitAndScoreTetris(game, 10);
+        assert.equal(game.gameState.linesCleared, 40);
+        assert.equal(game.gameState.gameOver, true);
+        assert.equal(game.gameState.goalReached, true);
+        assert.equal(game.gameState.ticksPlayed, 100);
+    });
+
+    it("records the time of every 10-line split", () => {
+        const game = createModeGame("sprint");
+        for (let i = 0; i < 5; i++) {
+            waitAndScoreTetris(game, 10);
+        }
+        // 10 lines after 3 Tetrises, 20 lines after 5
+        assert.deepEqual(game.gameState.splits, [30, 50]);
+    });
+
+    it("ends ultra when the time limit runs out", () => {
+        const game = createModeGame("ultra");
+        const limitTicks = Math.round(gameModes.ultra.options.timeLimit / game.gameTickTime);
+        waitAndScoreTetris(game, 10);
+        const score = game.gameState.score;
+
+        // Keep the grid empty so the stack never tops out
+        for (let tick = 10; tick < limitTicks - 1; tick++) {
+            setGrid(game, []);
+            runTicks(game);
+        }
+        assert.equal(game.gameState.gameOver, false);
+        runTicks(game);
+        assert.equal(game.gameState.gameOver, true);
+        assert.equal(game.gameState.goalReached, true);
+        assert.equal(game.gameState.ticksPlayed, limitTicks);
+        assert.ok(game.gameState.score >= score);
+    });
+
+    it("starts dig with garbage, and removes it for other modes", () => {
+        const game = new QuadtrisGame({seed: 1});
+        applyGameMode(game, "dig");
+        applyDigSetup(game.options, {rows: 6, messiness: 1, riseInterval: null});
+        game.startNewGame();
+        assert.equal(readGrid(game, 7).filter((row) => row.includes('X')).length, 6);
+        assert.equal(game.options.garbageLineGoal, 6);
+
+        applyGameMode(game, "marathon");
+        game.startNewGame();
+        assert.ok(game.gameState.gridData.every((row) => row == 0));
+    });
+
+    it("keeps a high score table for each dig setup", () => {
+        assert.equal(getHighScoreKey("marathon", gameModes.marathon.options), "highScores");
+        assert.equal(getHighScoreKey("not a mode", {}), "highScores");
+
+        const clean = {...gameModes.dig.options};
+        const rising = {...gameModes.dig.options};
+        applyDigSetup(rising, {rows: 10, messiness: 0, riseInterval: 4});
+        assert.equal(getHighScoreKey("dig", clean), "highScores_dig_10_0_null");
+        assert.notEqual(getHighScoreKey("dig", rising), getHighScoreKey("dig", clean));
+    });
+
+    it("keeps a separate high score table for other rotation systems", () => {
+        assert.equal(getHighScoreKey("sprint", {...gameModes.sprint.options, rotationSystem: "srs"}), "highScores_sprint");
+        assert.equal(getHighScoreKey("sprint", {...gameModes.sprint.options, rotationSystem: "ars"}), "highScores_sprint_ars");
+        assert.equal(getHighScoreKey("dig", {...gameModes.dig.options, rotationSystem: "classic"}), "highScores_dig_10_0_null_classic");
+    });
+
+    it("marks the competitive modes as ranked", () => {
+        assert.equal(isRankedMode("marathon"), false);
+        assert.equal(isRankedMode("sprint"), true);
+        assert.equal(isRankedMode("ultra"), true);
+        assert.equal(isRankedMode("dig"), true);
+        assert.equal(isRankedMode("not a mode"), false);
+    });
+
+    it("plays ranked modes with the standard rules, whatever the settings", () => {
+        for (const modeName of ["sprint", "ultra", "dig"]) {
+            const game = new QuadtrisGame({randomizer: "memoryless", levelCurve: "master", startLevel: 15, lockDelay: 2,
+                softDropFactor: 40, spawnDrop: true, entryDelay: 6, lineClearDelay: 12});
+            applyGameMode(game, modeName);
+            assert.equal(game.options.randomizer, "bag7");
+            assert.equal(game.options.levelCurve, "classic");
+            assert.equal(game.options.startLevel, 1);
+            assert.equal(game.options.lockDelay, 0.5);
+            assert.equal(game.options.softDropFactor, 20);
+            assert.equal(game.options.spawnDrop, false);
+            assert.equal(game.options.entryDelay, 0);
+            assert.equal(game.options.lineClearDelay, 0);
+        }
+
+        const marathon = new QuadtrisGame({startLevel: 15});
+        applyGameMode(marathon, "marathon");
+        assert.equal(marathon.options.startLevel, 15);
+    });
+
+    it("keeps playing marathon past 40 lines", () => {
+        const game = createModeGame("marathon");
+        for (let i = 0; i < 11; i++) {
+            waitAndScoreTetris(game, 1);
+        }
+        assert.equal(game.gameState.linesCleared, 44);
+        assert.equal(game.gameState.gameOver, false);
+        assert.equal(game.gameState.goalReached, false);
+    });
+});
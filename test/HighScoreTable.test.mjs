@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Tests for ranking, trimming and saving the high score tables.
+ *
+ * @author Alex Wills
+ */
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { HighScoreTable } from "../scripts/HighScoreTable.mjs";
+import { storage } from "../scripts/Storage.mjs";
+import { MemoryStorage } from "./helpers.mjs";
+
+/**
+ * Makes a run with only the values the rankings look at.
+ *
+ * @param {number}  score       The final score.
+ * @param {number}  duration    The length of the run (in seconds).
+ * @param {boolean} completed   Whether the run reached its goal.
+ * @returns {Object} The run (see {@link HighScoreTable.createRun()}).
+ */
+function makeRun(score, duration = 60, completed = true) {
+    return {score: score, lines: 0, maxLevel: 1, duration: duration, piecesPlaced: 0, completed: completed, splits: [], date: 0};
+}
+
+describe("high score table", () => {
+    beforeEach(() => {
+        globalThis.localStorage = new MemoryStorage();
+        storage.onProblem = () => {};
+    });
+
+    it("ranks runs by score, best first", () => {
+        const table = new HighScoreTable("highScores");
+        assert.equal(table.addRun(makeRun(100)), 0);
+        assert.equal(table.addRun(makeRun(300)), 0);
+        assert.equal(table.addRun(makeRun(200)), 1);
+        assert.deepEqual(table.entries.map((run) => run.score), [300, 200, 100]);
+        assert.equal(table.bestRun.score, 300);
+    });
+
+    it("puts a new run after older runs with the same score", () => {
+        const table = new HighScoreTable("highScores");
+        const older = makeRun(100);
+        table.addRun(older);
+        assert.equal(table.addRun(makeRun(100)), 1);
+        assert.equal(table.entries[0], older);
+    });
+
+    it("ranks only completed runs by time, fastest first", () => {
+        const table = new HighScoreTable("highScores_sprint", 10, "time");
+        assert.equal(table.qualifies(makeRun(0, 10, false)), false);
+        assert.equal(table.addRun(makeRun(0, 10, false)), -1);
+
+        table.addRun(makeRun(0, 90));
+        assert.equal(table.addRun(makeRun(0, 45)), 0);
+        assert.deepEqual(table.entries.map((run) => run.duration), [45, 90]);
+    });
+
+    it("keeps only the best runs when the table is full", () => {
+        const table = new HighScoreTable("highScores", 3);
+        for (const score of [300, 200, 100]) {
+            table.addRun(makeRun(score));
+        }
+
+        assert.equal(table.qualifies(makeRun(100)), false);
+        assert.equal(table.addRun(makeRun(50)), -1);
+        assert.equal(table.qualifies(makeRun(150)), true);
+        assert.equal(table.addRun(makeRun(150)), 2);
+        assert.deepEqual(table.entries.map((run) => run.score), [300, 200, 150]);
+    });
+
+    it("saves runs between sessions", () => {
+        new HighScoreTable("highScores").addRun(makeRun(100));
+        assert.deepEqual(new HighScoreTable("highScores").entries.map((run) => run.score), [100]);
+        assert.deepEqual(new HighScoreTable("highScores_ultra").entries, []);
+    });
+
+    it("loads at most the maximum number of runs", () => {
+        storage.write("highScores", [makeRun(300), makeRun(200), makeRun(100)]);
+        assert.deepEqual(new HighScoreTable("highScores", 2).entries.map((run) => run.score), [300, 200]);
+    });
+
+    it("starts empty and reports a damaged table", () => {
+        let reported = [];
+        storage.onProblem = (problem) => reported.push(problem.key);
+
+        storage.write("highScores", [makeRun(100), {score: "lots"}]);
+        assert.deepEqual(new HighScoreTable("highScores").entries, []);
+        assert.deepEqual(reported, ["highScores"]);
+    });
+
+    it("formats durations as minutes and seconds", () => {
+        assert.equal(HighScoreTable.formatDuration(65.28), "1:05.3");
+        assert.equal(HighScoreTable.formatDuration(65.28, 2), "1:05.28");
+        assert.equal(HighScoreTable.formatDuration(59.96), "1:00.0");
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Tests for the computer player's placement choices and the inputs it plays them with.
+ *
+ * @author Alex Wills
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { QuadtrisBot } from "../scripts/QuadtrisBot.mjs";
+import { createGame, setGrid, readGrid, givePiece } from "./helpers.mjs";
+
+/**
+ * The bottom of a grid with a well in the rightmost column, ready for a Tetris.
+ *
+ * @type {string[]}
+ */
+const tetrisReady = [
+    "XXXXXXXXX.",
+    "XXXXXXXXX.",
+    "XXXXXXXXX.",
+    "XXXXXXXXX."
+];
+
+/**
+ * Lets a bot play until a number of pieces have been placed (or the game ends).
+ *
+ * @param {QuadtrisBot} bot         The bot to run.
+ * @param {number}      pieces      The number of pieces to place.
+ * @param {number}      maxTicks    The most ticks to run.
+ */
+function playPieces(bot, pieces, maxTicks = 10000) {
+    const gameState = bot.game.gameState;
+    const target = gameState.piecesPlaced + pieces;
+    for (let tick = 0; tick < maxTicks && gameState.piecesPlaced < target && !gameState.gameOver; tick++) {
+        bot.update();
+        bot.game.runTick();
+    }
+}
+
+describe("placement search", () => {
+    it("drops the I piece into the well for a Tetris", () => {
+        const game = createGame();
+        setGrid(game, tetrisReady);
+        givePiece(game, 'I');
+        const placement = new QuadtrisBot(game).findBestPlacement();
+
+        assert.equal(placement.hold, false);
+        assert.equal(placement.lines, 4);
+        assert.ok(placement.blocks.every((block) => block[0] == 9));
+    });
+
+    it("holds when the other piece fits better", () => {
+        const game = createGame();
+        setGrid(game, tetrisReady);
+        givePiece(game, 'O');
+        game.gameState.heldPiece = 'I';
+        const placement = new QuadtrisBot(game).findBestPlacement();
+
+        assert.equal(placement.hold, true);
+        assert.equal(placement.shape, 'I');
+        assert.equal(new QuadtrisBot(game, {useHold: false}).findBestPlacement().hold, false);
+    });
+
+    it("sometimes picks a worse placement at a low difficulty", () => {
+        const game = createGame();
+        setGrid(game, tetrisReady);
+        givePiece(game, 'I');
+        const bot = new QuadtrisBot(game, {seed: 5});
+        let mistakes = 0;
+        for (let i = 0; i < 20; i++) {
+            mistakes += bot.findBestPlacement(0).lines < 4 ? 1 : 0;
+        }
+        assert.ok(mistakes > 0);
+    });
+});
+
+describe("bot inputs", () => {
+    it("plays its placement with the game's inputs", () => {
+        const game = createGame();
+        setGrid(game, tetrisReady);
+        givePiece(game, 'I');
+        const bot = new QuadtrisBot(game, {thinkDelay: 0, moveDelay: 0});
+        playPieces(bot, 1, 100);
+
+        assert.equal(game.gameState.piecesPlaced, 1);
+        assert.equal(game.gameState.linesCleared, 4);
+        assert.deepEqual(readGrid(game, 1), [".........."]);
+    });
+
+    it("waits between inputs at slower speeds", () => {
+        const fast = new QuadtrisBot(createGame(), {thinkDelay: 0, moveDelay: 0, seed: 1});
+        const slow = new QuadtrisBot(createGame(), {thinkDelay: 10, moveDelay: 5, seed: 1});
+        playPieces(fast, 5);
+        playPieces(slow, 5);
+        assert.ok(slow.game.gameState.ticksPlayed > fast.game.gameState.ticksPlayed);
+    });
+
+    it("keeps clearing lines without topping out", () => {
+        const bot = new QuadtrisBot(createGame({seed: 7}), {thinkDelay: 0, moveDelay: 0, seed: 1});
+        playPieces(bot, 100);
+
+        assert.equal(bot.game.gameState.gameOver, false);
+        assert.equal(bot.game.gameState.piecesPlaced, 100);
+        assert.ok(bot.game.gameState.linesCleared >= 30);
+    });
+
+    it("plays with every rotation system", () => {
+        for (const rotationSystem of ["classic", "ars"]) {
+            const bot = new QuadtrisBot(createGame({seed: 7, rotationSystem: rotationSystem}), {thinkDelay: 0, moveDelay: 0, seed: 1});
+            playPieces(bot, 50);
+
+            assert.equal(bot.game.gameState.gameOver, false);
+            assert.ok(bot.game.gameState.linesCleared >= 10);
+        }
+    });
+});
@@ -0,0 +1,958 @@
+/**
+ * @fileoverview Tests for the rules of QuadtrisGame, run headlessly with `npm test`.
+ *
+ * @author Alex Wills
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { QuadtrisGame } from "../scripts/QuadtrisGame.mjs";
+import { createGame, setGrid, readGrid, encodeRow, givePiece, movePieceTo, runTicks, sortedBlocks } from "./helpers.mjs";
+
+/**
+ * Moves a piece straight down by a number of rows, without checking for collisions.
+ *
+ * @param {QuadPiece} piece The piece to move.
+ * @param {number} rows The number of rows to move down.
+ */
+function lowerPiece(piece, rows) {
+    for (const block of piece.blocks) {
+        block[1] -= rows;
+    }
+}
+
+describe("spawning", () => {
+    it("starts a new game with an empty grid and a full queue", () => {
+        const game = createGame();
+        assert.equal(game.gameState.gameOver, false);
+        assert.equal(game.gameState.isPaused, false);
+        assert.ok(game.gameState.gridData.every((row) => row == 0));
+        assert.ok(game.gameState.pieceQueue.length >= 7);
+        assert.equal(game.gameState.heldPiece, null);
+        assert.equal(game.gameState.score, 0);
+        assert.equal(game.gameState.speedLevel, 1);
+    });
+
+    it("spawns the next piece in the queue at the top middle of the grid", () => {
+        const game = createGame();
+        const nextShape = game.gameState.pieceQueue[0];
+        setGrid(game, ["X.........", "X.........", "XXXXXXXXX."]);
+        givePiece(game, 'O');
+        runTicks(game, {hardDrop: true});
+
+        const piece = game.gameState.playerPiece;
+        assert.equal(piece.shape, nextShape);
+        assert.equal(piece.rotationIndex, 0);
+        for (const [x, y] of piece.blocks) {
+            assert.ok(x >= 3 && x <= 6, "block x " + x + " is not in the middle");
+            assert.ok(y >= 19 && y <= 20, "block y " + y + " is not at the top");
+        }
+    });
+
+    it("produces the same pieces from the same seed", () => {
+        for (const randomizer of ["bag7", "bag14", "memoryless", "history"]) {
+            const first = createGame({seed: 1234, randomizer: randomizer});
+            const second = createGame({seed: 1234, randomizer: randomizer});
+            assert.equal(first.gameState.playerPiece.shape, second.gameState.playerPiece.shape);
+            assert.deepEqual(first.gameState.pieceQueue, second.gameState.pieceQueue);
+        }
+    });
+
+    it("deals every shape once per 7 pieces with the 7-bag randomizer", () => {
+        const game = createGame({seed: 99, randomizer: "bag7"});
+        const pieces = [game.gameState.playerPiece.shape, ...game.gameState.pieceQueue.slice(0, 6)];
+        assert.deepEqual([...pieces].sort(), ['I', 'J', 'L', 'O', 'S', 'T', 'Z']);
+    });
+});
+
+describe("movement", () => {
+    it("drops new pieces 1 cell when they appear, if spawn drop is on", () => {
+        const normal = createGame();
+        const dropped = createGame({spawnDrop: true});
+        assert.equal(dropped.gameState.playerPiece.blocks[0][1], normal.gameState.playerPiece.blocks[0][1] - 1);
+    });
+
+
+    it("moves the piece left and right until it hits a wall", () => {
+        const game = createGame();
+        setGrid(game, []);
+        givePiece(game, 'O');
+        runTicks(game, {moveLeft: true});
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece), [[3, 19], [3, 20], [4, 19], [4, 20]]);
+
+        runTicks(game, {moveLeft: true}, 10);
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece)[0], [0, 19]);
+        assert.equal(game.tryMovePiece(-1, 0), false);
+    });
+
+    it("moves several cells in one tick, stopping at the wall", () => {
+        const game = createGame();
+        setGrid(game, []);
+        const piece = givePiece(game, 'O');
+        const startX = piece.blocks[0][0];
+        runTicks(game, {moveLeft: 2});
+        assert.equal(piece.blocks[0][0], startX - 2);
+        runTicks(game, {moveLeft: 10});
+        assert.equal(Math.min(...piece.blocks.map((block) => block[0])), 0);
+    });
+
+    it("soft drops faster than gravity by the soft drop factor", () => {
+        const game = createGame({levelCurve: "guideline", softDropFactor: 40});
+        setGrid(game, []);
+        const piece = givePiece(game, 'O');
+        const startY = piece.blocks[0][1];
+        // Level 1 guideline gravity is 1 cell per second, so soft drop moves 40 cells per second
+        runTicks(game, {softDrop: true}, 6);
+        assert.equal(startY - piece.blocks[0][1], 8);
+    });
+
+    it("does not move the piece into blocks on the grid", () => {
+        const game = createGame();
+        setGrid(game, []);
+        givePiece(game, 'O');
+        lowerPiece(game.gameState.playerPiece, 19);
+        game.gameState.gridData[0] = encodeRow("...X......");
+        assert.equal(game.tryMovePiece(-1, 0), false);
+        assert.equal(game.tryMovePiece(1, 0), true);
+    });
+
+    it("hard drops the piece to the bottom and locks it", () => {
+        const game = createGame();
+        setGrid(game, []);
+        givePiece(game, 'T');
+        runTicks(game, {hardDrop: true});
+        assert.deepEqual(readGrid(game, 2), [
+            "....X.....",
+            "...XXX....",
+        ]);
+        assert.equal(game.gameState.piecesPlaced, 1);
+    });
+});
+
+describe("SRS rotation", () => {
+    it("rotates a T piece clockwise and back around its center", () => {
+        const game = createGame();
+        setGrid(game, []);
+        givePiece(game, 'T');
+        lowerPiece(game.gameState.playerPiece, 10);
+
+        runTicks(game, {rotateClockwise: true});
+        assert.equal(game.gameState.playerPiece.rotationIndex, 1);
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece), [[4, 8], [4, 9], [4, 10], [5, 9]]);
+
+        runTicks(game, {rotateAnticlockwise: true});
+        assert.equal(game.gameState.playerPiece.rotationIndex, 0);
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece), [[3, 9], [4, 9], [4, 10], [5, 9]]);
+    });
+
+    it("rotates the I piece into the third column, like the SRS", () => {
+        const game = createGame();
+        setGrid(game, []);
+        givePiece(game, 'I');
+        runTicks(game, {rotateClockwise: true});
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece), [[5, 17], [5, 18], [5, 19], [5, 20]]);
+    });
+
+    it("kicks a T piece away from the wall", () => {
+        const game = createGame();
+        setGrid(game, []);
+        givePiece(game, 'T');
+        runTicks(game, {rotateClockwise: true});
+        runTicks(game, {moveLeft: true}, 6);
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece), [[0, 18], [0, 19], [0, 20], [1, 19]]);
+
+        // Rotating from R to 2 against the left wall uses the (+1, 0) kick
+        runTicks(game, {rotateClockwise: true});
+        assert.equal(game.gameState.playerPiece.rotationIndex, 2);
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece), [[0, 19], [1, 18], [1, 19], [2, 19]]);
+    });
+
+    it("kicks an I piece off the right wall", () => {
+        const game = createGame();
+        setGrid(game, []);
+        givePiece(game, 'I');
+        runTicks(game, {rotateClockwise: true});
+        lowerPiece(game.gameState.playerPiece, 5);
+        runTicks(game, {moveRight: true}, 5);
+        assert.equal(sortedBlocks(game.gameState.playerPiece)[0][0], 9);
+
+        runTicks(game, {rotateAnticlockwise: true});
+        assert.equal(game.gameState.playerPiece.rotationIndex, 0);
+        for (const [x, y] of game.gameState.playerPiece.blocks) {
+            assert.ok(x >= 6 && x <= 9, "block x " + x + " is outside the grid");
+        }
+    });
+
+    it("kicks a T piece up out of the floor", () => {
+        const game = createGame();
+        setGrid(game, ["XXX...XXXX"]);
+        givePiece(game, 'T');
+        lowerPiece(game.gameState.playerPiece, 19);
+
+        // Rotating from 0 to R in the gap fails the first 2 tests, then uses the (-1, +1) kick
+        runTicks(game, {rotateClockwise: true});
+        assert.equal(game.gameState.playerPiece.rotationIndex, 1);
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece), [[3, 0], [3, 1], [3, 2], [4, 1]]);
+    });
+
+    it("does not rotate when every kick is blocked", () => {
+        const game = createGame();
+        setGrid(game, [
+            "XXXX.XXXXX",
+            "XXX...XXXX",
+            "XXXXXXXXXX"
+        ]);
+        givePiece(game, 'T');
+        lowerPiece(game.gameState.playerPiece, 18);
+        assert.equal(game.isPlayerPieceValid(), true);
+        game.gameState.gridData.fill(encodeRow("XXXXXXXXXX", 7), 3);
+        const before = sortedBlocks(game.gameState.playerPiece);
+
+        assert.equal(game.tryRotatePiece(true), false);
+        assert.equal(game.gameState.playerPiece.rotationIndex, 0);
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece), before);
+    });
+});
+
+describe("180 rotation", () => {
+    it("turns a T piece around its center and back", () => {
+        const game = createGame();
+        setGrid(game, []);
+        givePiece(game, 'T');
+        lowerPiece(game.gameState.playerPiece, 10);
+
+        runTicks(game, {rotate180: true});
+        assert.equal(game.gameState.playerPiece.rotationIndex, 2);
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece), [[3, 9], [4, 8], [4, 9], [5, 9]]);
+
+        runTicks(game, {rotate180: true});
+        assert.equal(game.gameState.playerPiece.rotationIndex, 0);
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece), [[3, 9], [4, 9], [4, 10], [5, 9]]);
+    });
+
+    it("keeps the I piece on its true center", () => {
+        const game = createGame();
+        setGrid(game, []);
+        givePiece(game, 'I');
+        runTicks(game, {rotate180: true});
+        assert.equal(game.gameState.playerPiece.rotationIndex, 2);
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece), [[3, 18], [4, 18], [5, 18], [6, 18]]);
+    });
+
+    it("kicks a T piece up off the floor", () => {
+        const game = createGame();
+        setGrid(game, []);
+        givePiece(game, 'T');
+        lowerPiece(game.gameState.playerPiece, 19);
+
+        // The point would go through the floor, so the (0, +1) kick is used
+        assert.equal(game.tryRotatePiece180(), true);
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece), [[3, 1], [4, 0], [4, 1], [5, 1]]);
+    });
+
+    it("takes priority over a 90 degree rotation on the same tick", () => {
+        const game = createGame();
+        setGrid(game, []);
+        givePiece(game, 'T');
+        runTicks(game, {rotateClockwise: true, rotate180: true});
+        assert.equal(game.gameState.playerPiece.rotationIndex, 2);
+    });
+
+    it("follows the lock delay reset rules", () => {
+        /**
+         * Lands an O piece and turns it around every tick until it locks.
+         *
+         * @param {QuadtrisGame} game The game to play.
+         * @returns {number} The number of ticks before the piece locked (up to 300).
+         */
+        function spinUntilLocked(game) {
+            setGrid(game, []);
+            givePiece(game, 'O');
+            lowerPiece(game.gameState.playerPiece, 19);
+            let ticks = 0;
+            while (game.gameState.piecesPlaced == 0 && ticks < 300) {
+                runTicks(game, {rotate180: true});
+                ticks++;
+            }
+            return ticks;
+        }
+
+        const moveGame = createGame();
+        const lockTicks = Math.round(moveGame.graceTimerDuration / moveGame.gameTickTime);
+        assert.ok(spinUntilLocked(moveGame) > 2 * lockTicks);
+        assert.ok(spinUntilLocked(createGame({lockResetMode: "step"})) <= lockTicks + 2);
+    });
+});
+
+describe("line clears", () => {
+    it("clears a full row and moves the rows above it down", () => {
+        const game = createGame();
+        setGrid(game, [
+            "..X.......",
+            "XXX....XXX"
+        ]);
+        givePiece(game, 'I');
+        runTicks(game, {hardDrop: true});
+
+        assert.deepEqual(readGrid(game, 2), [
+            "..........",
+            "..X.......",
+        ]);
+        assert.equal(game.gameState.linesCleared, 1);
+        assert.ok(game.gameState.score > 0);
+    });
+
+    it("clears multiple rows at once", () => {
+        const game = createGame();
+        setGrid(game, [
+            "XXXXXXXXX.",
+            "XXXXXXXXX.",
+            "XXXXXXXXX.",
+            "XXXXXXXXX."
+        ]);
+        givePiece(game, 'I');
+        runTicks(game, {rotateClockwise: true});
+        runTicks(game, {moveRight: true}, 4);
+        runTicks(game, {hardDrop: true});
+
+        assert.ok(game.gameState.gridData.every((row) => row == 0));
+        assert.equal(game.gameState.linesCleared, 4);
+    });
+
+    it("speeds up every 10 lines", () => {
+        const game = createGame();
+        for (let i = 0; i < 10; i++) {
+            setGrid(game, ["XXX....XXX"]);
+            givePiece(game, 'I');
+            runTicks(game, {hardDrop: true});
+        }
+        assert.equal(game.gameState.linesCleared, 10);
+        assert.equal(game.gameState.speedLevel, 2);
+    });
+});
+
+describe("speed levels", () => {
+    it("starts on the chosen level and advances after the chosen number of lines", () => {
+        const game = createGame({startLevel: 5, linesPerLevel: 2});
+        assert.equal(game.gameState.speedLevel, 5);
+        for (let i = 0; i < 4; i++) {
+            setGrid(game, ["X.........", "XXX....XXX"]);
+            givePiece(game, 'I');
+            runTicks(game, {hardDrop: true});
+        }
+        assert.equal(game.gameState.speedLevel, 7);
+        assert.equal(game.gameState.maxSpeedLevel, 7);
+    });
+
+    it("drops the piece 1 cell every 25 ticks on classic level 1", () => {
+        const game = createGame();
+        const startY = game.gameState.playerPiece.blocks[0][1];
+        runTicks(game, {}, 24);
+        assert.equal(game.gameState.playerPiece.blocks[0][1], startY);
+        runTicks(game);
+        assert.equal(game.gameState.playerPiece.blocks[0][1], startY - 1);
+    });
+
+    it("keeps increasing the level past the end of the classic table", () => {
+        const game = createGame({startLevel: 11, linesPerLevel: 1});
+        setGrid(game, ["X.........", "XXX....XXX"]);
+        givePiece(game, 'I');
+        runTicks(game, {hardDrop: true});
+        assert.equal(game.gameState.speedLevel, 12);
+    });
+
+    it("moves the piece several cells in one tick at high guideline levels", () => {
+        const game = createGame({levelCurve: "guideline", startLevel: 15});
+        const startY = game.gameState.playerPiece.blocks[0][1];
+        runTicks(game);
+        assert.ok(startY - game.gameState.playerPiece.blocks[0][1] > 1);
+    });
+
+    it("drops the piece to the bottom immediately with 20G", () => {
+        const game = createGame({levelCurve: "master"});
+        setGrid(game, []);
+        givePiece(game, 'O');
+        runTicks(game);
+        assert.equal(Math.min(...game.gameState.playerPiece.blocks.map((block) => block[1])), 0);
+    });
+});
+
+describe("scoring", () => {
+    /**
+     * Places an I piece vertically in the rightmost column, clearing the 4 rows below it.
+     * A block is left above the rows so the grid is not emptied.
+     *
+     * @param {QuadtrisGame} game The game to play.
+     * @returns {number} The points awarded.
+     */
+    function scoreTetris(game) {
+        setGrid(game, [
+            "X.........",
+            "XXXXXXXXX.",
+            "XXXXXXXXX.",
+            "XXXXXXXXX.",
+            "XXXXXXXXX."
+        ]);
+        givePiece(game, 'I');
+        game.tryRotatePiece(true);
+        runTicks(game, {moveRight: true}, 4);
+        const scoreBefore = game.gameState.score;
+        runTicks(game, {hardDrop: true});
+        return game.gameState.score - scoreBefore;
+    }
+
+    it("awards points for soft and hard drops", () => {
+        // Level 1 gravity is 1 cell every 25 ticks, so soft drop moves 1 cell every tick
+        const game = createGame({softDropFactor: 25});
+        setGrid(game, []);
+        givePiece(game, 'T');
+        runTicks(game, {softDrop: true}, 3);
+        assert.equal(game.gameState.score, 3 * QuadtrisGame.scoring.softDrop);
+
+        runTicks(game, {hardDrop: true});
+        assert.equal(game.gameState.score, 3 * QuadtrisGame.scoring.softDrop + 16 * QuadtrisGame.scoring.hardDrop);
+    });
+
+    it("scores a T-spin double with the 3-corner rule", () => {
+        const game = createGame();
+        setGrid(game, [
+            "...X......",
+            "XXX...XXXX",
+            "XXXX.XXXXX"
+        ]);
+        const piece = givePiece(game, 'T');
+        game.tryRotatePiece(false);
+        movePieceTo(piece, 4, 1);
+
+        runTicks(game, {rotateAnticlockwise: true});
+        runTicks(game, {hardDrop: true});
+        assert.equal(game.gameState.actionLabel, "T-SPIN DOUBLE");
+        assert.equal(game.gameState.score, QuadtrisGame.scoring.tSpin[2]);
+        assert.equal(game.gameState.backToBack, true);
+    });
+
+    it("scores a mini T-spin when only one front corner is blocked", () => {
+        const game = createGame();
+        setGrid(game, [".XXXXXXXXX"]);
+        const piece = givePiece(game, 'T');
+        movePieceTo(piece, 1, 1);
+
+        runTicks(game, {rotateClockwise: true});
+        runTicks(game, {hardDrop: true});
+        assert.equal(game.gameState.actionLabel, "MINI T-SPIN SINGLE");
+        assert.equal(game.gameState.score, QuadtrisGame.scoring.tSpinMini[1]);
+    });
+
+    it("does not count a T-spin if the piece moved after rotating", () => {
+        const game = createGame();
+        setGrid(game, [
+            "...X......",
+            "XXX...XXXX",
+            "XXXX.XXXXX"
+        ]);
+        const piece = givePiece(game, 'T');
+        game.tryRotatePiece(false);
+        game.tryRotatePiece(false);
+        runTicks(game, {moveRight: true});
+        movePieceTo(piece, 4, 1);
+
+        runTicks(game, {hardDrop: true});
+        assert.equal(game.gameState.actionLabel, "DOUBLE");
+    });
+
+    it("awards a back-to-back bonus for consecutive Tetrises", () => {
+        const game = createGame();
+        const firstPoints = scoreTetris(game);
+        assert.equal(game.gameState.actionLabel, "TETRIS");
+
+        const secondPoints = scoreTetris(game);
+        assert.equal(game.gameState.actionLabel, "B2B TETRIS\n2 COMBO");
+        assert.equal(secondPoints - firstPoints, QuadtrisGame.scoring.lines[4] * (QuadtrisGame.scoring.backToBackMultiplier - 1)
+            + QuadtrisGame.scoring.combo);
+    });
+
+    it("ends the back-to-back chain with an easy line clear", () => {
+        const game = createGame();
+        scoreTetris(game);
+        setGrid(game, ["X.........", "XXX....XXX"]);
+        givePiece(game, 'I');
+        runTicks(game, {hardDrop: true});
+        assert.equal(game.gameState.actionLabel, "SINGLE\n2 COMBO");
+        assert.equal(game.gameState.backToBack, false);
+
+        scoreTetris(game);
+        assert.equal(game.gameState.actionLabel, "TETRIS\n3 COMBO");
+    });
+
+    it("records what the last placed piece did", () => {
+        const game = createGame();
+        scoreTetris(game);
+        scoreTetris(game);
+        assert.deepEqual(game.gameState.lastPlacement,
+            {lines: 4, tSpin: "none", backToBack: true, combo: 2, perfectClear: false});
+
+        givePiece(game, 'O');
+        runTicks(game, {hardDrop: true});
+        assert.equal(game.gameState.lastPlacement.lines, 0);
+        assert.equal(game.gameState.lastPlacement.combo, 0);
+    });
+
+    it("multiplies line clear points by the level", () => {
+        const game = createGame();
+        for (let i = 0; i < 10; i++) {
+            setGrid(game, ["X.........", "XXX....XXX"]);
+            givePiece(game, 'I');
+            runTicks(game, {hardDrop: true});
+        }
+        assert.equal(game.gameState.speedLevel, 2);
+
+        // Place a piece without clearing lines to end the combo
+        setGrid(game, []);
+        runTicks(game, {hardDrop: true});
+        assert.equal(game.gameState.combo, 0);
+
+        setGrid(game, ["X.........", "XXX....XXX"]);
+        givePiece(game, 'I');
+        const scoreBefore = game.gameState.score;
+        runTicks(game, {hardDrop: true});
+        assert.equal(game.gameState.score - scoreBefore, 2 * QuadtrisGame.scoring.lines[1] + 19 * QuadtrisGame.scoring.hardDrop);
+    });
+
+    it("counts a combo for consecutive pieces that clear lines", () => {
+        const game = createGame();
+        for (let i = 1; i <= 3; i++) {
+            setGrid(game, ["X.........", "XXX....XXX"]);
+            givePiece(game, 'I');
+            runTicks(game, {hardDrop: true});
+            assert.equal(game.gameState.combo, i);
+        }
+        assert.equal(game.gameState.actionLabel, "SINGLE\n3 COMBO");
+
+        givePiece(game, 'O');
+        runTicks(game, {hardDrop: true});
+        assert.equal(game.gameState.combo, 0);
+    });
+
+    it("awards a perfect clear bonus for emptying the grid", () => {
+        const game = createGame();
+        setGrid(game, ["XXX....XXX"]);
+        givePiece(game, 'I');
+        const scoreBefore = game.gameState.score;
+        runTicks(game, {hardDrop: true});
+
+        assert.equal(game.gameState.perfectClears, 1);
+        assert.equal(game.gameState.actionLabel, "SINGLE\nPERFECT CLEAR");
+        assert.equal(game.gameState.score - scoreBefore,
+            QuadtrisGame.scoring.lines[1] + QuadtrisGame.scoring.perfectClear[1] + 19 * QuadtrisGame.scoring.hardDrop);
+    });
+});
+
+describe("hold", () => {
+    it("stores the piece and takes the next one from the queue", () => {
+        const game = createGame();
+        const shape = game.gameState.playerPiece.shape;
+        const nextShape = game.gameState.pieceQueue[0];
+        runTicks(game, {hold: true});
+
+        assert.equal(game.gameState.heldPiece, shape);
+        assert.equal(game.gameState.playerPiece.shape, nextShape);
+    });
+
+    it("swaps with the held piece, and only once per piece", () => {
+        const game = createGame();
+        givePiece(game, 'T');
+        runTicks(game, {hold: true});
+        givePiece(game, 'S');
+
+        runTicks(game, {hold: true});
+        assert.equal(game.gameState.heldPiece, 'S');
+        assert.equal(game.gameState.playerPiece.shape, 'T');
+        assert.equal(game.gameState.playerPiece.wasHeld, true);
+
+        runTicks(game, {hold: true});
+        assert.equal(game.gameState.heldPiece, 'S');
+        assert.equal(game.gameState.playerPiece.shape, 'T');
+    });
+});
+
+describe("grace timer", () => {
+    it("locks a landed piece after the grace period", () => {
+        const game = createGame();
+        setGrid(game, []);
+        givePiece(game, 'O');
+        lowerPiece(game.gameState.playerPiece, 19);
+        const lockTicks = Math.round(game.graceTimerDuration / game.gameTickTime);
+
+        runTicks(game, {}, lockTicks - 1);
+        assert.equal(game.gameState.piecesPlaced, 0);
+
+        runTicks(game, {}, 3);
+        assert.equal(game.gameState.piecesPlaced, 1);
+    });
+
+    it("extends the grace period when the piece moves, up to a limit", () => {
+        const game = createGame();
+        setGrid(game, []);
+        givePiece(game, 'O');
+        lowerPiece(game.gameState.playerPiece, 19);
+        const lockTicks = Math.round(game.graceTimerDuration / game.gameTickTime);
+
+        let ticks = 0;
+        while (game.gameState.piecesPlaced == 0 && ticks < 200) {
+            runTicks(game, {moveLeft: ticks % 2 == 0, moveRight: ticks % 2 == 1});
+            ticks++;
+        }
+        assert.ok(ticks > 2 * lockTicks, "the piece locked too soon (" + ticks + " ticks)");
+        assert.ok(ticks < 30 + lockTicks + 5, "the piece never locked (" + ticks + " ticks)");
+    });
+
+    /**
+     * Lands an O piece and wiggles it left and right until it locks.
+     *
+     * @param {QuadtrisGame} game The game to play.
+     * @returns {number} The number of ticks before the piece locked (up to 300).
+     */
+    function wiggleUntilLocked(game) {
+        setGrid(game, []);
+        givePiece(game, 'O');
+        lowerPiece(game.gameState.playerPiece, 19);
+        let ticks = 0;
+        while (game.gameState.piecesPlaced == 0 && ticks < 300) {
+            runTicks(game, {moveLeft: ticks % 2 == 0, moveRight: ticks % 2 == 1});
+            ticks++;
+        }
+        return ticks;
+    }
+
+    it("limits the extensions to the move reset limit", () => {
+        const game = createGame({moveResetLimit: 5});
+        const lockTicks = Math.round(game.graceTimerDuration / game.gameTickTime);
+        const ticks = wiggleUntilLocked(game);
+        assert.ok(ticks <= 5 + lockTicks + 2, "the piece locked too late (" + ticks + " ticks)");
+    });
+
+    it("does not extend the grace period with step reset", () => {
+        const game = createGame({lockResetMode: "step"});
+        const lockTicks = Math.round(game.graceTimerDuration / game.gameTickTime);
+        const ticks = wiggleUntilLocked(game);
+        assert.ok(ticks <= lockTicks + 2, "the piece locked too late (" + ticks + " ticks)");
+    });
+
+    it("never locks a moving piece with infinite reset", () => {
+        const game = createGame({lockResetMode: "infinite"});
+        assert.equal(wiggleUntilLocked(game), 300);
+    });
+
+    it("uses the lock delay option, and shortens it at high levels", () => {
+        assert.equal(createGame({lockDelay: 1}).graceTimerDuration, 1);
+        assert.equal(createGame({lockDelay: 1, startLevel: 15}).graceTimerDuration, 1);
+        assert.equal(createGame({lockDelay: 1, startLevel: 25}).graceTimerDuration, 0.5);
+    });
+});
+
+describe("entry and line clear delays", () => {
+    it("waits for the entry delay before the next piece appears, ignoring inputs", () => {
+        const game = createGame({entryDelay: 5});
+        setGrid(game, []);
+        givePiece(game, 'O');
+        const nextShape = game.gameState.pieceQueue[0];
+        runTicks(game, {hardDrop: true});
+        assert.equal(game.gameState.playerPiece.active, false);
+
+        runTicks(game, {hardDrop: true}, 4);
+        assert.equal(game.gameState.playerPiece.active, false);
+        assert.equal(game.gameState.piecesPlaced, 1);
+
+        runTicks(game);
+        assert.equal(game.gameState.playerPiece.active, true);
+        assert.equal(game.gameState.playerPiece.shape, nextShape);
+    });
+
+    it("keeps the full rows in the grid during the line clear delay", () => {
+        const game = createGame({lineClearDelay: 10, entryDelay: 2});
+        setGrid(game, ["XXXX..XXXX"]);
+        givePiece(game, 'O');
+        runTicks(game, {hardDrop: true});
+        assert.equal(game.gameState.linesCleared, 1);
+        assert.deepEqual(game.gameState.clearingRows, [0]);
+
+        runTicks(game, {}, 9);
+        assert.deepEqual(readGrid(game, 2), ["....XX....", "XXXXXXXXXX"]);
+        assert.ok(game.gameState.lineClearProgress > 0.8);
+
+        runTicks(game);
+        assert.deepEqual(readGrid(game, 2), ["..........", "....XX...."]);
+        assert.deepEqual(game.gameState.clearingRows, []);
+        assert.equal(game.gameState.playerPiece.active, false);
+
+        // The entry delay follows the line clear delay
+        runTicks(game, {}, 2);
+        assert.equal(game.gameState.playerPiece.active, true);
+    });
+
+    it("only waits for the line clear delay when lines are cleared", () => {
+        const game = createGame({lineClearDelay: 10});
+        setGrid(game, []);
+        givePiece(game, 'O');
+        runTicks(game, {hardDrop: true});
+        assert.equal(game.gameState.playerPiece.active, true);
+    });
+
+    it("lets garbage rise under a locked piece while the next one is on its way", () => {
+        const game = createGame({entryDelay: 5});
+        setGrid(game, []);
+        givePiece(game, 'O');
+        runTicks(game, {hardDrop: true});
+        game.addGarbageRows(2, {holes: 0});
+
+        assert.equal(game.isToppedOut, false);
+        assert.deepEqual(readGrid(game, 4), ["....XX....", "....XX....", ".XXXXXXXXX", ".XXXXXXXXX"]);
+    });
+});
+
+describe("inputs buffered during delays", () => {
+    it("turns the next piece as it appears when rotate is given during the entry delay", () => {
+        const game = createGame({entryDelay: 5});
+        setGrid(game, []);
+        givePiece(game, 'O');
+        runTicks(game, {hardDrop: true});
+
+        runTicks(game, {rotateClockwise: true});
+        runTicks(game, {}, 3);
+        assert.equal(game.gameState.playerPiece.active, false);
+        runTicks(game);
+        assert.equal(game.gameState.playerPiece.active, true);
+        assert.equal(game.gameState.playerPiece.rotationIndex, 1);
+    });
+
+    it("keeps the last rotation given while waiting", () => {
+        const game = createGame({entryDelay: 3});
+        setGrid(game, []);
+        givePiece(game, 'O');
+        runTicks(game, {hardDrop: true});
+
+        runTicks(game, {rotateClockwise: true});
+        runTicks(game, {rotate180: true});
+        runTicks(game, {rotateAnticlockwise: true});
+        assert.equal(game.gameState.playerPiece.rotationIndex, 3);
+    });
+
+    it("holds the next piece as it appears when hold is given during the delays", () => {
+        const game = createGame({entryDelay: 2, lineClearDelay: 4});
+        setGrid(game, ["XXXX..XXXX"]);
+        givePiece(game, 'O');
+        const nextShape = game.gameState.pieceQueue[0];
+        const afterNextShape = game.gameState.pieceQueue[1];
+        runTicks(game, {hardDrop: true});
+
+        runTicks(game, {hold: true});
+        runTicks(game, {}, 5);
+        assert.equal(game.gameState.heldPiece, nextShape);
+        assert.equal(game.gameState.playerPiece.shape, afterNextShape);
+        assert.equal(game.gameState.playerPiece.active, true);
+    });
+
+    it("forgets inputs once they have been applied", () => {
+        const game = createGame({entryDelay: 2});
+        setGrid(game, []);
+        givePiece(game, 'O');
+        runTicks(game, {hardDrop: true});
+        runTicks(game, {rotateClockwise: true, hold: true}, 2);
+        const heldShape = game.gameState.heldPiece;
+
+        runTicks(game, {hardDrop: true});
+        runTicks(game, {}, 2);
+        assert.equal(game.gameState.heldPiece, heldShape);
+        assert.equal(game.gameState.playerPiece.rotationIndex, 0);
+    });
+});
+
+describe("events", () => {
+    it("reports a hard drop, the lock and the line clear in order", () => {
+        const game = createGame();
+        setGrid(game, ["XXXX..XXXX"]);
+        givePiece(game, 'O');
+        game.takeEvents();
+        runTicks(game, {hardDrop: true});
+
+        const events = game.takeEvents();
+        assert.deepEqual(events.map((event) => event.type), ["hardDrop", "lock", "lineClear"]);
+        assert.equal(events[0].distance, 19);
+        assert.equal(events[1].blockType, game.pieceMap.get('O'));
+        assert.deepEqual(sortedBlocks(events[1]), [[4, 0], [4, 1], [5, 0], [5, 1]]);
+        assert.deepEqual(events[2].rows, [0]);
+        assert.deepEqual(events[2].cells, [[1, 1, 1, 1, 3, 3, 1, 1, 1, 1]]);
+        assert.deepEqual(game.takeEvents(), []);
+    });
+
+    it("only keeps the latest events when nothing takes them", () => {
+        const game = createGame();
+        for (let i = 0; i < QuadtrisGame.maxEvents; i++) {
+            setGrid(game, []);
+            givePiece(game, 'O');
+            runTicks(game, {hardDrop: true});
+        }
+        assert.equal(game.events.length, QuadtrisGame.maxEvents);
+        assert.equal(game.events.at(-1).type, "lock");
+    });
+});
+
+describe("garbage", () => {
+    it("pushes the stack up with rows that have a hole", () => {
+        const game = createGame();
+        setGrid(game, [
+            "X.........",
+            "XX......XX"
+        ]);
+        game.addGarbageRows(2, {holes: 3});
+
+        assert.deepEqual(readGrid(game, 4), [
+            "X.........",
+            "XX......XX",
+            "XXX.XXXXXX",
+            "XXX.XXXXXX"
+        ]);
+        assert.equal(game.getBlockData(0, 0), QuadtrisGame.garbageBlock);
+    });
+
+    it("lifts the piece out of the garbage", () => {
+        const game = createGame();
+        setGrid(game, []);
+        const piece = givePiece(game, 'O');
+        movePieceTo(piece, 4, 1);
+        game.addGarbageRows(3, {holes: 0});
+
+        assert.equal(game.isPlayerPieceValid(), true);
+        assert.equal(Math.min(...piece.blocks.map((block) => block[1])), 3);
+        assert.equal(game.isToppedOut, false);
+    });
+
+    it("tops out when blocks are pushed off the top", () => {
+        const game = createGame();
+        setGrid(game, []);
+        for (let y = 0; y < 19; y++) {
+            game.gameState.gridData[y] = encodeRow("X.........");
+        }
+        game.addGarbageRows(3, {holes: 5});
+
+        assert.equal(game.isToppedOut, true);
+        assert.equal(game.gameState.playerPiece.active, false);
+    });
+
+    it("uses a hole for every row when they are listed", () => {
+        const game = createGame();
+        setGrid(game, []);
+        assert.deepEqual(game.addGarbageRows(3, {holes: [0, 9]}), [0, 9, 9]);
+        assert.deepEqual(readGrid(game, 3), [
+            "XXXXXXXXX.",
+            "XXXXXXXXX.",
+            ".XXXXXXXXX"
+        ]);
+    });
+
+    it("moves the hole between rows depending on the messiness", () => {
+        const game = createGame();
+        setGrid(game, []);
+        const clean = game.addGarbageRows(8, {messiness: 0});
+        assert.ok(clean.every((column) => column == clean[0]));
+
+        setGrid(game, []);
+        const messy = game.addGarbageRows(8, {messiness: 1});
+        for (let y = 1; y < messy.length; y++) {
+            assert.notEqual(messy[y], messy[y - 1]);
+        }
+    });
+
+    it("picks the same random holes for the same seed", () => {
+        const first = createGame({seed: 42});
+        const second = createGame({seed: 42});
+        assert.deepEqual(first.addGarbageRows(6, {messiness: 0.5}), second.addGarbageRows(6, {messiness: 0.5}));
+    });
+
+    it("stores garbage with its own block ID, apart from the pieces", () => {
+        assert.equal([...createGame().pieceMap.values()].includes(QuadtrisGame.garbageBlock), false);
+    });
+
+    it("starts the grid with the starting garbage", () => {
+        const game = createGame({startingGarbage: 4, garbageMessiness: 0});
+        const rows = readGrid(game, 5);
+        assert.equal(rows[0], "..........");
+        const hole = rows[1].indexOf('.');
+        for (const row of rows.slice(1)) {
+            assert.equal(row.replaceAll('X', '').length, 1);
+            assert.equal(row.indexOf('.'), hole);
+        }
+    });
+
+    it("counts cleared garbage rows, and finishes at the garbage line goal", () => {
+        const game = createGame({garbageLineGoal: 1});
+        const clearWithO = () => {
+            givePiece(game, 'O');
+            while (game.tryMovePiece(1, 0));
+            runTicks(game, {hardDrop: true});
+        };
+
+        setGrid(game, ["XXXXXXXX.."]);
+        clearWithO();
+        assert.equal(game.gameState.linesCleared, 1);
+        assert.equal(game.gameState.garbageCleared, 0);
+        assert.equal(game.gameState.gameOver, false);
+
+        setGrid(game, ["XXXXXXXX.."], QuadtrisGame.garbageBlock);
+        clearWithO();
+        assert.equal(game.gameState.garbageCleared, 1);
+        assert.equal(game.gameState.goalReached, true);
+        assert.equal(game.gameState.gameOver, true);
+    });
+
+    it("raises a garbage row every interval, following the last hole", () => {
+        const game = createGame({startingGarbage: 1, garbageMessiness: 0, garbageRiseInterval: 1});
+        const ticksPerRow = Math.round(1 / game.gameTickTime);
+        runTicks(game, {}, ticksPerRow - 1);
+        assert.equal(readGrid(game, 2)[0], "..........");
+
+        runTicks(game);
+        const rows = readGrid(game, 2);
+        assert.equal(rows[0].replaceAll('X', '').length, 1);
+        assert.equal(rows[0], rows[1]);
+    });
+});
+
+describe("game over", () => {
+    it("ends the game when a new piece cannot spawn", () => {
+        const game = createGame();
+        setGrid(game, []);
+        for (let y = 0; y < 19; y++) {
+            game.gameState.gridData[y] = encodeRow("XXXXXXXXX.");
+        }
+        givePiece(game, 'O');
+        runTicks(game, {hardDrop: true});
+        assert.equal(game.gameState.playerPiece.active, false);
+
+        // The game over animation clears the rows before the game is over
+        let ticks = 0;
+        while (!game.gameState.gameOver && ticks < 500) {
+            runTicks(game);
+            ticks++;
+        }
+        assert.equal(game.gameState.gameOver, true);
+        assert.ok(game.gameState.gridData.every((row) => row == 0));
+    });
+
+    it("does nothing while paused", () => {
+        const game = createGame();
+        const before = sortedBlocks(game.gameState.playerPiece);
+        game.pauseGame(true);
+        runTicks(game, {moveLeft: true, softDrop: true}, 10);
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece), before);
+        assert.equal(game.gameState.ticksPlayed, 0);
+    });
+
+    it("can be ended early", () => {
+        const game = new QuadtrisGame({seed: 5});
+        game.startNewGame();
+        game.endGame();
+        assert.equal(game.gameState.gameOver, true);
+        assert.equal(game.gameState.playerPiece.active, false);
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Tests for binding keys and gamepad inputs to input actions.
+ *
+ * @author Alex Wills
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { QuadtrisInput } from "../scripts/QuadtrisInput.mjs";
+
+/**
+ * Creates a stand-in for a browser Gamepad object.
+ *
+ * @param {number[]} pressedButtons The indices of the pressed buttons.
+ * @param {number[]} axes           The positions of the analog stick axes.
+ * @returns {{connected: boolean, buttons: {pressed: boolean}[], axes: number[]}} The gamepad.
+ */
+function fakeGamepad(pressedButtons = [], axes = [0, 0, 0, 0]) {
+    const buttons = [];
+    for (let i = 0; i < 17; i++) {
+        buttons.push({pressed: pressedButtons.includes(i)});
+    }
+    return {connected: true, buttons: buttons, axes: axes};
+}
+
+describe("input bindings", () => {
+    it("lists every binding of an action, main binding first", () => {
+        const input = new QuadtrisInput();
+        assert.equal(input.actionToKey("moveLeft"), "A");
+        assert.deepEqual(input.actionToKeys("moveLeft"), ["A", "Gamepad:Button14", "Gamepad:Axis0-"]);
+    });
+
+    it("keeps an action held until all of its keys are released", () => {
+        const input = new QuadtrisInput();
+        input.setBindings("hardDrop", ["W", "ArrowDown"]);
+        input.setInputState("w", true, 10);
+        input.setInputState("ArrowDown", true, 20);
+        input.setInputState("w", false, 30);
+        assert.equal(input.getInputState("hardDrop"), true);
+        assert.equal(input.getPressTime("hardDrop"), 10);
+
+        input.setInputState("ArrowDown", false, 40);
+        assert.equal(input.getInputState("hardDrop"), false);
+        assert.equal(input.getPressTime("hardDrop"), null);
+    });
+
+    it("adds bindings up to the limit, but never reuses a key", () => {
+        const input = new QuadtrisInput();
+        input.setBindings("hold", ["E"]);
+        assert.equal(input.addBinding("hold", "D"), false);
+        assert.equal(input.addBinding("hold", "C"), true);
+        assert.equal(input.addBinding("hold", "Shift"), true);
+        assert.equal(input.addBinding("hold", "Q"), false);
+        assert.deepEqual(input.actionToKeys("hold"), ["E", "C", "Shift"]);
+    });
+
+    it("replaces and removes single bindings", () => {
+        const input = new QuadtrisInput();
+        input.setBindings("softDrop", ["S", "ArrowDown"]);
+        assert.equal(input.rebindControl("softDrop", "X", "ArrowDown"), true);
+        assert.equal(input.rebindControl("softDrop", "A"), false);
+        assert.deepEqual(input.actionToKeys("softDrop"), ["S", "X"]);
+
+        assert.equal(input.removeBinding("softDrop", "S"), true);
+        assert.equal(input.removeBinding("softDrop", "S"), false);
+        assert.deepEqual(input.actionToKeys("softDrop"), ["X"]);
+    });
+
+    it("names keys and gamepad inputs for the player", () => {
+        assert.equal(QuadtrisInput.bindingLabel(" "), "Space");
+        assert.equal(QuadtrisInput.bindingLabel("Q"), "Q");
+        assert.equal(QuadtrisInput.bindingLabel("Gamepad:Button0"), "Pad A");
+        assert.equal(QuadtrisInput.bindingLabel("Gamepad:Axis1+"), "Pad LS Down");
+        assert.equal(QuadtrisInput.bindingLabel("Gamepad:Button20"), "Pad Button20");
+    });
+});
+
+describe("gamepad input", () => {
+    it("presses and releases actions from gamepad buttons", () => {
+        const input = new QuadtrisInput();
+        input.pollGamepads(100, [fakeGamepad([1]), null]);
+        assert.equal(input.getInputState("rotateClockwise"), true);
+        assert.equal(input.getPressTime("rotateClockwise"), 100);
+
+        input.pollGamepads(200, [fakeGamepad([1]), null]);
+        assert.equal(input.getPressTime("rotateClockwise"), 100);
+
+        input.pollGamepads(300, [fakeGamepad(), null]);
+        assert.equal(input.getInputState("rotateClockwise"), false);
+    });
+
+    it("ignores analog stick movement inside the deadzone", () => {
+        const input = new QuadtrisInput();
+        input.pollGamepads(0, [fakeGamepad([], [-0.3, 0.2, 0, 0])]);
+        assert.equal(input.getInputState("moveLeft"), false);
+
+        input.pollGamepads(0, [fakeGamepad([], [-0.8, 0.2, 0, 0])]);
+        assert.equal(input.getInputState("moveLeft"), true);
+
+        input.gamepadDeadzone = 0.9;
+        input.pollGamepads(0, [fakeGamepad([], [-0.8, 0.2, 0, 0])]);
+        assert.equal(input.getInputState("moveLeft"), false);
+    });
+
+    it("does not release keyboard keys when polling", () => {
+        const input = new QuadtrisInput();
+        input.setInputState("D", true, 0);
+        input.pollGamepads(10, []);
+        assert.equal(input.getInputState("moveRight"), true);
+    });
+
+    it("can read a single gamepad, so each player has their own", () => {
+        const input = new QuadtrisInput();
+        input.gamepadIndex = 1;
+        input.pollGamepads(0, [fakeGamepad([1]), fakeGamepad([0])]);
+        assert.equal(input.getInputState("rotateClockwise"), false);
+        assert.equal(input.getInputState("rotateAnticlockwise"), true);
+
+        input.pollGamepads(10, [fakeGamepad([1])]);
+        assert.equal(input.getInputState("rotateAnticlockwise"), false);
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Tests that recorded games play back exactly the same way.
+ *
+ * @author Alex Wills
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { QuadtrisGame } from "../scripts/QuadtrisGame.mjs";
+import { createRNG } from "../scripts/PieceRandomizer.mjs";
+import { ReplayRecorder, ReplayPlayer, serializeReplay, parseReplay, encodeFrame, decodeFrame, REPLAY_VERSION } from "../scripts/QuadtrisReplay.mjs";
+
+describe("replays", () => {
+    it("packs and unpacks a tick's input", () => {
+        const input = {
+            moveLeft: 3,
+            moveRight: 0,
+            hardDrop: false,
+            softDrop: true,
+            hold: false,
+            rotateClockwise: true,
+            rotateAnticlockwise: false,
+            rotate180: true
+        };
+        assert.deepEqual(decodeFrame(encodeFrame(input)), input);
+    });
+
+    it("plays back a recorded game to the same final state", () => {
+        const rng = createRNG(7);
+        const game = new QuadtrisGame();
+        game.startNewGame();
+        const recorder = new ReplayRecorder();
+        recorder.start(game);
+
+        for (let tick = 0; tick < 5000 && !game.gameState.gameOver; tick++) {
+            for (const action of Object.keys(game.input)) {
+                game.input[action] = rng() < 0.05;
+            }
+            // Auto-repeat can move several cells in one tick
+            game.input.moveLeft = rng() < 0.05 ? Math.floor(rng() * 10) : 0;
+            recorder.recordFrame(game.input);
+            game.runTick();
+        }
+        const replay = parseReplay(serializeReplay(recorder.finish(game.gameState)));
+
+        const playback = new QuadtrisGame();
+        const player = new ReplayPlayer(replay);
+        player.startGame(playback);
+        while (!player.isFinished) {
+            playback.input = player.nextInput();
+            playback.runTick();
+        }
+
+        assert.equal(playback.gameState.score, game.gameState.score);
+        assert.equal(playback.gameState.linesCleared, game.gameState.linesCleared);
+        assert.equal(playback.gameState.piecesPlaced, game.gameState.piecesPlaced);
+        assert.deepEqual(playback.gameState.gridData, game.gameState.gridData);
+    });
+
+    it("rejects files that are not replays", () => {
+        assert.throws(() => parseReplay("not json"), /not a Quadtris replay/);
+        assert.throws(() => parseReplay('{"format": "something-else"}'), /not a Quadtris replay/);
+        assert.throws(() => parseReplay('{"format": "quadtris-replay", "version": ' + REPLAY_VERSION + ', "options": {}, "frames": "0*!"}'), /damaged/);
+    });
+
+    it("rejects replays with options the game can't play", () => {
+        const withOptions = (options) => JSON.stringify({format: "quadtris-replay", version: REPLAY_VERSION, options: options, frames: ""});
+        assert.equal(parseReplay(withOptions({randomizer: "history", rotationSystem: "ars", lineGoal: 40, seed: 5})).frames, "");
+
+        for (const options of [{randomizer: "unknown"}, {rotationSystem: "toString"}, {levelCurve: 3}, {mode: "zen"},
+            {lockResetMode: "never"}, {startLevel: "15"}, {spawnDrop: "true"}, {lineGoal: "40"}, {lockDelay: null}, {cheats: true}]) {
+            assert.throws(() => parseReplay(withOptions(options)), /damaged/, JSON.stringify(options));
+        }
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Tests for the spawn states and kicks of each rotation system.
+ *
+ * @author Alex Wills
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { rotationSystems } from "../scripts/RotationSystems.mjs";
+import { createGame, setGrid, givePiece, movePieceTo, runTicks, sortedBlocks } from "./helpers.mjs";
+
+/**
+ * Turns a T piece to point right and pushes it against the left wall, so turning it back needs a kick.
+ *
+ * @param {QuadtrisGame} game The game to play.
+ */
+function pushTAgainstLeftWall(game) {
+    setGrid(game, []);
+    givePiece(game, 'T');
+    runTicks(game, {rotateAnticlockwise: true});
+    runTicks(game, {moveLeft: true}, 6);
+}
+
+describe("rotation system states", () => {
+    it("gives every shape 4 rotation states of 4 blocks", () => {
+        for (const system of Object.values(rotationSystems)) {
+            for (const shape of ['O', 'I', 'T', 'J', 'L', 'S', 'Z']) {
+                assert.equal(system.states[shape].length, 4);
+                assert.ok(system.states[shape].every((state) => state.length == 4));
+            }
+        }
+    });
+
+    it("spawns pieces flat side up with the classic and ARS systems", () => {
+        for (const rotationSystem of ["classic", "ars"]) {
+            const game = createGame({rotationSystem: rotationSystem});
+            assert.deepEqual(sortedBlocks(givePiece(game, 'T')), [[3, 19], [4, 18], [4, 19], [5, 19]]);
+            assert.deepEqual(sortedBlocks(givePiece(game, 'L')), [[3, 18], [3, 19], [4, 19], [5, 19]]);
+        }
+    });
+
+    it("spawns pieces from the game's rotation system", () => {
+        const game = createGame({rotationSystem: "ars"});
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece),
+            sortedBlocks(givePiece(game, game.gameState.playerPiece.shape)));
+    });
+});
+
+describe("classic rotation", () => {
+    it("does not kick off the wall", () => {
+        const game = createGame({rotationSystem: "classic"});
+        pushTAgainstLeftWall(game);
+        const before = sortedBlocks(game.gameState.playerPiece);
+
+        runTicks(game, {rotateClockwise: true});
+        assert.equal(game.gameState.playerPiece.rotationIndex, 3);
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece), before);
+    });
+
+    it("flips the S piece between 2 states", () => {
+        const game = createGame({rotationSystem: "classic"});
+        setGrid(game, []);
+        const spawn = sortedBlocks(givePiece(game, 'S'));
+        runTicks(game, {rotateClockwise: true});
+        runTicks(game, {rotateClockwise: true});
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece), spawn);
+    });
+
+    it("scores a T-spin with the T pointing down", () => {
+        const game = createGame({rotationSystem: "classic"});
+        setGrid(game, [
+            "XXXX......",
+            "XXX...XXXX",
+            "XXXX.XXXXX"
+        ]);
+        const piece = givePiece(game, 'T');
+        game.tryRotatePiece(false);
+        movePieceTo(piece, 4, 1);
+
+        runTicks(game, {rotateClockwise: true});
+        runTicks(game, {hardDrop: true});
+        assert.equal(game.gameState.actionLabel, "T-SPIN DOUBLE");
+    });
+});
+
+describe("ARS rotation", () => {
+    it("kicks 1 cell away from the wall", () => {
+        const game = createGame({rotationSystem: "ars"});
+        pushTAgainstLeftWall(game);
+
+        runTicks(game, {rotateClockwise: true});
+        assert.equal(game.gameState.playerPiece.rotationIndex, 0);
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece), [[0, 19], [1, 18], [1, 19], [2, 19]]);
+    });
+
+    it("never kicks the I piece", () => {
+        const game = createGame({rotationSystem: "ars"});
+        setGrid(game, []);
+        givePiece(game, 'I');
+        runTicks(game, {rotateClockwise: true});
+        runTicks(game, {moveRight: true}, 5);
+        const before = sortedBlocks(game.gameState.playerPiece);
+        assert.equal(before[0][0], 9);
+
+        runTicks(game, {rotateClockwise: true});
+        assert.deepEqual(sortedBlocks(game.gameState.playerPiece), before);
+    });
+
+    it("does not kick when the middle column blocks the turn", () => {
+        const game = createGame({rotationSystem: "ars"});
+        const piece = givePiece(game, 'T');
+        movePieceTo(piece, 4, 1);
+        setGrid(game, [
+            "....X.....",
+            "..........",
+            ".........."
+        ]);
+
+        // Turning to point left needs the cell above the center, and a kick to the right would fit
+        runTicks(game, {rotateClockwise: true});
+        assert.equal(game.gameState.playerPiece.rotationIndex, 0);
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Tests for the namespaced, versioned storage layer and its migrations.
+ *
+ * @author Alex Wills
+ */
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { QuadtrisStorage, STORAGE_VERSION, isPlainObject } from "../scripts/Storage.mjs";
+import { MemoryStorage } from "./helpers.mjs";
+
+describe("storage", () => {
+    /** @type {MemoryStorage} */
+    let backend;
+    /** @type {QuadtrisStorage} */
+    let storage;
+    beforeEach(() => {
+        backend = new MemoryStorage();
+        storage = new QuadtrisStorage("quadtris", backend);
+        storage.onProblem = () => {};
+    });
+
+    it("saves values as JSON under the namespace", () => {
+        storage.write("settings", {keyboardDas: 100});
+        assert.equal(backend.getItem("quadtris:settings"), '{"keyboardDas":100}');
+        assert.deepEqual(storage.read("settings", {}), {keyboardDas: 100});
+
+        storage.remove("settings");
+        assert.deepEqual(storage.read("settings", {}), {});
+    });
+
+    it("moves older data into the namespace and converts it", () => {
+        backend.setItem("settings", JSON.stringify({keyboardRepeatDelay: 6, gestureEnable: true}));
+        backend.setItem("highScores", "[]");
+        backend.setItem("moveLeft", "J");
+        backend.setItem("hardDrop", '["W","I"]');
+
+        assert.equal(storage.version, 0);
+        assert.equal(storage.migrate(), true);
+        assert.equal(storage.version, STORAGE_VERSION);
+
+        assert.equal(backend.getItem("settings"), null);
+        assert.equal(backend.getItem("moveLeft"), null);
+        assert.deepEqual(storage.read("settings", {}), {gestureEnable: true, keyboardDas: 200});
+        assert.deepEqual(storage.read("highScores", null), []);
+        assert.deepEqual(storage.read("legacyBindings", {}), {moveLeft: ["J"], hardDrop: ["W", "I"]});
+
+        // Running the migrations again changes nothing
+        storage.migrate();
+        assert.deepEqual(storage.read("settings", {}), {gestureEnable: true, keyboardDas: 200});
+    });
+
+    it("does not touch data from a newer version", () => {
+        backend.setItem("quadtris:version", String(STORAGE_VERSION + 1));
+        backend.setItem("settings", "{}");
+        assert.equal(storage.migrate(), false);
+        assert.equal(backend.getItem("settings"), "{}");
+        assert.match(storage.problems[0].message, /newer version/);
+    });
+
+    it("falls back to the default and reports corrupt data", () => {
+        let reported = [];
+        storage.onProblem = (problem) => reported.push(problem.key);
+
+        backend.setItem("quadtris:settings", "{not json");
+        assert.deepEqual(storage.read("settings", {fallback: true}, isPlainObject), {fallback: true});
+        // The broken data is kept aside so it can be recovered
+        assert.equal(backend.getItem("quadtris:corrupt:settings"), "{not json");
+        assert.equal(backend.getItem("quadtris:settings"), null);
+
+        storage.write("highScores", {notAList: true});
+        assert.deepEqual(storage.read("highScores", [], Array.isArray), []);
+        assert.deepEqual(reported, ["settings", "highScores"]);
+    });
+
+    it("reports data that can't be saved", () => {
+        backend.setItem = () => {
+            throw new Error("quota exceeded");
+        };
+        assert.equal(storage.write("settings", {}), false);
+        assert.match(storage.problems[0].message, /quota exceeded/);
+    });
+
+    it("reports a migration that can't be saved instead of throwing", () => {
+        backend.setItem("highScores", "[]");
+        backend.setItem = () => {
+            throw new Error("quota exceeded");
+        };
+        assert.equal(storage.migrate(), false);
+        assert.equal(storage.version, 0);
+        assert.equal(storage.problems[0].key, "version");
+        assert.match(storage.problems[0].message, /quota exceeded/);
+    });
+});
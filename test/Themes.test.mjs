@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Tests for the color themes and piece patterns.
+ *
+ * @author Alex Wills
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { themes, piecePatterns, getTheme } from "../scripts/Themes.mjs";
+
+/** The 7 piece shapes. @type {string[]} */
+const shapes = ['Z', 'S', 'O', 'J', 'T', 'I', 'L'];
+
+/**
+ * Checks that a value is a color: red, green and blue values from 0 to 255.
+ *
+ * @param {number[]} color The value to check.
+ */
+function assertColor(color) {
+    assert.equal(color.length, 3);
+    assert.ok(color.every((value) => Number.isInteger(value) && value >= 0 && value <= 255));
+}
+
+describe("themes", () => {
+    it("gives every piece, garbage and the background a color", () => {
+        for (const theme of Object.values(themes)) {
+            assert.deepEqual(Object.keys(theme.pieceColors).sort(), [...shapes].sort());
+            Object.values(theme.pieceColors).forEach(assertColor);
+            assertColor(theme.garbageColor);
+            assertColor(theme.background);
+            if (theme.ghost.color !== null) {
+                assertColor(theme.ghost.color);
+            }
+            assert.ok(theme.ghost.fill >= 0 && theme.ghost.fill <= 1);
+        }
+    });
+
+    it("uses a different color for every piece", () => {
+        for (const theme of Object.values(themes)) {
+            const colors = new Set(Object.values(theme.pieceColors).map((color) => color.join()));
+            assert.equal(colors.size, shapes.length);
+        }
+    });
+
+    it("falls back to the classic theme for unknown names", () => {
+        assert.equal(getTheme("okabeIto"), themes.okabeIto);
+        assert.equal(getTheme("missing"), themes.classic);
+        assert.equal(getTheme(undefined), themes.classic);
+    });
+});
+
+describe("piece patterns", () => {
+    it("gives every piece its own pattern", () => {
+        const patterns = shapes.map((shape) => piecePatterns[shape]);
+        assert.equal(new Set(patterns).size, shapes.length);
+        assert.ok(patterns.every((pattern) => pattern >= 1 && pattern <= 7));
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Tests for the attack table and the garbage traded in versus matches.
+ *
+ * @author Alex Wills
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { QuadtrisGame } from "../scripts/QuadtrisGame.mjs";
+import { VersusMatch, calculateAttack, attackTable } from "../scripts/VersusMatch.mjs";
+import { setGrid, readGrid, encodeRow, givePiece, sortedBlocks } from "./helpers.mjs";
+
+/**
+ * Creates a started match with a fixed seed.
+ *
+ * @returns {VersusMatch} The match.
+ */
+function createMatch() {
+    const match = new VersusMatch([new QuadtrisGame(), new QuadtrisGame()], {seed: 3});
+    match.start();
+    return match;
+}
+
+/**
+ * Sets up a Tetris for a player and hard drops the I piece into it on the next tick.
+ *
+ * @param {VersusMatch} match   The match to play.
+ * @param {number}      player  The player who scores the Tetris.
+ */
+function playTetris(match, player) {
+    const game = match.games[player];
+    setGrid(game, [
+        "X.........",
+        "XXXXXXXXX.",
+        "XXXXXXXXX.",
+        "XXXXXXXXX.",
+        "XXXXXXXXX."
+    ]);
+    givePiece(game, 'I');
+    game.tryRotatePiece(true);
+    while (game.tryMovePiece(1, 0));
+    game.input.hardDrop = true;
+    match.runTick();
+}
+
+describe("attack table", () => {
+    it("sends more garbage for harder line clears", () => {
+        const placement = {lines: 1, tSpin: "none", backToBack: false, combo: 1, perfectClear: false};
+        assert.equal(calculateAttack(placement), 0);
+        assert.equal(calculateAttack({...placement, lines: 2}), 1);
+        assert.equal(calculateAttack({...placement, lines: 4}), 4);
+        assert.equal(calculateAttack({...placement, lines: 2, tSpin: "full"}), 4);
+        assert.equal(calculateAttack({...placement, lines: 0}), 0);
+    });
+
+    it("adds back-to-back, combo, and perfect clear bonuses", () => {
+        const placement = {lines: 4, tSpin: "none", backToBack: true, combo: 3, perfectClear: true};
+        assert.equal(calculateAttack(placement), 4 + attackTable.backToBack + attackTable.combo[3] + attackTable.perfectClear);
+        // Long combos use the last value in the table
+        assert.equal(calculateAttack({...placement, backToBack: false, perfectClear: false, combo: 50}), 4 + attackTable.combo.at(-1));
+    });
+});
+
+describe("versus match", () => {
+    it("gives both players the same pieces", () => {
+        const match = createMatch();
+        assert.deepEqual(match.games[0].gameState.pieceQueue, match.games[1].gameState.pieceQueue);
+        assert.deepEqual(sortedBlocks(match.games[0].gameState.playerPiece), sortedBlocks(match.games[1].gameState.playerPiece));
+    });
+
+    it("sends garbage to the opponent's meter, which rises after their next placement", () => {
+        const match = createMatch();
+        playTetris(match, 0);
+        assert.equal(match.getIncomingRows(1), 4);
+        assert.equal(match.linesSent[0], 4);
+
+        const opponent = match.games[1];
+        setGrid(opponent, []);
+        givePiece(opponent, 'O');
+        opponent.input.hardDrop = true;
+        match.runTick();
+
+        assert.equal(match.getIncomingRows(1), 0);
+        const rows = readGrid(opponent, 4);
+        const hole = rows[0].indexOf('.');
+        for (const row of rows) {
+            assert.equal(row.replaceAll('X', '').length, 1);
+            assert.equal(row.indexOf('.'), hole);
+        }
+    });
+
+    it("cancels incoming garbage with the player's own attack", () => {
+        const match = createMatch();
+        playTetris(match, 0);
+        playTetris(match, 1);
+        assert.equal(match.getIncomingRows(1), 0);
+        assert.equal(match.getIncomingRows(0), 0);
+        assert.equal(match.linesSent[1], 0);
+    });
+
+    it("only lets the capped number of rows rise at once", () => {
+        const match = new VersusMatch([new QuadtrisGame(), new QuadtrisGame()], {seed: 3, garbageCap: 2});
+        match.start();
+        playTetris(match, 0);
+
+        const opponent = match.games[1];
+        setGrid(opponent, []);
+        givePiece(opponent, 'O');
+        opponent.input.hardDrop = true;
+        match.runTick();
+        assert.equal(match.getIncomingRows(1), 2);
+    });
+
+    it("ends when a player tops out, and waits for their game over animation", () => {
+        const match = createMatch();
+        const loser = match.games[1];
+        for (let y = 0; y < 19; y++) {
+            loser.gameState.gridData[y] = encodeRow("XXXXXXXXX.");
+        }
+        givePiece(loser, 'O');
+        loser.input.hardDrop = true;
+        match.runTick();
+        assert.equal(match.winner, 0);
+        assert.equal(match.isFinished, false);
+
+        const winnerTicks = match.games[0].gameState.ticksPlayed;
+        for (let i = 0; i < 500 && !match.isFinished; i++) {
+            match.runTick();
+        }
+        assert.equal(match.isFinished, true);
+        // The winner's game stops once the match is decided
+        assert.equal(match.games[0].gameState.ticksPlayed, winnerTicks);
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Shared helpers for driving a QuadtrisGame (and its saved data) from tests, without a browser.
+ *
+ * @author Alex Wills
+ */
+import { QuadtrisGame, QuadPiece, setRowBlock } from "../scripts/QuadtrisGame.mjs";
+import { getRotationSystem } from "../scripts/RotationSystems.mjs";
+
+/**
+ * Creates a game with a fixed seed and starts it.
+ *
+ * @param {Object} options Settings to override in {@link QuadtrisGame.defaultOptions}.
+ * @returns {QuadtrisGame} The running game.
+ */
+export function createGame(options = {}) {
+    const game = new QuadtrisGame({seed: 1, ...options});
+    game.startNewGame();
+    return game;
+}
+
+/**
+ * Fills the bottom of the grid from a picture of the rows.
+ *
+ * Rows are listed from top to bottom, ending with row 0. 'X' is a block and any other character is empty.
+ * Rows above the picture are cleared.
+ *
+ * @example
+ * setGrid(game, [
+ *      "X........X",
+ *      "XXXX..XXXX"
+ * ]);
+ *
+ * @param {QuadtrisGame}    game    The game to change.
+ * @param {string[]}        rows    10-character strings, one per row.
+ * @param {number}          color   The block ID (1-8) to fill the blocks with.
+ */
+export function setGrid(game, rows, color = 1) {
+    game.gameState.gridData.fill(0n);
+    rows.forEach((rowText, index) => {
+        game.gameState.gridData[rows.length - 1 - index] = encodeRow(rowText, color);
+    });
+}
+
+/**
+ * Converts a picture of a row into the grid's row encoding.
+ *
+ * @param {string}  rowText A 10-character string, where 'X' is a block and any other character is empty.
+ * @param {number}  color   The block ID to fill the blocks with.
+ * @returns {bigint} The row.
+ */
+export function encodeRow(rowText, color = 1) {
+    let row = 0n;
+    for (let x = 0; x < 10; x++) {
+        if (rowText[x] == 'X') {
+            row = setRowBlock(row, x, color);
+        }
+    }
+    return row;
+}
+
+/**
+ * Reads the grid as a picture of the rows, in the same format as {@link setGrid()}.
+ *
+ * @param {QuadtrisGame}    game    The game to read.
+ * @param {number}          height  The number of rows to read, counting up from row 0.
+ * @returns {string[]} 10-character strings, from top to bottom.
+ */
+export function readGrid(game, height) {
+    let rows = [];
+    for (let y = height - 1; y >= 0; y--) {
+        let rowText = "";
+        for (let x = 0; x < 10; x++) {
+            rowText += game.isBlockHere(x, y) ? 'X' : '.';
+        }
+        rows.push(rowText);
+    }
+    return rows;
+}
+
+/**
+ * Replaces the player's piece with a new piece at the spawn position of the game's rotation system.
+ *
+ * @param {QuadtrisGame}    game    The game to change.
+ * @param {string}          shape   The shape of the new piece (O, I, T, J, L, S, or Z).
+ * @returns {QuadPiece} The new piece.
+ */
+export function givePiece(game, shape) {
+    game.gameState.playerPiece = new QuadPiece(shape, getRotationSystem(game.options.rotationSystem));
+    return game.gameState.playerPiece;
+}
+
+/**
+ * Moves a piece so its center block (index 0) is at a grid position, without checking for collisions.
+ *
+ * @param {QuadPiece}   piece   The piece to move.
+ * @param {number}      x       The x index for the piece's center.
+ * @param {number}      y       The y index for the piece's center.
+ */
+export function movePieceTo(piece, x, y) {
+    const dx = x - piece.blocks[0][0];
+    const dy = y - piece.blocks[0][1];
+    for (const block of piece.blocks) {
+        block[0] += dx;
+        block[1] += dy;
+    }
+}
+
+/**
+ * Runs game ticks with the same input held for every tick.
+ *
+ * @param {QuadtrisGame}    game    The game to run.
+ * @param {Object}          input   The inputs to set before each tick (see {@link QuadtrisGame.input}).
+ * @param {number}          count   The number of ticks to run.
+ */
+export function runTicks(game, input = {}, count = 1) {
+    for (let i = 0; i < count; i++) {
+        Object.assign(game.input, input);
+        game.runTick();
+    }
+}
+
+/**
+ * Copies the positions of a piece's blocks, sorted so they can be compared regardless of block order.
+ *
+ * @param {QuadPiece} piece The piece to read.
+ * @returns {number[][]} The [x, y] position of each block.
+ */
+export function sortedBlocks(piece) {
+    return piece.blocks.map((block) => [...block]).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+}
+
+/**
+ * A stand-in for the browser's Local Storage, kept in memory.
+ */
+export class MemoryStorage {
+    #items = new Map();
+
+    get length() {
+        return this.#items.size;
+    }
+
+    getItem(key) {
+        return this.#items.has(key) ? this.#items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.#items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.#items.delete(key);
+    }
+}